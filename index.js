@@ -1,11 +1,30 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
-import fs from 'fs/promises';
 import path from 'path';
-import os from 'os';
+import fs from 'fs/promises';
+import { createStorage, migrateSessions, upgradeSessions, renameLegacySessions, STORAGE_BACKENDS } from './lib/storage/index.js';
+import { SessionError, ConfigError } from './lib/errors.js';
+import { buildAdjacency, traverse, collectEdges, analyzeGraph, wouldCreateChainCycle, remapThoughtIds, restrictToThoughts } from './lib/graph.js';
+import { renderSession, EXPORT_FORMATS } from './lib/export.js';
+import { createBundle, parseBundle, findDanglingReferences } from './lib/bundle.js';
+import { buildModePrompt, buildResumePrompt, buildContradictionsPrompt } from './lib/prompts.js';
+import { startHttpServer } from './lib/http.js';
+import { createSearchIndex, tokenize } from './lib/search.js';
+import { paginate } from './lib/pagination.js';
+import { createArchive } from './lib/archive.js';
+import { planRetention } from './lib/retention.js';
+import { loadConfig, isToolEnabled, defaultRetentionPolicy, TOOL_NAMES } from './lib/config.js';
+import { SESSION_SCHEMA_VERSION } from './lib/storage/schema.js';
+import { createVocabulary } from './lib/vocabulary.js';
+import { CLI_USAGE, getOption, isCliCommand, runCliCommand } from './lib/cli.js';
+import { INPUT_LIMITS, setInputLimits, isValidSessionId, validateSessionId, validateSessionName, validateThoughtInput, validateThoughts, validateBundleFileName } from './lib/validation.js';
+import { writeFileAtomic } from './lib/storage/json-store.js';
 
 /**
  * Minimal Think MCP Server with Persistent Sessions
@@ -19,259 +38,561 @@ import os from 'os';
  * 
  * Enhanced with:
  * - Persistent session storage to maintain thinking context across device restarts
- * - Smart Context Injection for builds_on relationships (automatically surfaces
+ * - Atomic, locked session writes so concurrent chats never lose thoughts
+ * - Smart Context Injection for builds_on (and other transitive) relationships (automatically surfaces
  *   reasoning chains, conflicting thoughts, and supporting evidence)
  */
 
-// Session storage directory - allow override via environment variable for testing
-const SESSION_DIR = process.env.SESSION_DIR || path.join(os.homedir(), '.minimal-think-sessions');
+// Effective configuration: defaults, config files, environment variables and command-line flags (see lib/config.js)
+let loadedConfig;
+try {
+  loadedConfig = await loadConfig({ argv: process.argv.slice(2) });
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+const { config, sources: CONFIG_SOURCES, args: CLI_ARGS } = loadedConfig;
+setInputLimits(config.limits);
+
+// Session storage directory and backend - "json" (one file per session) or "sqlite" (single database file)
+const SESSION_DIR = config.storage.sessionDir;
+const STORAGE_BACKEND = config.storage.backend;
 
-// Ensure session directory exists
-async function ensureSessionDir() {
-  try {
-    await fs.mkdir(SESSION_DIR, { recursive: true });
-  } catch (error) {
-    console.error('Failed to create session directory:', error);
+const storage = createStorage({
+  backend: STORAGE_BACKEND,
+  sessionDir: SESSION_DIR,
+  sqlitePath: config.storage.sqlitePath
+});
+
+// Full-text index shared by every connected client, kept in step with storage on each search
+const searchIndex = createSearchIndex();
+
+// Sessions removed by cleanup are archived here instead of being deleted
+const ARCHIVE_DIR = config.storage.archiveDir;
+const archive = createArchive({ dir: ARCHIVE_DIR });
+
+// Bundle files of export_bundle / import_session live here; clients only ever name a file inside it
+const EXPORT_DIR = config.storage.exportDir;
+
+// Thinking modes and relationship types accepted by the tools: the built-in ones plus any from the configuration
+const vocabulary = createVocabulary(config);
+const THINKING_MODES = vocabulary.modes;
+const RELATIONSHIP_TYPES = vocabulary.relationshipTypes;
+
+// Lifecycle states of a session; sessions without a status are active
+const SESSION_STATUSES = ["active", "concluded", "abandoned"];
+
+// Descriptive session metadata accepted by think and update_session
+const SESSION_METADATA_FIELDS = {
+  title: z.string().max(200).describe("Short human-readable title, e.g. \"Auth migration\""),
+  description: z.string().max(2000).describe("What the session is about"),
+  goal: z.string().max(1000).describe("What the session is trying to decide or produce"),
+  status: z.enum(SESSION_STATUSES).describe(`Session status: ${SESSION_STATUSES.join(', ')}`),
+  owner: z.string().max(200).describe("Person or agent responsible for the session"),
+  pinned: z.boolean().describe("Pinned sessions are never removed by cleanup_sessions")
+};
+
+// Thought fields that view_session can project
+const THOUGHT_FIELDS = ["id", "content", "mode", "tags", "timestamp", "relates_to", "relationship_type", "relationships_in", "relationships_out", "cross_session_relationships", "revisions", "last_revised", "retracted"];
+
+// Build the JSON tool response for a failed call
+function errorResponse(error, fallbackMessage) {
+  const body = error instanceof SessionError
+    ? { error: error.message, ...error.details }
+    : { error: fallbackMessage, message: error.message };
+  return { content: [{ type: "text", text: JSON.stringify(body, null, 2) }] };
+}
+
+// Generate a session or thought ID, e.g. session_1720529347123_ab7c9
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+}
+
+// Resolve a session ID or alias to the session ID it names. Unknown references are returned
+// unchanged, so think can still start a session under a new ID. Every session ID a client
+// passes goes through here, so unsafe IDs are rejected before they reach storage.
+async function resolveSessionRef(ref, label = 'sessionId') {
+  validateSessionId(ref, label);
+  if (await storage.hasSession(ref)) return ref;
+  const aliases = await storage.getAliases();
+  return aliases[ref] || ref;
+}
+
+// Split a thought reference into { session_id, thought_id }. A qualified "sessionId:thoughtId" reference
+// (the session may be given by alias) points into another session; session_id is null for thoughts in currentSession.
+async function resolveThoughtRef(ref, currentSession, label) {
+  const separator = ref.indexOf(':');
+  if (separator === -1) return { session_id: null, thought_id: ref };
+  const sessionId = await resolveSessionRef(ref.slice(0, separator), label);
+  return { session_id: sessionId === currentSession ? null : sessionId, thought_id: ref.slice(separator + 1) };
+}
+
+// Load the thoughts of each session once. Sessions that no longer exist map to null.
+async function loadSessionsById(sessionIds) {
+  const sessions = new Map();
+  for (const sessionId of new Set(sessionIds)) {
+    sessions.set(sessionId, (await storage.hasSession(sessionId)) ? await storage.loadSession(sessionId) : null);
   }
+  return sessions;
 }
 
-// Load a session from disk
-async function loadSession(sessionId) {
-  try {
-    const sessionPath = path.join(SESSION_DIR, `${sessionId}.json`);
-    const data = await fs.readFile(sessionPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // Return empty array if session doesn't exist yet
-    return [];
+// Check that a new session name or alias is valid and not yet used by a session or alias
+async function assertSessionNameAvailable(name, label) {
+  validateSessionName(name, label);
+  const aliases = await storage.getAliases();
+  if (await storage.hasSession(name) || aliases[name]) {
+    throw new SessionError(`Session ${label} is already taken`, {
+      [label]: name,
+      sessionId: aliases[name] || name
+    });
   }
 }
 
-// Save a session to disk
-async function saveSession(sessionId, thoughts) {
-  try {
-    const sessionPath = path.join(SESSION_DIR, `${sessionId}.json`);
-    await fs.writeFile(sessionPath, JSON.stringify(thoughts, null, 2), 'utf8');
-  } catch (error) {
-    console.error(`Failed to save session ${sessionId}:`, error);
+// Resolve an explicit session ID or alias, falling back to the default session
+async function resolveSession(sessionId) {
+  if (sessionId) return { session: await resolveSessionRef(sessionId), usedDefaultSession: false };
+  const session = await storage.getDefaultSession();
+  if (!session) {
+    throw new SessionError("No session ID provided and no default session set", {
+      message: "Please provide a session ID or set a default session first"
+    });
   }
+  return { session, usedDefaultSession: true };
 }
 
-// Get the default session ID
-async function getDefaultSession() {
-  try {
-    const defaultSessionPath = path.join(SESSION_DIR, 'defaultSession.json');
-    const data = await fs.readFile(defaultSessionPath, 'utf8');
-    const { defaultSessionId } = JSON.parse(data);
-    return defaultSessionId;
-  } catch (error) {
-    // No default session yet
-    return null;
+// Session metadata as reported to clients; sessions without a status are active
+function sessionMetadata(metadata = {}) {
+  return { status: "active", ...metadata };
+}
+
+// Fork relationships between listed sessions: sessionId → { lineage, forks }.
+// lineage lists the parent, grandparent, ... (nearest first); forks lists sessions forked from this one.
+function forkLineage(sessions) {
+  const parentOf = new Map();
+  for (const { sessionId, metadata } of sessions) {
+    if (metadata?.forked_from?.session_id) parentOf.set(sessionId, metadata.forked_from.session_id);
+  }
+  
+  const result = new Map();
+  for (const { sessionId } of sessions) {
+    const ancestors = [];
+    for (let parent = parentOf.get(sessionId); parent && !ancestors.includes(parent) && parent !== sessionId; parent = parentOf.get(parent)) {
+      ancestors.push(parent);
+    }
+    const forks = [...parentOf].filter(([, parent]) => parent === sessionId).map(([child]) => child);
+    result.set(sessionId, {
+      ...(ancestors.length > 0 && { lineage: ancestors }),
+      ...(forks.length > 0 && { forks })
+    });
   }
+  return result;
 }
 
-// Set the default session ID
-async function setDefaultSession(sessionId) {
-  try {
-    const defaultSessionPath = path.join(SESSION_DIR, 'defaultSession.json');
-    await fs.writeFile(defaultSessionPath, JSON.stringify({ defaultSessionId: sessionId }), 'utf8');
-  } catch (error) {
-    console.error(`Failed to set default session ${sessionId}:`, error);
+// Copy a thought keeping only the requested fields, with content cut to maxContentLength
+function projectThought(thought, fields, maxContentLength) {
+  const projected = fields ? Object.fromEntries(fields.filter(f => f in thought).map(f => [f, thought[f]])) : { ...thought };
+  if (maxContentLength && typeof projected.content === 'string' && projected.content.length > maxContentLength) {
+    projected.content = projected.content.substring(0, maxContentLength) + "...";
+    projected.content_truncated = true;
   }
+  return projected;
 }
 
-// Manual cleanup utility for old sessions
-async function cleanupOldSessions(maxAgeDays = 90) {
-  try {
-    await ensureSessionDir();
-    const files = await fs.readdir(SESSION_DIR);
-    const now = new Date();
-    let deletedCount = 0;
-    
-    for (const file of files) {
-      if (!file.endsWith('.json') || file === 'defaultSession.json') continue;
-      
-      const filePath = path.join(SESSION_DIR, file);
-      const stats = await fs.stat(filePath);
-      const fileAge = (now - stats.mtime) / (1000 * 60 * 60 * 24); // age in days
-      
-      if (fileAge > maxAgeDays) {
-        await fs.unlink(filePath);
-        console.error(`Deleted old session: ${file} (${fileAge.toFixed(1)} days old)`);
-        deletedCount++;
+// Find a thought in a loaded session or fail with a structured error
+function findThought(thoughts, thoughtId, sessionId) {
+  const thought = thoughts.find(t => t.id === thoughtId);
+  if (!thought) {
+    throw new SessionError("Thought not found", { thought_id: thoughtId, sessionId });
+  }
+  return thought;
+}
+
+// Remove a session from storage and from everything kept in step with it
+async function removeSession(sessionId) {
+  await storage.deleteSession(sessionId);
+  searchIndex.removeSession(sessionId);
+  notifySessionChanged(sessionId, { listChanged: true });
+}
+
+// Move a session (with its metadata and aliases) into the archive, then remove it from storage
+async function archiveSession(sessionId) {
+  const thoughts = await storage.loadSession(sessionId);
+  const bundle = createBundle(sessionId, thoughts, SERVER_INFO, await storage.getSessionMetadata(sessionId));
+  bundle.session.aliases = Object.entries(await storage.getAliases())
+    .filter(([, target]) => target === sessionId)
+    .map(([alias]) => alias);
+  const entry = await archive.archiveSession(bundle);
+  await removeSession(sessionId);
+  return entry;
+}
+
+// Rewrite a session's cross-session links. redirect(link) returns the { session_id, thought_id } a link should
+// point to instead, or null to leave it. Returns the IDs of the thoughts whose links changed.
+async function redirectCrossSessionLinks(sessionId, redirect) {
+  const changedIds = await storage.updateSession(sessionId, (thoughts) => {
+    const changed = [];
+    for (const thought of thoughts) {
+      const links = thought.cross_session_relationships || [];
+      if (!links.some(rel => redirect(rel))) continue;
+      const redirected = [];
+      for (const rel of links) {
+        const link = { ...rel, ...redirect(rel) };
+        // Links that now point at the same thought collapse into a single link
+        if (!redirected.some(r => r.session_id === link.session_id && r.thought_id === link.thought_id && r.relationship_type === link.relationship_type)) {
+          redirected.push(link);
+        }
       }
+      thought.cross_session_relationships = redirected;
+      changed.push(thought.id);
     }
-    
-    return { deletedCount, maxAgeDays };
+    return changed;
+  });
+  notifySessionChanged(sessionId, { thoughtIds: changedIds });
+  return changedIds;
+}
+
+// Redirect the links of every other session that redirect(link) matches (see redirectCrossSessionLinks).
+// Returns the IDs of the sessions that were changed.
+async function redirectIncomingLinks(excludedIds, redirect) {
+  const changedSessions = [];
+  for (const info of await storage.listSessions()) {
+    if (info.error || excludedIds.includes(info.sessionId)) continue;
+    const thoughts = await storage.loadSession(info.sessionId);
+    if (!thoughts.some(t => (t.cross_session_relationships || []).some(rel => redirect(rel)))) continue;
+    await redirectCrossSessionLinks(info.sessionId, redirect);
+    changedSessions.push(info.sessionId);
+  }
+  return changedSessions;
+}
+
+// Apply a retention policy (see lib/retention.js). Removed sessions are archived unless useArchive is false.
+// With dryRun nothing is changed and only the plan is returned.
+async function cleanupSessions(policy, { dryRun = false, useArchive = true } = {}) {
+  const defaultSessionId = await storage.getDefaultSession();
+  const sessions = [];
+  for (const info of await storage.listSessions()) {
+    if (info.error) continue;
+    const thoughts = await storage.loadSession(info.sessionId);
+    sessions.push({
+      sessionId: info.sessionId,
+      lastModified: info.lastModified,
+      size: Buffer.byteLength(JSON.stringify(thoughts)),
+      tags: [...new Set(thoughts.flatMap(t => t.tags || []))],
+      metadata: info.metadata,
+      isDefault: info.sessionId === defaultSessionId,
+      references: [...new Set(thoughts.flatMap(t => (t.cross_session_relationships || []).map(rel => rel.session_id)))]
+    });
+  }
+  
+  const plan = planRetention(sessions, policy);
+  if (dryRun) return plan;
+  
+  for (const entry of plan.remove) {
+    if (useArchive) {
+      entry.archive_file = (await archiveSession(entry.sessionId)).file;
+    } else {
+      await removeSession(entry.sessionId);
+    }
+    console.error(`${useArchive ? 'Archived' : 'Deleted'} session ${entry.sessionId} (${entry.reasons.join(', ')})`);
+  }
+  return plan;
+}
+
+// Text of a bundle file in the export directory
+async function readBundleFile(file) {
+  validateBundleFileName(file);
+  try {
+    return await fs.readFile(path.join(EXPORT_DIR, file), 'utf8');
   } catch (error) {
-    console.error('Session cleanup failed:', error);
-    throw error;
+    if (error.code !== 'ENOENT') throw error;
+    throw new SessionError("Bundle file not found", { file, exportDir: EXPORT_DIR });
+  }
+}
+
+// New IDs for those of the given thoughts whose IDs are already used by a stored session (old ID → new ID)
+async function collidingThoughtIds(thoughts) {
+  const existingIds = new Set();
+  for (const info of await storage.listSessions()) {
+    if (info.error) continue;
+    (await storage.loadSession(info.sessionId)).forEach(t => existingIds.add(t.id));
   }
+  
+  const idMap = new Map();
+  for (const thought of thoughts) {
+    if (!existingIds.has(thought.id)) continue;
+    let newId;
+    do {
+      newId = generateId('thought');
+    } while (existingIds.has(newId) || thoughts.some(t => t.id === newId));
+    idMap.set(thought.id, newId);
+    existingIds.add(newId);
+  }
+  return idMap;
 }
 
-// Create MCP server instance
-const server = new McpServer({
+// Server identity reported to clients and written into bundles
+const SERVER_INFO = {
   name: "minimal-think-mcp",
   version: "1.2.4"
-});
+};
 
-// Register the enhanced think tool with persistent sessions and relationship tracking
-server.registerTool(
-  "think",
-  {
-    title: "Think Tool",
-    description: "A persistent thinking workspace that preserves reasoning across sessions. Creates dedicated space for structured thinking during complex tasks with relationship tracking.",
-    inputSchema: {
-      reasoning: z.string().describe("Your thinking, reasoning, or analysis text"),
-      sessionId: z.string().optional().describe("Session ID to continue an existing thinking process"),
-      useDefaultSession: z.boolean().optional().default(false).describe("Use the default session automatically"),
-      setAsDefault: z.boolean().optional().default(false).describe("Set this session as the default for future thinking"),
-      mode: z.enum(["linear", "creative", "critical", "strategic", "empathetic"]).optional()
-        .describe("Optional thinking mode to structure your reasoning"),
-      tags: z.array(z.string()).optional().describe("Optional tags for categorizing thoughts"),
-      newChat: z.boolean().optional().default(false).describe("Force a new session even if sessionId is provided"),
-      relates_to: z.string().optional().describe("ID of thought this relates to"),
-      relationship_type: z.enum(["builds_on", "supports", "contradicts", "refines", "synthesizes"]).optional().describe("Type of relationship to the referenced thought")
-    }
-  },
-  async ({ reasoning, sessionId, useDefaultSession, setAsDefault, mode, tags, newChat, relates_to, relationship_type }) => {
-    // Ensure session directory exists
-    await ensureSessionDir();
-    
-    // Determine session ID logic:
-    // 1. If newChat is true, always create a new session
-    // 2. If sessionId is provided and newChat is false, use that (highest priority)
-    // 3. If useDefaultSession is true, try to get default session
-    // 4. If no default session or useDefaultSession is false, create new session
-    let session = newChat ? null : sessionId;
-    let usedDefaultSession = false;
-    let isNewSession = false;
-    
-    if (!session && useDefaultSession) {
-      session = await getDefaultSession();
-      usedDefaultSession = !!session;
+// Every connected server instance with the resource URIs its client subscribed to.
+// stdio has exactly one; the HTTP transport has one per client session.
+const connectedServers = new Set();
+
+const SESSIONS_URI = 'think://sessions';
+
+function sessionUri(sessionId) {
+  return `${SESSIONS_URI}/${encodeURIComponent(sessionId)}`;
+}
+
+function thoughtUri(sessionId, thoughtId) {
+  return `${sessionUri(sessionId)}/thoughts/${encodeURIComponent(thoughtId)}`;
+}
+
+// Tell subscribed clients that a session changed. Pass the IDs of changed thoughts to notify their
+// resources too, and listChanged when a session was created or removed.
+function notifySessionChanged(sessionId, { thoughtIds = [], listChanged = false } = {}) {
+  const changed = [SESSIONS_URI, sessionUri(sessionId), ...thoughtIds.map(id => thoughtUri(sessionId, id))];
+  for (const { server, subscriptions } of connectedServers) {
+    for (const uri of changed) {
+      if (!subscriptions.has(uri)) continue;
+      server.server.sendResourceUpdated({ uri }).catch(error => {
+        console.error(`Failed to notify subscribers of ${uri}:`, error);
+      });
     }
-    
-    // If we still don't have a session ID, generate a new one
-    if (!session) {
-      session = `session_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
-      isNewSession = true;
+    if (listChanged && server.isConnected()) {
+      server.sendResourceListChanged();
     }
-    
-    // Load existing thoughts for this session
-    const thoughts = await loadSession(session);
-    
-    // Add new thought
-    const thoughtId = `thought_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
-    const thoughtObj = {
-      id: thoughtId,
-      content: reasoning,
-      mode: mode || "linear",
-      tags: tags || [],
-      timestamp: new Date().toISOString(),
-      relates_to: null,
-      relationship_type: null,
-      relationships_in: [], // thoughts that reference this thought
-      relationships_out: []  // thoughts this thought references
-    };
+  }
+}
+
+// Arguments shared by every prompt
+const promptArgs = {
+  sessionId: z.string().optional().describe("Session to pull prior thoughts from. If not provided, the default session will be used if available."),
+  topic: z.string().optional().describe("Topic to focus on; prior thoughts are filtered to those mentioning it")
+};
+
+// Load the thoughts for a prompt; mode prompts still work without any session
+async function loadPromptSession(sessionId, required) {
+  const session = sessionId ? await resolveSessionRef(sessionId) : await storage.getDefaultSession();
+  if (!session || !(await storage.hasSession(session))) {
+    if (required) {
+      throw new Error(session ? `Session ${session} does not exist` : "No session ID provided and no default session set");
+    }
+    return { session: null, thoughts: [], metadata: {} };
+  }
+  return { session, thoughts: await storage.loadSession(session), metadata: await storage.getSessionMetadata(session) };
+}
 
-    // Validate and add relationship tracking
-    if (relates_to && relationship_type) {
-      // Prevent self-reference
-      if (relates_to === thoughtId) {
-        return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot reference self" }) }] };
+// Create an MCP server instance with every tool, resource and prompt registered
+function createServer() {
+  const server = new McpServer(SERVER_INFO);
+  
+  // Resource URIs this server's client subscribed to via resources/subscribe
+  const subscriptions = new Set();
+  const entry = { server, subscriptions };
+  connectedServers.add(entry);
+  server.server.onclose = () => connectedServers.delete(entry);
+  
+  // Tools switched off in the configuration are left unregistered. The configuration is checked against
+  // TOOL_NAMES, so a tool missing from it could never be switched off.
+  const registerTool = (name, definition, handler) => {
+    if (!TOOL_NAMES.includes(name)) throw new Error(`Tool ${name} is missing from TOOL_NAMES`);
+    if (isToolEnabled(config, name)) server.registerTool(name, definition, handler);
+  };
+  
+  // Register the enhanced think tool with persistent sessions and relationship tracking
+  registerTool(
+    "think",
+    {
+      title: "Think Tool",
+      description: "A persistent thinking workspace that preserves reasoning across sessions. Creates dedicated space for structured thinking during complex tasks with relationship tracking.",
+      inputSchema: {
+        reasoning: z.string().describe(`Your thinking, reasoning, or analysis text (at most ${INPUT_LIMITS.reasoningLength} characters)`),
+        sessionId: z.string().optional().describe("Session ID or alias to continue an existing thinking process"),
+        name: z.string().optional().describe("Start a new session with this name as its ID (lowercase letters, digits, '-' and '_'), e.g. \"auth-migration\". Continue it later by passing the name as sessionId."),
+        useDefaultSession: z.boolean().optional().default(false).describe("Use the default session automatically"),
+        setAsDefault: z.boolean().optional().default(false).describe("Set this session as the default for future thinking"),
+        mode: z.enum(THINKING_MODES).optional()
+          .describe(`Optional thinking mode to structure your reasoning: ${THINKING_MODES.map(m => `${m} (${vocabulary.modeInfo(m).summary})`).join(', ')}`),
+        tags: z.array(z.string()).optional().describe(`Optional tags for categorizing thoughts (at most ${INPUT_LIMITS.tagCount} tags of up to ${INPUT_LIMITS.tagLength} characters)`),
+        newChat: z.boolean().optional().default(false).describe("Force a new session even if sessionId is provided"),
+        relates_to: z.string().optional().describe("ID of thought this relates to. Use \"sessionId:thoughtId\" for a thought in another session."),
+        relationship_type: z.enum(RELATIONSHIP_TYPES).optional().describe(`Type of relationship to the referenced thought: ${vocabulary.describeRelationshipTypes()}`),
+        relationships: z.array(z.object({
+          thought_id: z.string().describe("ID of an earlier thought in this session, or \"sessionId:thoughtId\" for one in another session"),
+          relationship_type: z.enum(RELATIONSHIP_TYPES).describe("Type of relationship to that thought")
+        })).optional().describe("Link to several earlier thoughts at once, e.g. supports one and contradicts another"),
+        session_metadata: z.object(Object.fromEntries(Object.entries(SESSION_METADATA_FIELDS).map(([key, schema]) => [key, schema.optional()])))
+          .optional().describe("Title, description, goal, status and owner for a new session. Ignored when continuing a session that already has thoughts; use update_session instead.")
       }
+    },
+    async ({ reasoning, sessionId, name, useDefaultSession, setAsDefault, mode, tags, newChat, relates_to, relationship_type, relationships, session_metadata }) => {
+      // Determine session ID logic:
+      // 1. If name is given, create a new session with that name as its ID
+      // 2. If newChat is true, always create a new session
+      // 3. If sessionId (or an alias) is provided and newChat is false, use that
+      // 4. If useDefaultSession is true, try to get default session
+      // 5. If no default session or useDefaultSession is false, create new session
+      let session = newChat ? null : sessionId;
+      let usedDefaultSession = false;
+      let isNewSession = false;
       
-      const referencedThought = thoughts.find(t => t.id === relates_to);
-      if (!referencedThought) {
-        return { content: [{ type: "text", text: JSON.stringify({ error: "Referenced thought not found", thought_id: relates_to }) }] };
+      try {
+        validateThoughtInput({ text: reasoning, tags });
+        if (name) {
+          await assertSessionNameAvailable(name, 'name');
+          session = name;
+          isNewSession = true;
+        } else if (session) {
+          session = await resolveSessionRef(session);
+        }
+      } catch (error) {
+        return errorResponse(error, "Invalid input");
       }
       
-      // Refined temporal check - compare to current thought's timestamp
-      if (new Date(referencedThought.timestamp) > new Date(thoughtObj.timestamp)) {
-        return { content: [{ type: "text", text: JSON.stringify({ error: "Cannot reference future thoughts" }) }] };
+      if (!session && useDefaultSession) {
+        session = await storage.getDefaultSession();
+        usedDefaultSession = !!session;
       }
       
-      // Now use the same referencedThought for relationship tracking
-      referencedThought.relationships_in.push({ thought_id: thoughtId, relationship_type });
-      thoughtObj.relationships_out.push({ thought_id: relates_to, relationship_type });
-      thoughtObj.relates_to = relates_to;
-      thoughtObj.relationship_type = relationship_type;
-    }
-
-    thoughts.push(thoughtObj);
-    
-    // Save updated session
-    await saveSession(session, thoughts);
-    
-    // Set as default if requested
-    if (setAsDefault) {
-      await setDefaultSession(session);
-    }
-    
-    // Add related thought context for AI
-    let related_context = null;
-    let reasoning_chain = null;
-    
-    if (relates_to && relationship_type) {
-      const related_thought = thoughts.find(t => t.id === relates_to);
-      if (related_thought) {
-        related_context = {
-          relationship: relationship_type,
-          related_thought_id: relates_to,
-          related_content: related_thought.content.substring(0, 200) + "...",
-          related_mode: related_thought.mode
-        };
-        
-        // context injection for builds_on relationships
-        if (relationship_type === 'builds_on') {
-            const chain = buildReasoningChain(relates_to, thoughts);
-            
-            // Find conflicting thoughts (max 3)
-            const conflicts = thoughts.filter(t => 
-                t.relationships_out.some(rel => 
-                    rel.thought_id === relates_to && rel.relationship_type === 'contradicts'
-                )
-            ).slice(0, 3);
+      // If we still don't have a session ID, generate a new one
+      if (!session) {
+        session = generateId('session');
+        isNewSession = true;
+      }
+      
+      // Collect every link: the single relates_to pair plus the relationships array, without duplicates.
+      // Links into other sessions carry the session_id of their target.
+      const links = [];
+      let externalSessions;
+      try {
+        const requested = [
+          ...(relates_to && relationship_type ? [{ ref: relates_to, relationship_type, label: 'relates_to' }] : []),
+          ...(relationships || []).map((link, index) => ({ ref: link.thought_id, relationship_type: link.relationship_type, label: `relationships.${index}.thought_id` }))
+        ];
+        for (const { ref, relationship_type: type, label } of requested) {
+          const { session_id, thought_id } = await resolveThoughtRef(ref, session, label);
+          if (!links.some(l => l.session_id === session_id && l.thought_id === thought_id && l.relationship_type === type)) {
+            links.push({ session_id, thought_id, relationship_type: type });
+          }
+        }
+        externalSessions = await loadSessionsById(links.filter(l => l.session_id).map(l => l.session_id));
+        for (const [sessionId, sessionThoughts] of externalSessions) {
+          if (!sessionThoughts) throw new SessionError("Referenced session not found", { sessionId });
+        }
+      } catch (error) {
+        return errorResponse(error, "Invalid input");
+      }
+      
+      // Append the new thought under the session lock so concurrent calls cannot drop each other's writes
+      const thoughtId = generateId('thought');
+      let thoughts;
+      let metadataApplied = false;
+      try {
+        thoughts = await storage.updateSession(session, (sessionThoughts, metadata) => {
+          const thoughtObj = {
+            id: thoughtId,
+            content: reasoning,
+            mode: mode || "linear",
+            tags: tags || [],
+            timestamp: new Date().toISOString(),
+            relates_to: null,
+            relationship_type: null,
+            relationships_in: [], // thoughts that reference this thought
+            relationships_out: []  // thoughts this thought references
+          };
+          
+          // Validate every link before recording any of them
+          const referencedThoughts = links.map(link => {
+            // Prevent self-reference
+            if (link.thought_id === thoughtId) {
+              throw new SessionError("Cannot reference self");
+            }
             
-            // Find supporting evidence (max 3)
-            const supports = thoughts.filter(t => 
-                t.relationships_out.some(rel => 
-                    rel.thought_id === relates_to && rel.relationship_type === 'supports'
-                )
-            ).slice(0, 3);
+            const referencedThought = (link.session_id ? externalSessions.get(link.session_id) : sessionThoughts)
+              .find(t => t.id === link.thought_id);
+            if (!referencedThought) {
+              throw new SessionError("Referenced thought not found", {
+                thought_id: link.thought_id,
+                ...(link.session_id && { sessionId: link.session_id })
+              });
+            }
             
-            // Build enhanced context object
-            related_context = {
-                type: 'builds_on_enhanced',
-                chain_preview: chain.chain.slice(0, 5).map(t => t.content_preview),
-                conflicts: conflicts.map(t => t.content.substring(0, 80) + "..."),
-                supports: supports.map(t => t.content.substring(0, 80) + "...")
-            };
-            reasoning_chain = chain; // maintain backward compatibility
+            // Refined temporal check - compare to current thought's timestamp
+            if (new Date(referencedThought.timestamp) > new Date(thoughtObj.timestamp)) {
+              throw new SessionError("Cannot reference future thoughts", { thought_id: link.thought_id });
+            }
+            return referencedThought;
+          });
+          
+          // Add relationship tracking on both sides of each link. Links into other sessions are only
+          // recorded on this thought, so the other session's file is never written to.
+          links.forEach((link, index) => {
+            if (link.session_id) {
+              thoughtObj.cross_session_relationships = thoughtObj.cross_session_relationships || [];
+              thoughtObj.cross_session_relationships.push({ session_id: link.session_id, thought_id: link.thought_id, relationship_type: link.relationship_type });
+              return;
+            }
+            referencedThoughts[index].relationships_in.push({ thought_id: thoughtId, relationship_type: link.relationship_type });
+            thoughtObj.relationships_out.push({ thought_id: link.thought_id, relationship_type: link.relationship_type });
+          });
+          
+          updatePrimaryLink(thoughtObj);
+          
+          // Metadata can only be given when the session is created
+          if (session_metadata && sessionThoughts.length === 0) {
+            Object.assign(metadata, { status: "active" }, session_metadata, { created_at: thoughtObj.timestamp, updated_at: thoughtObj.timestamp });
+            metadataApplied = true;
+          }
+          
+          sessionThoughts.push(thoughtObj);
+          return sessionThoughts;
+        });
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to save session ${session}:`, error);
         }
+        return errorResponse(error, "Failed to save thought");
       }
-    }
-    
-    // Generate the response JSON
-    const responseJson = {
-      thinking: reasoning,
-      thoughtId: thoughtId,
-      sessionId: session,
-      mode: mode || "linear",
-      tags: tags || [],
-      timestamp: new Date().toISOString(),
-      thoughtCount: thoughts.length,
-      preserved: true,
-      related_context: related_context,
-      reasoning_chain: reasoning_chain,
-      usingDefaultSession: usedDefaultSession,
-      isDefaultSession: setAsDefault || usedDefaultSession,
-      isNewSession: isNewSession
-    };
-    
-    // Create a note for Claude about session continuity
-    const claudeNote = `
+      
+      searchIndex.indexThought(session, thoughts.find(t => t.id === thoughtId));
+      notifySessionChanged(session, { thoughtIds: links.filter(l => !l.session_id).map(l => l.thought_id), listChanged: isNewSession });
+      
+      // Set as default if requested
+      if (setAsDefault) {
+        await storage.setDefaultSession(session);
+      }
+      
+      // Add related thought context for AI. Thought IDs are unique across sessions, so the thoughts of
+      // the sessions this thought links into can simply be searched alongside this one's.
+      const contextThoughts = [...thoughts, ...[...externalSessions.values()].flat()];
+      const { related_context, reasoning_chain } = buildRelatedContext(thoughtId, links, contextThoughts);
+      
+      // Generate the response JSON
+      const responseJson = {
+        thinking: reasoning,
+        thoughtId: thoughtId,
+        sessionId: session,
+        mode: mode || "linear",
+        tags: tags || [],
+        timestamp: new Date().toISOString(),
+        thoughtCount: thoughts.length,
+        preserved: true,
+        related_context: related_context,
+        reasoning_chain: reasoning_chain,
+        usingDefaultSession: usedDefaultSession,
+        isDefaultSession: setAsDefault || usedDefaultSession,
+        isNewSession: isNewSession,
+        ...(session_metadata && !metadataApplied && {
+          session_metadata_ignored: "The session already existed; use update_session to change its metadata"
+        })
+      };
+      
+      // Create a note for Claude about session continuity
+      const claudeNote = `
 <!-- 
 Session ID: ${session}
 In this chat, I should automatically include this session ID in future "think" tool calls 
@@ -283,456 +604,1983 @@ For future think tool calls in this chat, I'll use:
   "sessionId": "${session}"
 }
 -->`;
-    
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify(responseJson, null, 2) + claudeNote
-      }]
-    };
-  }
-);
-
-// List available sessions
-server.registerTool(
-  "list_sessions",
-  {
-    title: "List Sessions",
-    description: "List all available thinking sessions",
-    inputSchema: {}
-  },
-  async () => {
-    try {
-      await ensureSessionDir();
-      const files = await fs.readdir(SESSION_DIR);
-      
-      // Get default session
-      let defaultSessionId = null;
-      try {
-        defaultSessionId = await getDefaultSession();
-      } catch (error) {
-        // No default session
-      }
-      
-      const sessionInfo = await Promise.all(files
-        .filter(file => file.endsWith('.json') && file !== 'defaultSession.json')
-        .map(async file => {
-          const sessionId = file.replace('.json', '');
-          const filePath = path.join(SESSION_DIR, file);
-          const stats = await fs.stat(filePath);
-          
-          try {
-            const thoughts = await loadSession(sessionId);
-            return {
-              sessionId,
-              thoughtCount: thoughts.length,
-              firstThought: thoughts[0]?.timestamp || null,
-              lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
-              lastModified: stats.mtime.toISOString(),
-              isDefault: sessionId === defaultSessionId
-            };
-          } catch (e) {
-            return {
-              sessionId,
-              error: "Could not read session data",
-              lastModified: stats.mtime.toISOString(),
-              isDefault: sessionId === defaultSessionId
-            };
-          }
-        }));
       
-      const responseJson = {
-        sessions: sessionInfo,
-        count: sessionInfo.length,
-        defaultSessionId,
-        timestamp: new Date().toISOString()
-      };
-      
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify(responseJson, null, 2)
-        }]
-      };
-    } catch (error) {
-      console.error('Failed to list sessions:', error);
       return {
         content: [{
           type: "text",
-          text: JSON.stringify({
-            error: "Failed to list sessions",
-            message: error.message
-          }, null, 2)
+          text: JSON.stringify(responseJson, null, 2) + claudeNote
         }]
       };
     }
-  }
-);
-
-// View a specific session
-server.registerTool(
-  "view_session",
-  {
-    title: "View Session",
-    description: "View the complete contents of a thinking session",
-    inputSchema: {
-      sessionId: z.string().optional().describe("Session ID to view. If not provided, the default session will be used if available.")
-    }
-  },
-  async ({ sessionId }) => {
-    try {
-      // If no sessionId provided, try to use default session
-      let session = sessionId;
-      let usedDefaultSession = false;
-      
-      if (!session) {
-        session = await getDefaultSession();
-        usedDefaultSession = !!session;
-        
-        if (!session) {
+  );
+
+  // List available sessions
+  registerTool(
+    "list_sessions",
+    {
+      title: "List Sessions",
+      description: "List all available thinking sessions with their title, goal and status. Optional filters narrow the list.",
+      inputSchema: {
+        status: z.enum(SESSION_STATUSES).optional().describe("Only sessions with this status"),
+        owner: z.string().optional().describe("Only sessions owned by this owner"),
+        query: z.string().optional().describe("Only sessions whose ID, aliases, title, description or goal contain every word of this text (case-insensitive)"),
+        archived: z.boolean().optional().default(false).describe("List archived sessions (see restore_session) instead of stored ones")
+      }
+    },
+    async ({ status, owner, query, archived }) => {
+      try {
+        if (archived) {
+          const entries = await archive.listArchived();
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({
-                error: "No session ID provided and no default session set",
-                message: "Please provide a session ID or set a default session first"
-              }, null, 2)
+              text: JSON.stringify({ archived: entries, count: entries.length, archiveDir: ARCHIVE_DIR, timestamp: new Date().toISOString() }, null, 2)
             }]
           };
         }
+        
+        // Get default session
+        let defaultSessionId = null;
+        try {
+          defaultSessionId = await storage.getDefaultSession();
+        } catch (error) {
+          // No default session
+        }
+        
+        const aliases = Object.entries(await storage.getAliases());
+        const queryWords = query ? tokenize(query) : [];
+        const sessions = await storage.listSessions();
+        const lineage = forkLineage(sessions);
+        const sessionInfo = sessions
+          .map(info => ({
+            ...info,
+            // Sessions created before IDs were validated cannot be used until they are renamed
+            ...(!isValidSessionId(info.sessionId) && {
+              error: "Session ID is not valid",
+              message: "Run \"minimal-think-mcp migrate-schema\" to rename this session to a valid ID"
+            }),
+            metadata: sessionMetadata(info.metadata),
+            aliases: aliases.filter(([, target]) => target === info.sessionId).map(([alias]) => alias),
+            ...lineage.get(info.sessionId),
+            isDefault: info.sessionId === defaultSessionId
+          }))
+          .filter(({ sessionId, aliases: sessionAliases, metadata }) => {
+            if (status && metadata.status !== status) return false;
+            if (owner && metadata.owner !== owner) return false;
+            if (queryWords.length > 0) {
+              const text = tokenize([sessionId, ...sessionAliases, metadata.title, metadata.description, metadata.goal].join(' ')).join(' ');
+              if (!queryWords.every(word => text.includes(word))) return false;
+            }
+            return true;
+          });
+        
+        const responseJson = {
+          sessions: sessionInfo,
+          count: sessionInfo.length,
+          defaultSessionId,
+          timestamp: new Date().toISOString()
+        };
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(responseJson, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error('Failed to list sessions:', error);
+        }
+        return errorResponse(error, "Failed to list sessions");
       }
-      
-      const thoughts = await loadSession(session);
-      
-      const responseJson = {
-        sessionId: session,
-        thoughts,
-        count: thoughts.length,
-        timestamp: new Date().toISOString(),
-        usingDefaultSession: usedDefaultSession
-      };
-      
-      // Create a note for Claude about session continuity
-      const claudeNote = `
+    }
+  );
+
+  // View a specific session
+  registerTool(
+    "view_session",
+    {
+      title: "View Session",
+      description: "View the contents of a thinking session. Long sessions can be paged with limit and offset or cursor, and trimmed with fields and max_content_length.",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID or alias to view. If not provided, the default session will be used if available."),
+        include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts (hidden by default)"),
+        order: z.enum(["oldest_first", "newest_first"]).optional().default("oldest_first").describe("Order in which thoughts are returned"),
+        limit: z.number().int().min(1).max(500).optional().describe("Maximum number of thoughts to return. If not provided, all thoughts are returned."),
+        offset: z.number().int().min(0).optional().describe("Number of thoughts to skip (cannot be combined with cursor)"),
+        cursor: z.string().optional().describe("next_cursor from a previous call, to fetch the following page"),
+        fields: z.array(z.enum(THOUGHT_FIELDS)).optional().describe("Only include these fields of each thought (e.g. [\"id\", \"content\", \"tags\"])"),
+        max_content_length: z.number().int().min(1).optional().describe("Truncate each thought's content to this many characters")
+      }
+    },
+    async ({ sessionId, include_retracted, order, limit, offset, cursor, fields, max_content_length }) => {
+      try {
+        // If no sessionId provided, try to use default session
+        let session = sessionId && await resolveSessionRef(sessionId);
+        let usedDefaultSession = false;
+        
+        if (!session) {
+          session = await storage.getDefaultSession();
+          usedDefaultSession = !!session;
+          
+          if (!session) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: "No session ID provided and no default session set",
+                  message: "Please provide a session ID or set a default session first"
+                }, null, 2)
+              }]
+            };
+          }
+        }
+        
+        if (cursor && offset !== undefined) {
+          throw new SessionError("Use either offset or cursor, not both");
+        }
+        if (!(await storage.hasSession(session))) {
+          throw new SessionError("Session not found", { sessionId: session });
+        }
+        
+        const allThoughts = await storage.loadSession(session);
+        const visible = include_retracted ? allThoughts : allThoughts.filter(t => !t.retracted);
+        
+        const position = new Map(allThoughts.map((t, index) => [t.id, index]));
+        const { page, next_cursor, total } = paginate(visible, {
+          keyOf: t => [position.get(t.id)],
+          order: order === 'newest_first' ? 'desc' : 'asc',
+          cursor,
+          offset,
+          limit,
+          scope: `view:${session}:${order}`
+        });
+        const thoughts = page.map(t => projectThought(t, fields, max_content_length));
+        
+        const responseJson = {
+          sessionId: session,
+          metadata: sessionMetadata(await storage.getSessionMetadata(session)),
+          thoughts,
+          count: thoughts.length,
+          total,
+          ...(limit !== undefined && { next_cursor }),
+          hiddenRetracted: allThoughts.length - visible.length,
+          timestamp: new Date().toISOString(),
+          usingDefaultSession: usedDefaultSession
+        };
+        
+        // Create a note for Claude about session continuity
+        const claudeNote = `
 <!-- 
 Session ID: ${session}
 I now know about this session and should use it if the user wants to continue this thinking process.
 -->`;
-      
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify(responseJson, null, 2) + claudeNote
-        }]
-      };
-    } catch (error) {
-      console.error(`Failed to view session ${sessionId}:`, error);
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: "Failed to view session",
-            message: error.message
-          }, null, 2)
-        }]
-      };
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(responseJson, null, 2) + claudeNote
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to view session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to view session");
+      }
+    }
+  );
+
+  // Update the descriptive metadata of a session
+  registerTool(
+    "update_session",
+    {
+      title: "Update Session",
+      description: "Set or change the title, description, goal, status or owner of a thinking session. Only the given fields change; pass null to clear one.",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID to update. If not provided, the default session will be used if available."),
+        ...Object.fromEntries(Object.entries(SESSION_METADATA_FIELDS).map(([key, schema]) => [key, schema.nullable().optional()]))
+      }
+    },
+    async ({ sessionId, ...changes }) => {
+      try {
+        const { session } = await resolveSession(sessionId);
+        if (!(await storage.hasSession(session))) {
+          throw new SessionError("Session not found", { sessionId: session });
+        }
+        
+        const fields = Object.keys(SESSION_METADATA_FIELDS).filter(key => changes[key] !== undefined);
+        if (fields.length === 0) {
+          throw new SessionError("Nothing to update", {
+            message: `Provide at least one of: ${Object.keys(SESSION_METADATA_FIELDS).join(', ')}`
+          });
+        }
+        
+        const metadata = await storage.updateSession(session, (thoughts, sessionMeta) => {
+          for (const key of fields) {
+            if (changes[key] === null) delete sessionMeta[key];
+            else sessionMeta[key] = changes[key];
+          }
+          sessionMeta.updated_at = new Date().toISOString();
+          return { ...sessionMeta };
+        });
+        notifySessionChanged(session, { listChanged: true });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Session ${session} updated`,
+              sessionId: session,
+              updated_fields: fields,
+              metadata: sessionMetadata(metadata),
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to update session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to update session");
+      }
+    }
+  );
+
+  // Give a session an additional human-friendly name
+  registerTool(
+    "set_session_alias",
+    {
+      title: "Set Session Alias",
+      description: "Add an alias to a thinking session, so it can be referred to by a memorable name instead of its ID",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID or existing alias. If not provided, the default session will be used if available."),
+        alias: z.string().describe("New alias (lowercase letters, digits, '-' and '_'), e.g. \"auth-migration\"")
+      }
+    },
+    async ({ sessionId, alias }) => {
+      try {
+        const { session } = await resolveSession(sessionId);
+        if (!(await storage.hasSession(session))) {
+          throw new SessionError("Session not found", { sessionId: session });
+        }
+        validateSessionName(alias, 'alias');
+        if (await storage.hasSession(alias)) {
+          throw new SessionError("Session alias is already taken", { alias, sessionId: alias });
+        }
+        
+        const sessionAliases = await storage.updateAliases((aliases) => {
+          if (aliases[alias] && aliases[alias] !== session) {
+            throw new SessionError("Session alias is already taken", { alias, sessionId: aliases[alias] });
+          }
+          aliases[alias] = session;
+          return Object.keys(aliases).filter(name => aliases[name] === session);
+        });
+        notifySessionChanged(session, { listChanged: true });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Session ${session} can now be referred to as "${alias}"`,
+              sessionId: session,
+              alias,
+              aliases: sessionAliases,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to set alias ${alias}:`, error);
+        }
+        return errorResponse(error, "Failed to set session alias");
+      }
+    }
+  );
+
+  // Remove a session alias; the session itself is kept
+  registerTool(
+    "remove_session_alias",
+    {
+      title: "Remove Session Alias",
+      description: "Remove an alias from a thinking session. The session itself is not affected.",
+      inputSchema: {
+        alias: z.string().describe("Alias to remove")
+      }
+    },
+    async ({ alias }) => {
+      try {
+        const session = await storage.updateAliases((aliases) => {
+          if (!aliases[alias]) {
+            throw new SessionError("Alias not found", { alias });
+          }
+          const target = aliases[alias];
+          delete aliases[alias];
+          return target;
+        });
+        notifySessionChanged(session, { listChanged: true });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Alias "${alias}" removed from session ${session}`,
+              sessionId: session,
+              alias,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to remove alias ${alias}:`, error);
+        }
+        return errorResponse(error, "Failed to remove session alias");
+      }
+    }
+  );
+
+  // Delete a session
+  registerTool(
+    "delete_session",
+    {
+      title: "Delete Session",
+      description: "Delete a thinking session, or move it to the archive",
+      inputSchema: {
+        sessionId: z.string().describe("Session ID or alias to delete"),
+        archive: z.boolean().optional().default(false).describe("Move the session to the archive instead, so restore_session can bring it back")
+      }
+    },
+    async ({ sessionId, archive: useArchive }) => {
+      try {
+        const session = await resolveSessionRef(sessionId);
+        let archived = null;
+        if (useArchive) {
+          if (!(await storage.hasSession(session))) {
+            throw new SessionError("Session not found", { sessionId: session });
+          }
+          archived = await archiveSession(session);
+        } else {
+          await removeSession(session);
+        }
+        
+        // If this was the default session, clear that too
+        const defaultSessionId = await storage.getDefaultSession();
+        if (defaultSessionId === session) {
+          await storage.clearDefaultSession();
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Session ${session} ${archived ? "archived" : "deleted"} successfully`,
+              wasDefault: defaultSessionId === session,
+              ...(archived && { archiveFile: archived.file }),
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to delete session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to delete session");
+      }
+    }
+  );
+
+  // Set or reset default session
+  registerTool(
+    "set_default_session",
+    {
+      title: "Set Default Session",
+      description: "Set or reset the default thinking session",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID or alias to set as default. If not provided, the default session will be cleared.")
+      }
+    },
+    async ({ sessionId: ref }) => {
+      try {
+        if (ref) {
+          const sessionId = await resolveSessionRef(ref);
+          
+          // Verify the session exists before setting it as default
+          if (!(await storage.hasSession(sessionId))) {
+            return {
+              content: [{
+                type: "text",
+                text: JSON.stringify({
+                  error: "Invalid session ID",
+                  message: `Session ${sessionId} does not exist`
+                }, null, 2)
+              }]
+            };
+          }
+          
+          // Set new default session
+          await storage.setDefaultSession(sessionId);
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                status: "success",
+                message: `Default session set to ${sessionId}`,
+                timestamp: new Date().toISOString()
+              }, null, 2)
+            }]
+          };
+        } else {
+          // Clear default session
+          await storage.clearDefaultSession();
+          
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                status: "success",
+                message: "Default session cleared",
+                timestamp: new Date().toISOString()
+              }, null, 2)
+            }]
+          };
+        }
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to set default session:`, error);
+        }
+        return errorResponse(error, "Failed to set default session");
+      }
+    }
+  );
+
+  // Remove sessions according to a retention policy, archiving them by default
+  registerTool(
+    "cleanup_sessions",
+    {
+      title: "Cleanup Sessions",
+      description: "Remove old or excess thinking sessions according to a retention policy. Removed sessions are moved to the archive (see restore_session) unless archive is false. The default session, pinned sessions and sessions still linked to from kept sessions are never removed. Use dry_run to preview.",
+      inputSchema: {
+        maxAgeDays: z.number().min(1).optional().describe(`Remove sessions not modified for more than this many days. If no limit is given, the configured retention policy is used.`),
+        max_sessions: z.number().int().min(0).optional().describe("Keep at most this many sessions, removing the least recently modified first"),
+        max_total_size_mb: z.number().positive().optional().describe("Keep the total size of all sessions under this many megabytes, removing the least recently modified first"),
+        exempt_tags: z.array(z.string()).optional().describe("Never remove sessions containing a thought with one of these tags (in addition to the configured exempt tags)"),
+        dry_run: z.boolean().optional().default(false).describe("Only report what would be removed"),
+        archive: z.boolean().optional().default(true).describe("Move removed sessions into the archive. Set to false to delete them permanently.")
+      }
+    },
+    async ({ maxAgeDays, max_sessions, max_total_size_mb, exempt_tags, dry_run, archive: useArchive }) => {
+      try {
+        const limits = {
+          ...(maxAgeDays !== undefined && { maxAgeDays }),
+          ...(max_sessions !== undefined && { maxSessions: max_sessions }),
+          ...(max_total_size_mb !== undefined && { maxTotalSizeBytes: Math.round(max_total_size_mb * 1024 * 1024) })
+        };
+        const policy = {
+          ...(Object.keys(limits).length > 0 ? limits : defaultRetentionPolicy(config)),
+          exemptTags: [...new Set([...config.retention.exemptTags, ...(exempt_tags || [])])]
+        };
+        const plan = await cleanupSessions(policy, { dryRun: dry_run, useArchive });
+        
+        const action = dry_run ? (useArchive ? "Would archive" : "Would delete") : (useArchive ? "Archived" : "Deleted");
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `${action} ${plan.remove.length} sessions`,
+              dry_run,
+              archived: useArchive,
+              policy,
+              removedCount: plan.remove.length,
+              removed: plan.remove,
+              exempt: plan.exempt,
+              ...(useArchive && { archiveDir: ARCHIVE_DIR }),
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error('Failed to clean up sessions:', error);
+        }
+        return errorResponse(error, "Failed to clean up sessions");
+      }
+    }
+  );
+
+  // Bring an archived session back into storage
+  registerTool(
+    "restore_session",
+    {
+      title: "Restore Session",
+      description: "Restore a session that cleanup_sessions (or delete_session with archive) moved to the archive, together with its metadata and aliases. List archived sessions with list_sessions and archived: true.",
+      inputSchema: {
+        sessionId: z.string().describe("ID of the archived session"),
+        file: z.string().optional().describe("Archive file to restore when the session was archived more than once. Defaults to the newest copy."),
+        restore_as: z.string().optional().describe("Restore under this session ID instead, e.g. when the original ID is in use again")
+      }
+    },
+    async ({ sessionId, file, restore_as }) => {
+      try {
+        validateSessionId(sessionId);
+        const target = restore_as || sessionId;
+        if (restore_as) {
+          await assertSessionNameAvailable(restore_as, 'restore_as');
+        } else if (await storage.hasSession(target) || (await storage.getAliases())[target]) {
+          // The original ID may have been taken by a session or an alias since
+          throw new SessionError("Session already exists", {
+            sessionId: target,
+            message: "Choose another ID with restore_as"
+          });
+        }
+        
+        const { file: archiveFile, bundle } = await archive.readArchived(sessionId, file);
+        
+        // Thoughts keep their IDs unless another session has taken them in the meantime
+        const idMap = await collidingThoughtIds(bundle.thoughts);
+        const restored = remapThoughtIds(bundle.thoughts, idMap);
+        // Links to thoughts that were already missing when the session was archived are restored as they were
+        const danglingReferences = findDanglingReferences(restored);
+        await storage.updateSession(target, (thoughts, metadata) => {
+          if (thoughts.length > 0) {
+            throw new SessionError("Session already exists", { sessionId: target });
+          }
+          Object.assign(metadata, bundle.session.metadata);
+          thoughts.push(...restored);
+        });
+        
+        // Aliases come back unless the name has been taken by another session or alias
+        const restoredAliases = [];
+        const skippedAliases = [];
+        const sessionIds = new Set((await storage.listSessions()).map(info => info.sessionId));
+        await storage.updateAliases((aliases) => {
+          for (const alias of bundle.session.aliases || []) {
+            if (alias in aliases || sessionIds.has(alias)) {
+              skippedAliases.push(alias);
+            } else {
+              aliases[alias] = target;
+              restoredAliases.push(alias);
+            }
+          }
+        });
+        
+        // Other sessions link to the restored thoughts by the session and thought IDs they were archived under.
+        // Links into a session that has taken the original ID since are left to it.
+        const liveIds = target !== sessionId && await storage.hasSession(sessionId)
+          ? new Set((await storage.loadSession(sessionId)).map(t => t.id))
+          : new Set();
+        const moved = new Map();
+        for (const { id } of bundle.thoughts) {
+          const newId = idMap.get(id) || id;
+          if (!liveIds.has(id) && (target !== sessionId || newId !== id)) moved.set(id, newId);
+        }
+        const linksRedirectedIn = moved.size === 0 ? [] : await redirectIncomingLinks([target], rel =>
+          rel.session_id === sessionId && moved.has(rel.thought_id) ? { session_id: target, thought_id: moved.get(rel.thought_id) } : null);
+        
+        await archive.removeArchived(archiveFile);
+        notifySessionChanged(target, { listChanged: true });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Restored session ${sessionId}${target !== sessionId ? ` as ${target}` : ""}`,
+              sessionId: target,
+              restoredFrom: archiveFile,
+              thoughtCount: restored.length,
+              aliases: restoredAliases,
+              ...(skippedAliases.length > 0 && { aliasesSkipped: skippedAliases }),
+              remappedIds: Object.fromEntries(idMap),
+              ...(linksRedirectedIn.length > 0 && { linksRedirectedIn }),
+              ...(danglingReferences.length > 0 && { danglingReferences }),
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to restore session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to restore session");
+      }
+    }
+  );
+
+  // Find thought relationships tool - helps AI discover related thoughts efficiently
+  registerTool(
+    "find_thought_relationships",
+    {
+      title: "Find Thought Relationships",
+      description: "Search for thoughts that could be related to current reasoning, helping AI build coherent argument chains. Results are ranked by relevance (BM25).",
+      inputSchema: {
+        query: z.string().describe("Search query matched against content, tags, and modes. Words match any form (\"caching\" finds \"cached\"), \"quoted phrases\" must appear verbatim, and prefix* matches words starting with the prefix"),
+        sessionId: z.string().optional().describe("Session ID to search in. If not provided, the default session will be used if available."),
+        all_sessions: z.boolean().optional().default(false).describe("Search every session instead of one; results are grouped by session"),
+        relationship_types: z.array(z.enum(RELATIONSHIP_TYPES)).optional().describe("Filter by specific relationship types"),
+        exclude_thought_id: z.string().optional().describe("Exclude a specific thought ID from results (useful to avoid self-reference)"),
+        include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts (excluded by default)"),
+        limit: z.number().min(1).max(20).default(10).describe("Maximum number of results to return")
+      }
+    },
+    async ({ query, sessionId, all_sessions, relationship_types, exclude_thought_id, include_retracted, limit }) => {
+      try {
+        // Sessions no longer stored (deleted, archived or renamed, possibly by another process) leave the index
+        const lastModified = await storage.listLastModified();
+        searchIndex.retainSessions(Object.keys(lastModified));
+        
+        // Only sessions changed since they were last indexed are loaded again
+        let sessionIds;
+        if (all_sessions) {
+          const entries = Object.entries(lastModified).map(([id, modified]) => ({ sessionId: id, lastModified: modified }));
+          // Sessions that cannot be read are left out, as in list_sessions
+          sessionIds = await searchIndex.refresh(entries, id => storage.loadSession(id).catch(() => null));
+        } else {
+          const { session } = await resolveSession(sessionId);
+          sessionIds = await searchIndex.refresh([{ sessionId: session, lastModified: lastModified[session] ?? null }], id => storage.loadSession(id));
+        }
+        
+        const searchedThoughts = searchIndex.countThoughts(sessionIds);
+        
+        const searchResults = searchIndex.search(sessionIds, query)
+          .filter(({ thought: t }) => {
+            // Exclude specific thought if requested
+            if (exclude_thought_id && t.id === exclude_thought_id) return false;
+            
+            // Skip withdrawn thoughts unless asked for them
+            if (t.retracted && !include_retracted) return false;
+            
+            // Filter by relationship types if specified
+            if (relationship_types && relationship_types.length > 0) {
+              const outgoing = t.relationships_out || [];
+              if (!outgoing.some(rel => relationship_types.includes(rel.relationship_type))) return false;
+            }
+            
+            return true;
+          })
+          .slice(0, limit)
+          .map(({ sessionId: id, thought: t, score }) => {
+            return {
+              sessionId: id,
+              result: {
+                id: t.id,
+                content_preview: t.content.substring(0, config.previews.searchResults) + (t.content.length > config.previews.searchResults ? "..." : ""),
+                mode: t.mode,
+                tags: t.tags,
+                timestamp: t.timestamp,
+                relates_to: t.relates_to,
+                relationship_type: t.relationship_type,
+                ...(t.retracted && { retracted: true }),
+                relevance_score: Math.round(score * 1000) / 1000
+              }
+            };
+          });
+        
+        let response;
+        if (all_sessions) {
+          // Group by session, sessions ordered by their best match
+          const groups = new Map();
+          for (const { sessionId: id, result } of searchResults) {
+            if (!groups.has(id)) groups.set(id, []);
+            groups.get(id).push(result);
+          }
+          response = {
+            sessions: [...groups].map(([id, results]) => ({ sessionId: id, total: results.length, results })),
+            total: searchResults.length,
+            query: query,
+            searched_sessions: sessionIds.length,
+            searched_thoughts: searchedThoughts
+          };
+        } else {
+          response = {
+            results: searchResults.map(({ result }) => result),
+            total: searchResults.length,
+            query: query,
+            sessionId: sessionIds[0],
+            searched_thoughts: searchedThoughts
+          };
+        }
+        
+        return { content: [{ type: "text", text: JSON.stringify(response, null, 2) }] };
+        
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error('Failed to find thought relationships:', error);
+        }
+        return errorResponse(error, "Failed to find relationships");
+      }
+    }
+  );
+
+  // Query thoughts with structured filters, sorting and cursor-based pagination
+  registerTool(
+    "query_thoughts",
+    {
+      title: "Query Thoughts",
+      description: "List the thoughts of a session matching structured filters (time range, modes, tags, relationships). Filters combine with AND; results are paged with a cursor.",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID to query. If not provided, the default session will be used if available."),
+        after: z.string().optional().describe("Only thoughts recorded at or after this ISO 8601 timestamp or date"),
+        before: z.string().optional().describe("Only thoughts recorded before this ISO 8601 timestamp or date"),
+        within_days: z.number().positive().optional().describe("Only thoughts from the last N days (e.g. 7 for the last week)"),
+        modes: z.array(z.enum(THINKING_MODES)).optional().describe("Only thoughts in one of these modes"),
+        tags_all: z.array(z.string()).optional().describe("Only thoughts carrying every one of these tags"),
+        tags_any: z.array(z.string()).optional().describe("Only thoughts carrying at least one of these tags"),
+        has_incoming_contradictions: z.boolean().optional().describe("true: only thoughts contradicted by another thought (contradicts or another conflicting relationship type); false: only uncontradicted ones"),
+        is_leaf: z.boolean().optional().describe("true: only thoughts nothing else relates to yet (no incoming relationships); false: only thoughts with incoming relationships"),
+        include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts (excluded by default)"),
+        sort_by: z.enum(["timestamp", "incoming_relationships", "outgoing_relationships"]).optional().default("timestamp").describe("Field to sort by"),
+        order: z.enum(["asc", "desc"]).optional().default("asc").describe("Sort direction"),
+        cursor: z.string().optional().describe("next_cursor from a previous call, to fetch the following page"),
+        limit: z.number().int().min(1).max(100).default(20).describe("Maximum number of thoughts per page")
+      }
+    },
+    async ({ sessionId, after, before, within_days, modes, tags_all, tags_any, has_incoming_contradictions, is_leaf, include_retracted, sort_by, order, cursor, limit }) => {
+      try {
+        const { session } = await resolveSession(sessionId);
+        
+        // Collect the time bounds; all of them must hold
+        const parseTime = (value, name) => {
+          const time = Date.parse(value);
+          if (Number.isNaN(time)) {
+            throw new SessionError("Invalid timestamp", { parameter: name, value });
+          }
+          return time;
+        };
+        const afterTimes = [];
+        if (after) afterTimes.push(parseTime(after, 'after'));
+        if (within_days) afterTimes.push(Date.now() - within_days * 24 * 60 * 60 * 1000);
+        const beforeTime = before ? parseTime(before, 'before') : null;
+        
+        const thoughts = await storage.loadSession(session);
+        const adjacency = buildAdjacency(thoughts, { includeRetracted: include_retracted });
+        
+        const matches = [...adjacency.nodes.values()].filter(t => {
+          const time = Date.parse(t.timestamp);
+          if (afterTimes.some(bound => time < bound)) return false;
+          if (beforeTime !== null && time >= beforeTime) return false;
+          
+          if (modes && modes.length > 0 && !modes.includes(t.mode)) return false;
+          
+          const thoughtTags = t.tags || [];
+          if (tags_all && !tags_all.every(tag => thoughtTags.includes(tag))) return false;
+          if (tags_any && tags_any.length > 0 && !tags_any.some(tag => thoughtTags.includes(tag))) return false;
+          
+          const incoming = adjacency.incoming.get(t.id);
+          if (has_incoming_contradictions !== undefined
+            && incoming.some(rel => vocabulary.isConflicting(rel.relationship_type)) !== has_incoming_contradictions) return false;
+          if (is_leaf !== undefined && (incoming.length === 0) !== is_leaf) return false;
+          
+          return true;
+        });
+        
+        // Session order breaks ties, so cursors stay stable between pages
+        const position = new Map(thoughts.map((t, index) => [t.id, index]));
+        const sortValue = {
+          timestamp: t => t.timestamp,
+          incoming_relationships: t => adjacency.incoming.get(t.id).length,
+          outgoing_relationships: t => adjacency.outgoing.get(t.id).length
+        }[sort_by];
+        
+        const { page, next_cursor, total } = paginate(matches, {
+          keyOf: t => [sortValue(t), position.get(t.id)],
+          order,
+          cursor,
+          limit,
+          scope: `query:${session}:${sort_by}:${order}`
+        });
+        
+        const responseJson = {
+          sessionId: session,
+          results: page.map(t => ({
+            id: t.id,
+            content_preview: t.content.substring(0, config.previews.searchResults) + (t.content.length > config.previews.searchResults ? "..." : ""),
+            mode: t.mode,
+            tags: t.tags,
+            timestamp: t.timestamp,
+            relates_to: t.relates_to,
+            relationship_type: t.relationship_type,
+            incoming_relationships: adjacency.incoming.get(t.id).length,
+            outgoing_relationships: adjacency.outgoing.get(t.id).length,
+            ...(t.retracted && { retracted: true })
+          })),
+          total,
+          returned: page.length,
+          next_cursor,
+          timestamp: new Date().toISOString()
+        };
+        
+        return { content: [{ type: "text", text: JSON.stringify(responseJson, null, 2) }] };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to query thoughts in session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to query thoughts");
+      }
+    }
+  );
+
+  // Revise a thought, keeping its previous version in the revision history
+  registerTool(
+    "revise_thought",
+    {
+      title: "Revise Thought",
+      description: "Correct the content, tags or mode of an existing thought. The previous version is kept in the thought's revision history.",
+      inputSchema: {
+        thoughtId: z.string().describe("ID of the thought to revise"),
+        sessionId: z.string().optional().describe("Session ID containing the thought. If not provided, the default session will be used if available."),
+        content: z.string().optional().describe(`New reasoning text for the thought (at most ${INPUT_LIMITS.reasoningLength} characters)`),
+        mode: z.enum(THINKING_MODES).optional().describe("New thinking mode"),
+        tags: z.array(z.string()).optional().describe(`New tags (replaces the existing tags; at most ${INPUT_LIMITS.tagCount} tags of up to ${INPUT_LIMITS.tagLength} characters)`),
+        reason: z.string().optional().describe("Why the thought is being revised"),
+        author: z.string().optional().describe("Who is making the revision")
+      }
+    },
+    async ({ thoughtId, sessionId, content, mode, tags, reason, author }) => {
+      try {
+        if (content === undefined && mode === undefined && tags === undefined) {
+          throw new SessionError("Nothing to revise", { message: "Provide at least one of content, mode or tags" });
+        }
+        validateThoughtInput({ text: content, tags }, 'content');
+        
+        const { session } = await resolveSession(sessionId);
+        const revised = await storage.updateSession(session, (thoughts) => {
+          const thought = findThought(thoughts, thoughtId, session);
+          if (thought.retracted) {
+            throw new SessionError("Cannot revise a retracted thought", { thought_id: thoughtId });
+          }
+          
+          const now = new Date().toISOString();
+          thought.revisions = thought.revisions || [];
+          thought.revisions.push({
+            content: thought.content,
+            mode: thought.mode,
+            tags: thought.tags,
+            revised_at: now,
+            revised_by: author || null,
+            reason: reason || null
+          });
+          
+          if (content !== undefined) thought.content = content;
+          if (mode !== undefined) thought.mode = mode;
+          if (tags !== undefined) thought.tags = tags;
+          thought.last_revised = now;
+          return thought;
+        });
+        notifySessionChanged(session, { thoughtIds: [thoughtId] });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Thought ${thoughtId} revised`,
+              sessionId: session,
+              thought: revised,
+              revisionCount: revised.revisions.length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to revise thought ${thoughtId}:`, error);
+        }
+        return errorResponse(error, "Failed to revise thought");
+      }
+    }
+  );
+
+  // Retract a thought, optionally pointing at the thought that supersedes it
+  registerTool(
+    "retract_thought",
+    {
+      title: "Retract Thought",
+      description: "Mark a thought as withdrawn. Retracted thoughts stay in the session for history but are hidden from views and searches by default. Optionally name the thought that supersedes it.",
+      inputSchema: {
+        thoughtId: z.string().describe("ID of the thought to retract"),
+        sessionId: z.string().optional().describe("Session ID containing the thought. If not provided, the default session will be used if available."),
+        reason: z.string().optional().describe("Why the thought is being retracted"),
+        superseded_by: z.string().optional().describe("ID of a thought in the same session that replaces the retracted one"),
+        author: z.string().optional().describe("Who is retracting the thought")
+      }
+    },
+    async ({ thoughtId, sessionId, reason, superseded_by, author }) => {
+      try {
+        const { session } = await resolveSession(sessionId);
+        const retracted = await storage.updateSession(session, (thoughts) => {
+          const thought = findThought(thoughts, thoughtId, session);
+          if (thought.retracted) {
+            throw new SessionError("Thought already retracted", { thought_id: thoughtId, retracted: thought.retracted });
+          }
+          
+          if (superseded_by) {
+            if (superseded_by === thoughtId) {
+              throw new SessionError("A thought cannot supersede itself");
+            }
+            const successor = findThought(thoughts, superseded_by, session);
+            if (successor.retracted) {
+              throw new SessionError("Superseding thought is retracted", { thought_id: superseded_by });
+            }
+            
+            // Record the supersedes edge on both sides
+            successor.relationships_out.push({ thought_id: thoughtId, relationship_type: 'supersedes' });
+            thought.relationships_in.push({ thought_id: superseded_by, relationship_type: 'supersedes' });
+          }
+          
+          thought.retracted = {
+            retracted_at: new Date().toISOString(),
+            retracted_by: author || null,
+            reason: reason || null,
+            superseded_by: superseded_by || null
+          };
+          return thought;
+        });
+        notifySessionChanged(session, { thoughtIds: [thoughtId, superseded_by].filter(Boolean) });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: superseded_by
+                ? `Thought ${thoughtId} retracted and superseded by ${superseded_by}`
+                : `Thought ${thoughtId} retracted`,
+              sessionId: session,
+              thoughtId,
+              retracted: retracted.retracted,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to retract thought ${thoughtId}:`, error);
+        }
+        return errorResponse(error, "Failed to retract thought");
+      }
+    }
+  );
+
+  // Add a relationship between two existing thoughts
+  registerTool(
+    "link_thoughts",
+    {
+      title: "Link Thoughts",
+      description: "Record a relationship between two thoughts that already exist in a session, e.g. when you realise later that one thought contradicts an earlier one",
+      inputSchema: {
+        from_thought_id: z.string().describe("ID of the thought that holds the relationship (e.g. the thought that contradicts)"),
+        to_thought_id: z.string().describe("ID of the thought being referenced"),
+        relationship_type: z.enum(RELATIONSHIP_TYPES).describe(`Type of relationship from the first thought to the second: ${vocabulary.describeRelationshipTypes()}`),
+        sessionId: z.string().optional().describe("Session ID containing both thoughts. If not provided, the default session will be used if available.")
+      }
+    },
+    async ({ from_thought_id, to_thought_id, relationship_type, sessionId }) => {
+      try {
+        if (from_thought_id === to_thought_id) {
+          throw new SessionError("Cannot reference self");
+        }
+        
+        const { session } = await resolveSession(sessionId);
+        await storage.updateSession(session, (thoughts) => {
+          const from = findThought(thoughts, from_thought_id, session);
+          const to = findThought(thoughts, to_thought_id, session);
+          
+          for (const thought of [from, to]) {
+            if (thought.retracted) {
+              throw new SessionError("Cannot link a retracted thought", { thought_id: thought.id });
+            }
+          }
+          
+          if (from.relationships_out.some(rel => rel.thought_id === to_thought_id && rel.relationship_type === relationship_type)) {
+            throw new SessionError("Relationship already exists", { from_thought_id, to_thought_id, relationship_type });
+          }
+          
+          if (vocabulary.isTransitive(relationship_type) && wouldCreateChainCycle(thoughts, from_thought_id, to_thought_id, vocabulary.isTransitive)) {
+            throw new SessionError(`Relationship would create a ${relationship_type} cycle`, { from_thought_id, to_thought_id });
+          }
+          
+          from.relationships_out.push({ thought_id: to_thought_id, relationship_type });
+          to.relationships_in.push({ thought_id: from_thought_id, relationship_type });
+          updatePrimaryLink(from);
+        });
+        notifySessionChanged(session, { thoughtIds: [from_thought_id, to_thought_id] });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Linked ${from_thought_id} ${relationship_type} ${to_thought_id}`,
+              sessionId: session,
+              from_thought_id,
+              to_thought_id,
+              relationship_type,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to link ${from_thought_id} to ${to_thought_id}:`, error);
+        }
+        return errorResponse(error, "Failed to link thoughts");
+      }
+    }
+  );
+
+  // Remove a relationship between two existing thoughts
+  registerTool(
+    "unlink_thoughts",
+    {
+      title: "Unlink Thoughts",
+      description: "Remove a relationship between two thoughts in a session. Without relationship_type, every relationship from the first thought to the second is removed.",
+      inputSchema: {
+        from_thought_id: z.string().describe("ID of the thought that holds the relationship"),
+        to_thought_id: z.string().describe("ID of the referenced thought"),
+        relationship_type: z.enum(RELATIONSHIP_TYPES).optional().describe("Only remove this type of relationship"),
+        sessionId: z.string().optional().describe("Session ID containing both thoughts. If not provided, the default session will be used if available.")
+      }
+    },
+    async ({ from_thought_id, to_thought_id, relationship_type, sessionId }) => {
+      try {
+        const { session } = await resolveSession(sessionId);
+        const removed = await storage.updateSession(session, (thoughts) => {
+          const from = findThought(thoughts, from_thought_id, session);
+          const to = findThought(thoughts, to_thought_id, session);
+          
+          // supersedes edges belong to retract_thought and are left alone
+          const matches = (rel, otherId) => rel.thought_id === otherId &&
+            RELATIONSHIP_TYPES.includes(rel.relationship_type) &&
+            (!relationship_type || rel.relationship_type === relationship_type);
+          
+          const removedTypes = from.relationships_out
+            .filter(rel => matches(rel, to_thought_id))
+            .map(rel => rel.relationship_type);
+          if (removedTypes.length === 0) {
+            throw new SessionError("Relationship not found", { from_thought_id, to_thought_id, relationship_type: relationship_type || null });
+          }
+          
+          from.relationships_out = from.relationships_out.filter(rel => !matches(rel, to_thought_id));
+          to.relationships_in = to.relationships_in.filter(rel => !matches(rel, from_thought_id));
+          updatePrimaryLink(from);
+          return removedTypes;
+        });
+        notifySessionChanged(session, { thoughtIds: [from_thought_id, to_thought_id] });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Removed ${removed.join(', ')} relationship from ${from_thought_id} to ${to_thought_id}`,
+              sessionId: session,
+              from_thought_id,
+              to_thought_id,
+              removed_types: removed,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to unlink ${from_thought_id} from ${to_thought_id}:`, error);
+        }
+        return errorResponse(error, "Failed to unlink thoughts");
+      }
+    }
+  );
+
+  // Query the reasoning graph around a thought
+  registerTool(
+    "get_thought_graph",
+    {
+      title: "Get Thought Graph",
+      description: "Explore the reasoning graph of a session: the ancestors (thoughts it draws on) and descendants (thoughts that draw on it) of a thought across all relationship types, plus the session's branch points, open lines of reasoning (leaves) and orphan thoughts",
+      inputSchema: {
+        thoughtId: z.string().optional().describe("Thought to explore around. If omitted, only the session-wide analysis is returned."),
+        sessionId: z.string().optional().describe("Session ID to explore. If not provided, the default session will be used if available."),
+        direction: z.enum(["ancestors", "descendants", "both"]).optional().default("both").describe("Which way to walk from the thought"),
+        depth: z.number().int().min(1).max(20).optional().default(3).describe("How many relationship hops to follow"),
+        relationship_types: z.array(z.enum([...RELATIONSHIP_TYPES, "supersedes"])).optional().describe("Only follow these relationship types"),
+        relationship_property: z.enum(["transitive", "conflicting", "supporting"]).optional().describe("Only follow relationship types with this property, e.g. transitive to walk reasoning chains (builds_on and similar types), conflicting for disagreements"),
+        include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts in the graph"),
+        limit: z.number().int().min(1).max(200).optional().default(50).describe("Maximum number of entries in each returned list")
+      }
+    },
+    async ({ thoughtId, sessionId, direction, depth, relationship_types, relationship_property, include_retracted, limit }) => {
+      try {
+        const { session } = await resolveSession(sessionId);
+        const thoughts = await storage.loadSession(session);
+        
+        let followedTypes = relationship_types && relationship_types.length > 0 ? relationship_types : null;
+        if (relationship_property) {
+          const hasProperty = {
+            transitive: vocabulary.isTransitive,
+            conflicting: vocabulary.isConflicting,
+            supporting: vocabulary.isSupporting
+          }[relationship_property];
+          followedTypes = (followedTypes || RELATIONSHIP_TYPES).filter(hasProperty);
+        }
+        const adjacency = buildAdjacency(thoughts, {
+          relationshipTypes: followedTypes,
+          includeRetracted: include_retracted
+        });
+        
+        const describe = (id) => {
+          const thought = adjacency.nodes.get(id);
+          return {
+            id,
+            content_preview: thought.content.substring(0, config.previews.chainAndGraph) + (thought.content.length > config.previews.chainAndGraph ? "..." : ""),
+            mode: thought.mode,
+            tags: thought.tags,
+            ...(thought.retracted && { retracted: true })
+          };
+        };
+        const capped = (items, map) => ({
+          items: items.slice(0, limit).map(map),
+          total: items.length,
+          truncated: items.length > limit
+        });
+        
+        const responseJson = {
+          sessionId: session,
+          thoughtCount: adjacency.nodes.size
+        };
+        
+        if (thoughtId) {
+          if (!adjacency.nodes.has(thoughtId)) {
+            throw new SessionError(
+              thoughts.some(t => t.id === thoughtId) ? "Thought is retracted" : "Thought not found",
+              { thought_id: thoughtId, sessionId: session }
+            );
+          }
+          
+          const ancestors = direction === 'descendants' ? [] : traverse(adjacency, thoughtId, 'ancestors', depth);
+          const descendants = direction === 'ancestors' ? [] : traverse(adjacency, thoughtId, 'descendants', depth);
+          const subgraphIds = new Set([thoughtId, ...ancestors.map(n => n.id), ...descendants.map(n => n.id)]);
+          const withDepth = ({ id, depth: hops, via }) => ({ ...describe(id), depth: hops, via });
+          
+          responseJson.root = describe(thoughtId);
+          responseJson.depth = depth;
+          responseJson.ancestors = capped(ancestors, withDepth);
+          responseJson.descendants = capped(descendants, withDepth);
+          responseJson.edges = collectEdges(adjacency, subgraphIds);
+        }
+        
+        const { branchPoints, leaves, orphans } = analyzeGraph(adjacency);
+        responseJson.branch_points = capped(branchPoints, ({ id, incoming }) => ({ ...describe(id), incoming }));
+        responseJson.leaves = capped(leaves, ({ id }) => describe(id));
+        responseJson.orphans = capped(orphans, ({ id }) => describe(id));
+        
+        // Links into other sessions, flagged as missing once their target session or thought is gone
+        const crossSessionEdges = thoughts
+          .filter(t => adjacency.nodes.has(t.id))
+          .flatMap(t => (t.cross_session_relationships || []).map(rel => ({ from: t.id, session_id: rel.session_id, to: rel.thought_id, relationship_type: rel.relationship_type })));
+        if (crossSessionEdges.length > 0) {
+          const targets = await loadSessionsById(crossSessionEdges.map(edge => edge.session_id));
+          responseJson.cross_session_edges = capped(crossSessionEdges, (edge) => {
+            const target = (targets.get(edge.session_id) || []).find(t => t.id === edge.to);
+            if (!target) return { ...edge, missing: true };
+            return {
+              ...edge,
+              content_preview: target.content.substring(0, config.previews.chainAndGraph) + (target.content.length > config.previews.chainAndGraph ? "..." : ""),
+              ...(target.retracted && { retracted: true })
+            };
+          });
+        }
+        responseJson.timestamp = new Date().toISOString();
+        
+        return { content: [{ type: "text", text: JSON.stringify(responseJson, null, 2) }] };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error('Failed to build thought graph:', error);
+        }
+        return errorResponse(error, "Failed to build thought graph");
+      }
     }
-  }
-);
-
-// Delete a session
-server.registerTool(
-  "delete_session",
-  {
-    title: "Delete Session",
-    description: "Delete a thinking session",
-    inputSchema: {
-      sessionId: z.string().describe("Session ID to delete")
-    }
-  },
-  async ({ sessionId }) => {
-    try {
-      const sessionPath = path.join(SESSION_DIR, `${sessionId}.json`);
-      await fs.unlink(sessionPath);
-      
-      // If this was the default session, clear that too
-      const defaultSessionId = await getDefaultSession();
-      if (defaultSessionId === sessionId) {
-        const defaultSessionPath = path.join(SESSION_DIR, 'defaultSession.json');
-        try {
-          await fs.unlink(defaultSessionPath);
-        } catch (error) {
-          // Ignore if file doesn't exist
+  );
+
+  // Export a session as a human-readable report or diagram
+  registerTool(
+    "export_session",
+    {
+      title: "Export Session",
+      description: "Render a thinking session for humans: a Markdown report grouped by mode or tag with relationship annotations, or a Mermaid / Graphviz DOT diagram of the relationship graph",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID to export. If not provided, the default session will be used if available."),
+        format: z.enum(EXPORT_FORMATS).optional().default("markdown").describe("Output format"),
+        group_by: z.enum(["mode", "tag", "none"]).optional().default("mode").describe("How to group thoughts in the Markdown report"),
+        include_retracted: z.boolean().optional().default(false).describe("Include retracted thoughts")
+      }
+    },
+    async ({ sessionId, format, group_by, include_retracted }) => {
+      try {
+        const { session } = await resolveSession(sessionId);
+        if (!(await storage.hasSession(session))) {
+          throw new SessionError("Session not found", { sessionId: session });
         }
+        
+        const thoughts = await storage.loadSession(session);
+        const rendered = renderSession(session, thoughts, { format, groupBy: group_by, includeRetracted: include_retracted, vocabulary });
+        
+        // Return the document itself so it can be pasted straight into docs and reviews
+        return { content: [{ type: "text", text: rendered }] };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to export session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to export session");
       }
-      
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            status: "success",
-            message: `Session ${sessionId} deleted successfully`,
-            wasDefault: defaultSessionId === sessionId,
-            timestamp: new Date().toISOString()
-          }, null, 2)
-        }]
-      };
-    } catch (error) {
-      console.error(`Failed to delete session ${sessionId}:`, error);
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: "Failed to delete session",
-            message: error.message
-          }, null, 2)
-        }]
-      };
     }
-  }
-);
-
-// Set or reset default session
-server.registerTool(
-  "set_default_session",
-  {
-    title: "Set Default Session",
-    description: "Set or reset the default thinking session",
-    inputSchema: {
-      sessionId: z.string().optional().describe("Session ID to set as default. If not provided, the default session will be cleared.")
-    }
-  },
-  async ({ sessionId }) => {
-    try {
-      if (sessionId) {
-        // Verify the session exists before setting it as default
-        const sessionPath = path.join(SESSION_DIR, `${sessionId}.json`);
-        try {
-          await fs.access(sessionPath);
-        } catch (error) {
-          return {
-            content: [{
-              type: "text",
-              text: JSON.stringify({
-                error: "Invalid session ID",
-                message: `Session ${sessionId} does not exist`
-              }, null, 2)
-            }]
-          };
+  );
+
+  // Export a session as a portable bundle
+  registerTool(
+    "export_bundle",
+    {
+      title: "Export Session Bundle",
+      description: "Export a session as a self-describing JSON bundle (session metadata, thoughts and schema version) that import_session can load on another machine",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID to export. If not provided, the default session will be used if available."),
+        file: z.string().optional().describe("Write the bundle to a file with this name in the server's export directory instead of returning it, e.g. \"auth-migration.json\"")
+      }
+    },
+    async ({ sessionId, file }) => {
+      try {
+        if (file) validateBundleFileName(file);
+        const { session } = await resolveSession(sessionId);
+        if (!(await storage.hasSession(session))) {
+          throw new SessionError("Session not found", { sessionId: session });
+        }
+        
+        const bundle = createBundle(session, await storage.loadSession(session), SERVER_INFO, await storage.getSessionMetadata(session));
+        const bundleJson = JSON.stringify(bundle, null, 2);
+        
+        if (!file) {
+          return { content: [{ type: "text", text: bundleJson }] };
         }
         
-        // Set new default session
-        await setDefaultSession(sessionId);
+        await fs.mkdir(EXPORT_DIR, { recursive: true });
+        await writeFileAtomic(path.join(EXPORT_DIR, file), bundleJson);
         return {
           content: [{
             type: "text",
             text: JSON.stringify({
               status: "success",
-              message: `Default session set to ${sessionId}`,
+              message: `Session ${session} exported to ${file}`,
+              sessionId: session,
+              thoughtCount: bundle.thoughts.length,
+              file,
+              exportDir: EXPORT_DIR,
               timestamp: new Date().toISOString()
             }, null, 2)
           }]
         };
-      } else {
-        // Clear default session
-        const defaultSessionPath = path.join(SESSION_DIR, 'defaultSession.json');
-        try {
-          await fs.unlink(defaultSessionPath);
-        } catch (error) {
-          // Ignore if file doesn't exist
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to export bundle for session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to export bundle");
+      }
+    }
+  );
+
+  // Import a session from a bundle
+  registerTool(
+    "import_session",
+    {
+      title: "Import Session",
+      description: "Import a session from a bundle created by export_bundle. Thought IDs that already exist on this machine are remapped, and every reference to them is rewritten.",
+      inputSchema: {
+        bundle: z.string().optional().describe("Bundle JSON text"),
+        file: z.string().optional().describe("Name of a bundle file in the server's export directory to import (instead of bundle)"),
+        sessionId: z.string().optional().describe("Import under this session ID instead of the one in the bundle"),
+        append: z.boolean().optional().default(false).describe("Add the thoughts to the target session if it already exists")
+      }
+    },
+    async ({ bundle, file, sessionId, append }) => {
+      try {
+        if (!bundle && !file) {
+          throw new SessionError("No bundle provided", { message: "Provide either bundle or file" });
+        }
+        const parsed = parseBundle(bundle || await readBundleFile(file));
+        // Imported thoughts are held to the same rules as thoughts recorded with think
+        validateThoughts(parsed.thoughts);
+        
+        // Pick the target session; a taken bundle session ID is replaced unless a name was chosen explicitly
+        let target = sessionId ? validateSessionId(sessionId) : parsed.session.sessionId;
+        let renamedFrom = sessionId && sessionId !== parsed.session.sessionId ? parsed.session.sessionId : null;
+        if (!sessionId && !isValidSessionId(target)) {
+          // The bundle's own ID cannot be used on this machine
+          renamedFrom = target;
+          target = generateId('session');
+        }
+        if (!append && await storage.hasSession(target)) {
+          if (sessionId) {
+            throw new SessionError("Session already exists", {
+              sessionId,
+              message: "Choose another sessionId or set append to add the thoughts to it"
+            });
+          }
+          renamedFrom = target;
+          target = generateId('session');
+        } else if (!(await storage.hasSession(target))) {
+          // A new session must not shadow an alias
+          if (sessionId) {
+            await assertSessionNameAvailable(sessionId, 'sessionId');
+          } else if ((await storage.getAliases())[target]) {
+            renamedFrom = target;
+            target = generateId('session');
+          }
         }
         
+        // Thought IDs must stay unique across every session on this machine
+        const idMap = await collidingThoughtIds(parsed.thoughts);
+        const imported = remapThoughtIds(parsed.thoughts, idMap);
+        
+        const thoughtCount = await storage.updateSession(target, (thoughts, metadata) => {
+          if (!append && thoughts.length > 0) {
+            throw new SessionError("Session already exists", { sessionId: target });
+          }
+          // A new session takes over the bundle's metadata; appending keeps the target's own
+          if (!append) Object.assign(metadata, parsed.session.metadata);
+          thoughts.push(...imported);
+          return thoughts.length;
+        });
+        notifySessionChanged(target, { listChanged: true });
+        
         return {
           content: [{
             type: "text",
             text: JSON.stringify({
               status: "success",
-              message: "Default session cleared",
+              message: `Imported ${imported.length} thoughts into session ${target}`,
+              sessionId: target,
+              renamedFrom,
+              importedCount: imported.length,
+              thoughtCount,
+              remappedIds: Object.fromEntries(idMap),
               timestamp: new Date().toISOString()
             }, null, 2)
           }]
         };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error('Failed to import session:', error);
+        }
+        return errorResponse(error, "Failed to import session");
       }
-    } catch (error) {
-      console.error(`Failed to set default session:`, error);
+    }
+  );
+
+  // Branch a session into a new one, optionally only up to a given thought
+  registerTool(
+    "fork_session",
+    {
+      title: "Fork Session",
+      description: "Copy a thinking session into a new session to explore an alternative line of reasoning. With thought_id, only that thought and everything it draws on (its ancestors in the relationship graph) are copied.",
+      inputSchema: {
+        sessionId: z.string().optional().describe("Session ID or alias to fork. If not provided, the default session will be used if available."),
+        thought_id: z.string().optional().describe("Fork point: copy only this thought and its ancestors instead of the whole session"),
+        name: z.string().optional().describe("Name for the new session (lowercase letters, digits, '-' and '_'). If not provided, an ID is generated."),
+        title: z.string().max(200).optional().describe("Title for the new session. Defaults to the parent's title with \"(fork)\" appended.")
+      }
+    },
+    async ({ sessionId, thought_id, name, title }) => {
+      try {
+        const { session: parent } = await resolveSession(sessionId);
+        if (!(await storage.hasSession(parent))) {
+          throw new SessionError("Session not found", { sessionId: parent });
+        }
+        if (name) await assertSessionNameAvailable(name, 'name');
+        
+        const parentThoughts = await storage.loadSession(parent);
+        const parentMetadata = await storage.getSessionMetadata(parent);
+        
+        // Everything the fork point draws on, through any relationship type and including retracted thoughts
+        let copied = parentThoughts;
+        if (thought_id) {
+          findThought(parentThoughts, thought_id, parent);
+          const adjacency = buildAdjacency(parentThoughts, { includeRetracted: true });
+          const ids = new Set([thought_id, ...traverse(adjacency, thought_id, 'ancestors', Infinity).map(({ id }) => id)]);
+          copied = restrictToThoughts(parentThoughts, ids);
+        }
+        
+        // Thought IDs must stay unique across sessions, so every copy gets a new one
+        const idMap = new Map(copied.map(t => [t.id, generateId('thought')]));
+        const forkedThoughts = remapThoughtIds(copied, idMap);
+        
+        const target = name || generateId('session');
+        const now = new Date().toISOString();
+        const forkedFrom = { session_id: parent, thought_id: thought_id || null, forked_at: now };
+        await storage.updateSession(target, (thoughts, metadata) => {
+          if (thoughts.length > 0) {
+            throw new SessionError("Session already exists", { sessionId: target });
+          }
+          thoughts.push(...forkedThoughts);
+          const { title: parentTitle, description, goal, owner } = parentMetadata;
+          Object.assign(metadata, { description, goal, owner }, {
+            title: title || (parentTitle ? `${parentTitle} (fork)` : undefined),
+            status: "active",
+            forked_from: forkedFrom,
+            created_at: now,
+            updated_at: now
+          });
+          for (const key of Object.keys(metadata)) {
+            if (metadata[key] === undefined) delete metadata[key];
+          }
+        });
+        notifySessionChanged(target, { listChanged: true });
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Forked ${forkedThoughts.length} of ${parentThoughts.length} thoughts from session ${parent} into ${target}`,
+              sessionId: target,
+              forked_from: forkedFrom,
+              fork_point_thought_id: thought_id ? idMap.get(thought_id) : null,
+              thoughtCount: forkedThoughts.length,
+              timestamp: now
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error(`Failed to fork session ${sessionId}:`, error);
+        }
+        return errorResponse(error, "Failed to fork session");
+      }
+    }
+  );
+
+  // Consolidate several sessions into one
+  registerTool(
+    "merge_sessions",
+    {
+      title: "Merge Sessions",
+      description: "Combine the thoughts of several thinking sessions into a new session, ordered by timestamp. Thoughts with identical content are merged and all relationships are kept consistent. Optionally adds a thought that synthesizes the merged roots.",
+      inputSchema: {
+        session_ids: z.array(z.string()).min(2).describe("Session IDs or aliases to merge, in order of precedence"),
+        name: z.string().optional().describe("Name for the merged session (lowercase letters, digits, '-' and '_'). If not provided, an ID is generated."),
+        title: z.string().max(200).optional().describe("Title for the merged session"),
+        synthesis: z.string().optional().describe("Text of a thought to add that synthesizes the roots of the merged reasoning (thoughts that do not draw on any other)"),
+        remove_sources: z.boolean().optional().default(false).describe("Delete the source sessions after merging; their aliases and default status move to the merged session. Thought IDs are then kept where possible instead of being replaced.")
+      }
+    },
+    async ({ session_ids, name, title, synthesis, remove_sources }) => {
+      try {
+        if (synthesis !== undefined) validateThoughtInput({ text: synthesis }, 'synthesis');
+        
+        const sourceIds = [];
+        for (const ref of session_ids) {
+          const id = await resolveSessionRef(ref);
+          if (!(await storage.hasSession(id))) {
+            throw new SessionError("Session not found", { sessionId: ref });
+          }
+          if (!sourceIds.includes(id)) sourceIds.push(id);
+        }
+        if (sourceIds.length < 2) {
+          throw new SessionError("Nothing to merge", { message: "Provide at least two different sessions" });
+        }
+        if (name) await assertSessionNameAvailable(name, 'name');
+        
+        const sources = [];
+        for (const sessionId of sourceIds) {
+          sources.push({ sessionId, thoughts: await storage.loadSession(sessionId) });
+        }
+        
+        // Thought IDs must stay unique across sessions: copies get new IDs, a move keeps them unless taken elsewhere
+        // Sessions linking into a source are noted too, so a move can redirect those links
+        const takenIds = new Set();
+        const referencingIds = [];
+        for (const info of await storage.listSessions()) {
+          if (info.error || sourceIds.includes(info.sessionId)) continue;
+          const thoughts = await storage.loadSession(info.sessionId);
+          thoughts.forEach(t => takenIds.add(t.id));
+          if (thoughts.some(t => (t.cross_session_relationships || []).some(rel => sourceIds.includes(rel.session_id)))) {
+            referencingIds.push(info.sessionId);
+          }
+        }
+        const { thoughts: merged, idMaps, duplicates } = mergeThoughtSets(sources, { keepIds: remove_sources, takenIds });
+        
+        // Link a synthesis thought to every root of the merged reasoning
+        let synthesisId = null;
+        const now = new Date().toISOString();
+        if (synthesis !== undefined) {
+          synthesisId = generateId('thought');
+          const roots = merged.filter(t => !t.retracted && t.relationships_out.length === 0);
+          const synthesisThought = {
+            id: synthesisId,
+            content: synthesis,
+            mode: "linear",
+            tags: [],
+            timestamp: now,
+            relates_to: null,
+            relationship_type: null,
+            relationships_in: [],
+            relationships_out: roots.map(root => ({ thought_id: root.id, relationship_type: "synthesizes" }))
+          };
+          roots.forEach(root => root.relationships_in.push({ thought_id: synthesisId, relationship_type: "synthesizes" }));
+          updatePrimaryLink(synthesisThought);
+          merged.push(synthesisThought);
+        }
+        
+        const target = name || generateId('session');
+        await storage.updateSession(target, (thoughts, metadata) => {
+          if (thoughts.length > 0) {
+            throw new SessionError("Session already exists", { sessionId: target });
+          }
+          thoughts.push(...merged);
+          Object.assign(metadata, {
+            ...(title && { title }),
+            status: "active",
+            merged_from: sourceIds,
+            created_at: now,
+            updated_at: now
+          });
+        });
+        
+        // A move hands the sources' aliases, default status and incoming cross-session links over before deleting them
+        if (remove_sources) {
+          // Links into a source point at the corresponding thought of the merged session instead
+          const redirect = rel => idMaps.has(rel.session_id)
+            ? { session_id: target, thought_id: idMaps.get(rel.session_id).get(rel.thought_id) || rel.thought_id }
+            : null;
+          for (const sessionId of referencingIds) {
+            await redirectCrossSessionLinks(sessionId, redirect);
+          }
+          await storage.updateAliases((aliases) => {
+            for (const [alias, sessionId] of Object.entries(aliases)) {
+              if (sourceIds.includes(sessionId)) aliases[alias] = target;
+            }
+          });
+          const defaultSessionId = await storage.getDefaultSession();
+          for (const sessionId of sourceIds) {
+            await removeSession(sessionId);
+          }
+          if (sourceIds.includes(defaultSessionId)) {
+            await storage.setDefaultSession(target);
+          }
+        }
+        notifySessionChanged(target, { listChanged: true });
+        
+        // Report only the IDs that changed
+        const remappedIds = {};
+        for (const [sessionId, idMap] of idMaps) {
+          const changed = [...idMap].filter(([from, to]) => from !== to);
+          if (changed.length > 0) remappedIds[sessionId] = Object.fromEntries(changed);
+        }
+        
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              status: "success",
+              message: `Merged ${sourceIds.length} sessions into ${target}`,
+              sessionId: target,
+              merged_from: sourceIds,
+              thoughtCount: merged.length,
+              duplicatesMerged: duplicates,
+              synthesis_thought_id: synthesisId,
+              sourcesRemoved: remove_sources,
+              ...(remove_sources && referencingIds.length > 0 && { linksRedirectedIn: referencingIds }),
+              remappedIds,
+              timestamp: now
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        if (!(error instanceof SessionError)) {
+          console.error('Failed to merge sessions:', error);
+        }
+        return errorResponse(error, "Failed to merge sessions");
+      }
+    }
+  );
+
+  // Report the server version, storage and effective configuration
+  registerTool(
+    "server_info",
+    {
+      title: "Server Info",
+      description: "Show the server version, where sessions are stored, which tools are enabled, the available thinking modes and relationship types (with their properties) and the effective configuration (merged from config files, environment variables and command-line flags).",
+      inputSchema: {}
+    },
+    async () => {
+      const responseJson = {
+        ...SERVER_INFO,
+        schemaVersion: SESSION_SCHEMA_VERSION,
+        storage: {
+          backend: storage.name,
+          location: storage.location,
+          archiveDir: ARCHIVE_DIR
+        },
+        tools: {
+          enabled: TOOL_NAMES.filter(name => isToolEnabled(config, name)),
+          disabled: TOOL_NAMES.filter(name => !isToolEnabled(config, name))
+        },
+        ...vocabulary.definitions(),
+        configSources: CONFIG_SOURCES,
+        config,
+        timestamp: new Date().toISOString()
+      };
+      
       return {
         content: [{
           type: "text",
-          text: JSON.stringify({
-            error: "Failed to set default session",
-            message: error.message
-          }, null, 2)
+          text: JSON.stringify(responseJson, null, 2)
         }]
       };
     }
-  }
-);
-
-// Manual cleanup of old sessions
-server.registerTool(
-  "cleanup_sessions",
-  {
-    title: "Cleanup Old Sessions",
-    description: "Manually clean up old thinking sessions",
-    inputSchema: {
-      maxAgeDays: z.number().min(1).default(90).describe("Maximum age in days before sessions are deleted")
-    }
-  },
-  async ({ maxAgeDays }) => {
-    try {
-      const result = await cleanupOldSessions(maxAgeDays);
-      
+  );
+  
+  // Expose sessions as resources so clients can browse them without tool calls
+  server.registerResource(
+    "sessions",
+    SESSIONS_URI,
+    {
+      title: "Thinking Sessions",
+      description: "All thinking sessions with thought counts and timestamps",
+      mimeType: "application/json"
+    },
+    async (uri) => {
+      const defaultSessionId = await storage.getDefaultSession();
+      const sessions = (await storage.listSessions()).map(info => ({
+        ...info,
+        metadata: sessionMetadata(info.metadata),
+        uri: sessionUri(info.sessionId),
+        isDefault: info.sessionId === defaultSessionId
+      }));
       return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            status: "success",
-            deletedCount: result.deletedCount,
-            maxAgeDays: result.maxAgeDays,
-            message: `Deleted ${result.deletedCount} sessions older than ${result.maxAgeDays} days`,
-            timestamp: new Date().toISOString()
-          }, null, 2)
+        contents: [{
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify({ sessions, count: sessions.length, defaultSessionId }, null, 2)
         }]
       };
-    } catch (error) {
-      console.error('Failed to clean up sessions:', error);
+    }
+  );
+
+  server.registerResource(
+    "session",
+    new ResourceTemplate(`${SESSIONS_URI}/{sessionId}`, {
+      list: async () => ({
+        resources: (await storage.listSessions()).map(info => ({
+          uri: sessionUri(info.sessionId),
+          name: info.sessionId,
+          ...(info.metadata?.title && { title: info.metadata.title }),
+          description: `${info.thoughtCount ?? 0} thoughts, last modified ${info.lastModified}`,
+          mimeType: "application/json"
+        }))
+      })
+    }),
+    {
+      title: "Thinking Session",
+      description: "All thoughts of one thinking session",
+      mimeType: "application/json"
+    },
+    async (uri, { sessionId }) => {
+      const id = decodeURIComponent(sessionId);
+      if (!(await storage.hasSession(id))) {
+        throw new Error(`Session ${id} does not exist`);
+      }
+      const thoughts = await storage.loadSession(id);
+      const metadata = sessionMetadata(await storage.getSessionMetadata(id));
       return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            error: "Failed to clean up sessions",
-            message: error.message
-          }, null, 2)
+        contents: [{
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify({ sessionId: id, metadata, thoughts, count: thoughts.length }, null, 2)
         }]
       };
     }
-  }
-);
-
-// Find thought relationships tool - helps AI discover related thoughts efficiently
-server.registerTool(
-  "find_thought_relationships",
-  {
-    title: "Find Thought Relationships",
-    description: "Search for thoughts that could be related to current reasoning, helping AI build coherent argument chains",
-    inputSchema: {
-      query: z.string().describe("Search query to find related thoughts (searches content, tags, and modes)"),
-      sessionId: z.string().optional().describe("Session ID to search in. If not provided, the default session will be used if available."),
-      relationship_types: z.array(z.enum(["builds_on", "supports", "contradicts", "refines", "synthesizes"])).optional().describe("Filter by specific relationship types"),
-      exclude_thought_id: z.string().optional().describe("Exclude a specific thought ID from results (useful to avoid self-reference)"),
-      limit: z.number().min(1).max(20).default(10).describe("Maximum number of results to return")
-    }
-  },
-  async ({ query, sessionId, relationship_types, exclude_thought_id, limit }) => {
-    try {
-      await ensureSessionDir();
-      
-      // Determine session to use
-      let session = sessionId;
-      if (!session) {
-        session = await getDefaultSession();
-        if (!session) {
-          return { content: [{ type: "text", text: JSON.stringify({ error: "No session ID provided and no default session set" }) }] };
-        }
+  );
+
+  server.registerResource(
+    "thought",
+    new ResourceTemplate(`${SESSIONS_URI}/{sessionId}/thoughts/{thoughtId}`, { list: undefined }),
+    {
+      title: "Thought",
+      description: "A single thought with its relationships",
+      mimeType: "application/json"
+    },
+    async (uri, { sessionId, thoughtId }) => {
+      const thought = await storage.getThought(decodeURIComponent(sessionId), decodeURIComponent(thoughtId));
+      if (!thought) {
+        throw new Error(`Thought ${decodeURIComponent(thoughtId)} not found in session ${decodeURIComponent(sessionId)}`);
       }
-      
-      const thoughts = await loadSession(session);
-      
-      if (thoughts.length === 0) {
-        return { content: [{ type: "text", text: JSON.stringify({ results: [], total: 0, query: query }) }] };
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify(thought, null, 2)
+        }]
+      };
+    }
+  );
+
+  // Resource subscriptions: clients get notifications/resources/updated when a subscribed session changes
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  // Prompts: one per thinking mode, plus resuming a session and reviewing its contradictions
+  for (const mode of THINKING_MODES) {
+    server.registerPrompt(
+      `think_${mode}`,
+      {
+        title: `Think: ${mode}`,
+        description: `Reason in ${mode} mode (${vocabulary.modeInfo(mode).summary}), with relevant prior thoughts from the session`,
+        argsSchema: promptArgs
+      },
+      async ({ sessionId, topic }) => {
+        const { session, thoughts } = await loadPromptSession(sessionId, false);
+        return buildModePrompt(mode, { sessionId: session, topic, thoughts, modeInfo: vocabulary.modeInfo(mode) });
       }
+    );
+  }
+
+  server.registerPrompt(
+    "resume_session",
+    {
+      title: "Resume Session",
+      description: "Pick a thinking session back up: its most recent thoughts and the open lines of reasoning",
+      argsSchema: promptArgs
+    },
+    async ({ sessionId, topic }) => {
+      const { session, thoughts, metadata } = await loadPromptSession(sessionId, true);
+      return buildResumePrompt({ sessionId: session, topic, thoughts, metadata });
+    }
+  );
+
+  server.registerPrompt(
+    "review_contradictions",
+    {
+      title: "Review Contradictions",
+      description: "Work through every pair of contradicting thoughts in a session and resolve them",
+      argsSchema: promptArgs
+    },
+    async ({ sessionId, topic }) => {
+      const { session, thoughts } = await loadPromptSession(sessionId, true);
+      return buildContradictionsPrompt({ sessionId: session, topic, thoughts, isConflicting: vocabulary.isConflicting });
+    }
+  );
+    
+  return server;
+}
+
+// Find thoughts that point at any of the target thoughts with a relationship type matchesType accepts
+function findRelatedThoughts(thoughts, targetIds, matchesType, excludeId, limit = config.limits.relatedThoughts) {
+  return thoughts.filter(t => 
+    t.id !== excludeId && !t.retracted && t.relationships_out.some(rel => 
+      targetIds.has(rel.thought_id) && matchesType(rel.relationship_type)
+    )
+  ).slice(0, limit);
+}
+
+// Describe a linked thought for the related_context of a think response
+function describeLinkedThought(link, thought) {
+  return {
+    relationship: link.relationship_type,
+    related_thought_id: link.thought_id,
+    ...(link.session_id && { related_session_id: link.session_id }),
+    related_content: thought.content.substring(0, config.previews.relatedContext) + "...",
+    related_mode: thought.mode,
+    ...(thought.retracted && { related_retracted: true })
+  };
+}
+
+// Smart Context Injection: surface what the AI should know about the thoughts it just linked to.
+// A single builds_on link (or a link of another transitive type) gets its reasoning chain plus conflicting
+// and supporting thoughts, going by the properties of each relationship type (see lib/vocabulary.js);
+// several links get their contexts merged into one view.
+function buildRelatedContext(thoughtId, links, thoughts) {
+  if (links.length === 0) {
+    return { related_context: null, reasoning_chain: null };
+  }
+  
+  if (links.length === 1) {
+    const [link] = links;
+    const related_thought = thoughts.find(t => t.id === link.thought_id);
+    if (!related_thought) {
+      return { related_context: null, reasoning_chain: null };
+    }
+    
+    // context injection for builds_on and other transitive relationships
+    if (vocabulary.isTransitive(link.relationship_type)) {
+      const chain = buildReasoningChain(link.thought_id, thoughts);
+      const targetIds = new Set([link.thought_id]);
       
-      // Search logic
-      const queryLower = query.toLowerCase();
-      const searchResults = thoughts
-        .filter(t => {
-          // Exclude specific thought if requested
-          if (exclude_thought_id && t.id === exclude_thought_id) return false;
-          
-          // Filter by relationship types if specified
-          if (relationship_types && relationship_types.length > 0) {
-            if (!t.relationship_type || !relationship_types.includes(t.relationship_type)) return false;
-          }
-          
-          // Search in content, tags, and mode
-          const contentMatch = t.content.toLowerCase().includes(queryLower);
-          const tagMatch = t.tags && t.tags.some(tag => tag.toLowerCase().includes(queryLower));
-          const modeMatch = t.mode && t.mode.toLowerCase().includes(queryLower);
-          
-          return contentMatch || tagMatch || modeMatch;
-        })
-        .map(t => ({
-          id: t.id,
-          content_preview: t.content.substring(0, 150) + (t.content.length > 150 ? "..." : ""),
-          mode: t.mode,
-          tags: t.tags,
-          timestamp: t.timestamp,
-          relates_to: t.relates_to,
-          relationship_type: t.relationship_type,
-          // Calculate relevance score (simple scoring)
-          relevance_score: calculateRelevanceScore(t, queryLower)
-        }))
-        .sort((a, b) => b.relevance_score - a.relevance_score)
-        .slice(0, limit);
+      // Find conflicting thoughts and supporting evidence (config.limits.relatedThoughts each)
+      const conflicts = findRelatedThoughts(thoughts, targetIds, vocabulary.isConflicting, thoughtId);
+      const supports = findRelatedThoughts(thoughts, targetIds, vocabulary.isSupporting, thoughtId);
       
-      const response = {
-        results: searchResults,
-        total: searchResults.length,
-        query: query,
-        sessionId: session,
-        searched_thoughts: thoughts.length
+      return {
+        related_context: {
+          type: 'builds_on_enhanced',
+          chain_preview: chain.chain.slice(0, 5).map(t => t.content_preview),
+          conflicts: conflicts.map(t => t.content.substring(0, config.previews.conflictsAndSupports) + "..."),
+          supports: supports.map(t => t.content.substring(0, config.previews.conflictsAndSupports) + "...")
+        },
+        reasoning_chain: chain // maintain backward compatibility
       };
-      
-      return { content: [{ type: "text", text: JSON.stringify(response, null, 2) }] };
-      
-    } catch (error) {
-      console.error('Failed to find thought relationships:', error);
-      return { content: [{ type: "text", text: JSON.stringify({ error: "Failed to find relationships", message: error.message }) }] };
+    }
+    
+    return { related_context: describeLinkedThought(link, related_thought), reasoning_chain: null };
+  }
+  
+  const linked = links
+    .map(link => ({ link, thought: thoughts.find(t => t.id === link.thought_id) }))
+    .filter(({ thought }) => thought);
+  const targetIds = new Set(linked.map(({ link }) => link.thought_id));
+  
+  // Merge the chains of every transitive link, listing shared ancestors once
+  const chains = linked
+    .filter(({ link }) => vocabulary.isTransitive(link.relationship_type))
+    .map(({ link }) => buildReasoningChain(link.thought_id, thoughts));
+  const seen = new Set();
+  const chainPreview = [];
+  for (const chain of chains) {
+    for (const item of chain.chain) {
+      if (seen.has(item.id)) continue;
+      seen.add(item.id);
+      chainPreview.push(item.content_preview);
     }
   }
-);
+  
+  const conflicts = findRelatedThoughts(thoughts, targetIds, vocabulary.isConflicting, thoughtId);
+  const supports = findRelatedThoughts(thoughts, targetIds, vocabulary.isSupporting, thoughtId);
+  
+  return {
+    related_context: {
+      type: 'multi_link',
+      links: linked.map(({ link, thought }) => describeLinkedThought(link, thought)),
+      chain_preview: chainPreview.slice(0, 5),
+      conflicts: conflicts.map(t => t.content.substring(0, config.previews.conflictsAndSupports) + "..."),
+      supports: supports.map(t => t.content.substring(0, config.previews.conflictsAndSupports) + "...")
+    },
+    reasoning_chain: chains[0] || null
+  };
+}
+
+// Keep relates_to / relationship_type pointing at the primary link (the first transitive link such as builds_on, else the first link)
+function updatePrimaryLink(thought) {
+  const links = (thought.relationships_out || []).filter(rel => RELATIONSHIP_TYPES.includes(rel.relationship_type));
+  const primaryLink = links.find(rel => vocabulary.isTransitive(rel.relationship_type)) || links[0];
+  thought.relates_to = primaryLink ? primaryLink.thought_id : null;
+  thought.relationship_type = primaryLink ? primaryLink.relationship_type : null;
+}
 
-// Simple relevance scoring function
-function calculateRelevanceScore(thought, queryLower) {
-  let score = 0;
-  const content = thought.content.toLowerCase();
+// Combine the thoughts of several sessions ([{ sessionId, thoughts }]) into one list ordered by timestamp.
+// Thoughts with identical content are merged into the earliest one (tags and relationships combined),
+// and cross-session links between the merged sessions become ordinary links.
+// With keepIds, thoughts keep their IDs unless one is already used (by an earlier thought or in takenIds);
+// otherwise every thought gets a new ID. Returns { thoughts, idMaps: Map<sessionId, Map<old, new>>, duplicates }.
+function mergeThoughtSets(sources, { keepIds, takenIds }) {
+  const items = sources
+    .flatMap(({ sessionId, thoughts }, sourceIndex) => thoughts.map((thought, position) => ({ sessionId, sourceIndex, position, thought })))
+    .sort((a, b) => Date.parse(a.thought.timestamp) - Date.parse(b.thought.timestamp) || a.sourceIndex - b.sourceIndex || a.position - b.position);
   
-  // Exact phrase match gets highest score
-  if (content.includes(queryLower)) {
-    score += 10;
-  }
+  const idMaps = new Map(sources.map(({ sessionId }) => [sessionId, new Map()]));
+  const usedIds = new Set(takenIds);
+  const byContent = new Map();
+  const kept = [];
+  let duplicates = 0;
   
-  // Word matches
-  const queryWords = queryLower.split(/\s+/);
-  queryWords.forEach(word => {
-    if (content.includes(word)) {
-      score += 2;
+  // Assign every source thought the ID it has in the merged session
+  for (const item of items) {
+    const key = item.thought.content.trim();
+    const original = byContent.get(key);
+    if (original) {
+      idMaps.get(item.sessionId).set(item.thought.id, original.merged.id);
+      original.duplicates.push(item);
+      duplicates++;
+      continue;
     }
-  });
-  
-  // Tag matches
-  if (thought.tags) {
-    thought.tags.forEach(tag => {
-      if (tag.toLowerCase().includes(queryLower)) {
-        score += 5;
-      }
-    });
+    
+    let id = item.thought.id;
+    if (!keepIds || usedIds.has(id)) {
+      do {
+        id = generateId('thought');
+      } while (usedIds.has(id));
+    }
+    usedIds.add(id);
+    idMaps.get(item.sessionId).set(item.thought.id, id);
+    
+    const entry = { item, duplicates: [], merged: { ...item.thought, id } };
+    byContent.set(key, entry);
+    kept.push(entry);
   }
   
-  // Mode match
-  if (thought.mode && thought.mode.toLowerCase().includes(queryLower)) {
-    score += 3;
-  }
+  // Rewrite outgoing links through each source's ID map, combining those of duplicates
+  const thoughts = kept.map(({ item, duplicates: dups, merged }) => {
+    const relationshipsOut = [];
+    const tags = [];
+    const crossSession = [];
+    for (const { sessionId, thought } of [item, ...dups]) {
+      const idMap = idMaps.get(sessionId);
+      // Links into another merged session become ordinary links
+      const targets = [
+        ...(thought.relationships_out || []).map(rel => ({ id: idMap.get(rel.thought_id), type: rel.relationship_type })),
+        ...(thought.cross_session_relationships || [])
+          .filter(rel => idMaps.has(rel.session_id))
+          .map(rel => ({ id: idMaps.get(rel.session_id).get(rel.thought_id), type: rel.relationship_type }))
+      ];
+      for (const { id: target, type } of targets) {
+        if (!target || target === merged.id) continue;
+        if (!relationshipsOut.some(r => r.thought_id === target && r.relationship_type === type)) {
+          relationshipsOut.push({ thought_id: target, relationship_type: type });
+        }
+      }
+      for (const rel of thought.cross_session_relationships || []) {
+        if (idMaps.has(rel.session_id)) continue;
+        if (!crossSession.some(r => r.session_id === rel.session_id && r.thought_id === rel.thought_id && r.relationship_type === rel.relationship_type)) {
+          crossSession.push(rel);
+        }
+      }
+      (thought.tags || []).forEach(tag => { if (!tags.includes(tag)) tags.push(tag); });
+    }
+    
+    const idMap = idMaps.get(item.sessionId);
+    const result = { ...merged, tags, relationships_out: relationshipsOut, relationships_in: [] };
+    delete result.cross_session_relationships;
+    if (crossSession.length > 0) result.cross_session_relationships = crossSession;
+    if (result.retracted) {
+      result.retracted = { ...result.retracted, superseded_by: idMap.get(result.retracted.superseded_by) || null };
+    }
+    updatePrimaryLink(result);
+    return result;
+  });
   
-  // Boost score for thoughts with relationships (they're part of reasoning chains)
-  if (thought.relates_to || thought.relationship_type) {
-    score += 1;
+  // Incoming links mirror the outgoing ones
+  const mergedById = new Map(thoughts.map(t => [t.id, t]));
+  for (const thought of thoughts) {
+    for (const rel of thought.relationships_out) {
+      mergedById.get(rel.thought_id).relationships_in.push({ thought_id: thought.id, relationship_type: rel.relationship_type });
+    }
   }
   
-  return score;
+  return { thoughts, idMaps, duplicates };
 }
 
-// Build reasoning chain for "builds_on" relationships
+// Build reasoning chain for "builds_on" (and other transitive) relationships
 // Traces back the chain of thoughts that build on each other
 // Returns: [foundation_thought] → [building_thought] → [current_thought]
 function buildReasoningChain(thoughtId, thoughts) {
@@ -740,32 +2588,44 @@ function buildReasoningChain(thoughtId, thoughts) {
   const visited = new Set(); // Prevent infinite loops
   let currentId = thoughtId;
   
-  // Trace backwards through the builds_on chain
+  // Trace backwards through the chain of transitive links
   while (currentId && !visited.has(currentId) && chain.length < 20) {
     visited.add(currentId);
     const thought = thoughts.find(t => t.id === currentId);
     
     if (!thought) break;
     
+    // relates_to only names thoughts in the same session, so a thought linked only into another
+    // session is described by its primary cross-session link instead
+    const crossSessionLinks = thought.cross_session_relationships || [];
+    const crossSessionLink = crossSessionLinks.find(rel => vocabulary.isTransitive(rel.relationship_type)) || crossSessionLinks[0];
+    
     // Add to front of chain (we're going backwards)
     chain.unshift({
       id: thought.id,
-      content_preview: thought.content.substring(0, 120) + (thought.content.length > 120 ? "..." : ""),
+      content_preview: thought.content.substring(0, config.previews.chainAndGraph) + (thought.content.length > config.previews.chainAndGraph ? "..." : ""),
       mode: thought.mode,
       timestamp: thought.timestamp,
-      relationship_type: thought.relationship_type
+      relationship_type: thought.relationship_type || crossSessionLink?.relationship_type || null,
+      ...(!thought.relationship_type && crossSessionLink && { related_session_id: crossSessionLink.session_id }),
+      // Keep retracted links so the chain stays intact, but flag them
+      ...(thought.retracted && { retracted: true })
     });
     
-    // Continue tracing if this thought builds on another
-    if (thought.relationship_type === 'builds_on' && thought.relates_to) {
+    // Continue tracing if this thought builds on another, in this session or (when loaded) in another one
+    const buildsOn = (thought.relationships_out || []).find(rel => vocabulary.isTransitive(rel.relationship_type))
+      || crossSessionLinks.find(rel => vocabulary.isTransitive(rel.relationship_type));
+    if (buildsOn) {
+      currentId = buildsOn.thought_id;
+    } else if (vocabulary.isTransitive(thought.relationship_type) && thought.relates_to) {
       currentId = thought.relates_to;
     } else {
       break;
     }
   }
   
-  // Limit chain length to respect working memory constraints (7±2 items)
-  const maxChainLength = 7;
+  // Limit chain length to respect working memory constraints (7±2 items by default)
+  const maxChainLength = config.limits.chainLength;
   if (chain.length > maxChainLength) {
     // Keep the most recent items and add an indicator for truncation
     const truncatedChain = chain.slice(-maxChainLength);
@@ -799,29 +2659,163 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+// Copy all sessions between storage backends:
+// minimal-think-mcp migrate-storage --to sqlite [--from json] [--overwrite]
+async function migrateStorage(args) {
+  const from = getOption(args, 'from') || STORAGE_BACKEND;
+  const to = getOption(args, 'to');
+  
+  if (!STORAGE_BACKENDS.includes(from) || !STORAGE_BACKENDS.includes(to) || from === to) {
+    console.error(`Usage: minimal-think-mcp migrate-storage --to <${STORAGE_BACKENDS.join('|')}> [--from <backend>] [--overwrite]`);
+    return false;
+  }
+  
+  const source = createStorage({ backend: from, sessionDir: SESSION_DIR, sqlitePath: config.storage.sqlitePath });
+  const target = createStorage({ backend: to, sessionDir: SESSION_DIR, sqlitePath: config.storage.sqlitePath });
+  await source.init();
+  await target.init();
+  
+  const result = await migrateSessions(source, target, { overwrite: args.includes('--overwrite') });
+  await source.close();
+  await target.close();
+  
+  console.log(JSON.stringify({
+    from: source.location,
+    to: target.location,
+    migrated: result.migrated.length,
+    skipped: result.skipped,
+    failed: result.failed
+  }, null, 2));
+  return result.failed.length === 0;
+}
+
+// Rename sessions with IDs that are no longer valid, then upgrade every stored session to the current schema version:
+// minimal-think-mcp migrate-schema [--dry-run]
+async function migrateSchema(args) {
+  const dryRun = args.includes('--dry-run');
+  await storage.init();
+  const renamed = await renameLegacySessions(storage, { dryRun });
+  const result = await upgradeSessions(storage, { dryRun });
+  await storage.close();
+  
+  const failed = [...renamed.failed, ...result.failed];
+  console.log(JSON.stringify({
+    storage: storage.location,
+    schemaVersion: result.schemaVersion,
+    dryRun,
+    renamed: renamed.renamed,
+    upgraded: result.upgraded,
+    alreadyCurrent: result.current.length,
+    failed
+  }, null, 2));
+  return failed.length === 0;
+}
+
+// Run a CLI command against an in-process server, so it goes through the same tools as MCP clients
+async function runCli(command, args) {
+  await storage.init();
+  const server = createServer();
+  const client = new Client({ name: `${SERVER_INFO.name}-cli`, version: SERVER_INFO.version });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+  
+  const callTool = async (name, toolArgs) => {
+    const result = await client.callTool({ name, arguments: toolArgs });
+    // Input validation errors are plain text
+    if (result.isError) return { error: result.content[0].text };
+    // Some responses end with a note for the model after the JSON; documents such as exports are plain text
+    const text = result.content[0].text.split('\n<!--')[0];
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return { text: result.content[0].text };
+    }
+  };
+  
+  try {
+    return await runCliCommand(command, args, callTool);
+  } finally {
+    await client.close();
+    await storage.close();
+  }
+}
+
 // Initialize and start server
 async function main() {
+  const [command, ...args] = CLI_ARGS;
+  if (command === 'help' || command === '--help') {
+    console.log(CLI_USAGE);
+    process.exit(0);
+  }
+  if (isCliCommand(command)) {
+    process.exit(await runCli(command, args) ? 0 : 1);
+  }
+  if (command === 'migrate-storage') {
+    process.exit(await migrateStorage(args) ? 0 : 1);
+  }
+  if (command === 'migrate-schema') {
+    process.exit(await migrateSchema(args) ? 0 : 1);
+  }
+  // Anything else that is not an option is a mistyped command, not a request to start the server
+  if (command !== undefined && !command.startsWith('--')) {
+    console.error(`Unknown command: ${command}\n\n${CLI_USAGE}`);
+    process.exit(1);
+  }
+
+  // Transport: stdio by default, Streamable HTTP with --http or MCP_TRANSPORT=http
+  const useHttp = [command, ...args].includes('--http') || process.env.MCP_TRANSPORT === 'http';
+  
   try {
-    // Ensure session directory exists on startup
-    await ensureSessionDir();
+    // Prepare the storage backend (creates the session directory or database)
+    await storage.init();
     
-    // Use stdio transport for npx compatibility
-    const transport = new StdioServerTransport();
+    let httpServer = null;
+    let stdioServer = null;
+    if (useHttp) {
+      // Every client session gets its own server
+      httpServer = await startHttpServer({
+        host: config.http.host,
+        port: config.http.port,
+        idleTimeoutMs: config.http.idleTimeoutMinutes * 60 * 1000,
+        createServer
+      });
+    } else {
+      // Use stdio transport for npx compatibility
+      stdioServer = createServer();
+      await stdioServer.connect(new StdioServerTransport());
+    }
     
-    // Connect server to transport
-    await server.connect(transport);
+    // Close client connections and flush pending session writes before exiting
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+      if (shuttingDown) return;
+      shuttingDown = true;
+      console.error(`Received ${signal}, shutting down`);
+      try {
+        if (httpServer) await httpServer.close();
+        if (stdioServer) await stdioServer.close();
+        await storage.close();
+      } catch (error) {
+        console.error('Error during shutdown:', error);
+      }
+      process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
     
     // Server is now running and listening for MCP messages
     console.error('Minimal Think MCP Server with persistent sessions started successfully');
-    console.error(`Session storage: ${SESSION_DIR}`);
+    console.error(httpServer ? `Transport: Streamable HTTP at ${httpServer.url}` : 'Transport: stdio');
+    console.error(`Session storage (${storage.name}): ${storage.location}`);
   } catch (error) {
-    console.error('Failed to start server:', error);
+    console.error('Failed to start server:', error instanceof ConfigError ? error.message : error);
     process.exit(1);
   }
 }
 
 // Start the server
 main().catch((error) => {
-  console.error('Server startup failed:', error);
+  console.error('Server startup failed:', error instanceof ConfigError ? error.message : error);
   process.exit(1);
 });
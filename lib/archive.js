@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { SessionError } from './errors.js';
+import { parseBundle } from './bundle.js';
+import { writeFileAtomic } from './storage/json-store.js';
+
+/**
+ * Session archive
+ *
+ * Sessions removed by retention policies are moved here instead of being
+ * deleted. Each archived copy is a gzip-compressed session bundle named
+ * `<sessionId>.<archivedAt ms>.json.gz`, so the same session can be archived
+ * more than once without overwriting an earlier copy. The archive is plain
+ * files and works the same whichever storage backend holds the live sessions.
+ */
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FILE_PATTERN = /^(.+)\.(\d+)\.json\.gz$/;
+
+export function createArchive({ dir }) {
+  async function listFiles() {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files
+      .map(file => ({ file, match: file.match(ARCHIVE_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({ file, sessionId: match[1], archivedAt: Number(match[2]) }));
+  }
+  
+  // Sessions are archived as stored, so references to thoughts that no longer exist are kept
+  async function readFile(file) {
+    const text = (await gunzip(await fs.readFile(path.join(dir, file)))).toString('utf8');
+    return parseBundle(text, { allowDanglingReferences: true });
+  }
+  
+  // Store a session bundle; returns the archive entry
+  async function archiveSession(bundle) {
+    await fs.mkdir(dir, { recursive: true });
+    const archivedAt = Date.now();
+    const file = `${bundle.session.sessionId}.${archivedAt}.json.gz`;
+    await writeFileAtomic(path.join(dir, file), await gzip(JSON.stringify(bundle)));
+    return { sessionId: bundle.session.sessionId, archivedAt: new Date(archivedAt).toISOString(), file };
+  }
+  
+  // Every archived copy, newest first: [{ sessionId, archivedAt, file, size, thoughtCount, metadata, aliases }]
+  async function listArchived() {
+    const entries = await listFiles();
+    const result = await Promise.all(entries.map(async ({ file, sessionId, archivedAt }) => {
+      const stats = await fs.stat(path.join(dir, file));
+      const entry = { sessionId, archivedAt: new Date(archivedAt).toISOString(), file, size: stats.size };
+      try {
+        const bundle = await readFile(file);
+        return {
+          ...entry,
+          thoughtCount: bundle.thoughts.length,
+          metadata: bundle.session.metadata || {},
+          aliases: bundle.session.aliases || []
+        };
+      } catch (error) {
+        return { ...entry, error: "Could not read archive" };
+      }
+    }));
+    return result.sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+  }
+  
+  // Load the newest archived copy of a session, or the one in the given file
+  async function readArchived(sessionId, file) {
+    const candidates = (await listFiles())
+      .filter(entry => entry.sessionId === sessionId && (!file || entry.file === file))
+      .sort((a, b) => b.archivedAt - a.archivedAt);
+    if (candidates.length === 0) {
+      throw new SessionError("Archived session not found", { sessionId, ...(file && { file }) });
+    }
+    return { file: candidates[0].file, bundle: await readFile(candidates[0].file) };
+  }
+  
+  async function removeArchived(file) {
+    await fs.unlink(path.join(dir, file));
+  }
+  
+  return { dir, archiveSession, listArchived, readArchived, removeArchived };
+}
@@ -0,0 +1,97 @@
+import { z } from "zod";
+import { SessionError } from './errors.js';
+import { thoughtSchema } from './storage/schema.js';
+
+/**
+ * Self-describing session bundles for moving sessions between machines
+ * 
+ * A bundle carries the session metadata, its thoughts and the bundle schema
+ * version, so an importing server can validate it before touching storage.
+ */
+
+export const BUNDLE_FORMAT = 'minimal-think-session-bundle';
+export const BUNDLE_SCHEMA_VERSION = 1;
+
+const bundleSchema = z.object({
+  format: z.literal(BUNDLE_FORMAT),
+  schemaVersion: z.number().int().min(1).max(BUNDLE_SCHEMA_VERSION, {
+    message: `Bundle was created by a newer version of minimal-think-mcp (this server reads schema version ${BUNDLE_SCHEMA_VERSION})`
+  }),
+  exportedAt: z.string(),
+  exportedBy: z.object({ name: z.string(), version: z.string() }).partial().optional(),
+  session: z.object({
+    sessionId: z.string().min(1),
+    thoughtCount: z.number().int().min(0).optional(),
+    firstThought: z.string().nullable().optional(),
+    lastThought: z.string().nullable().optional(),
+    metadata: z.record(z.unknown()).optional()
+  }).passthrough(),
+  thoughts: z.array(thoughtSchema)
+});
+
+export function createBundle(sessionId, thoughts, exportedBy, metadata = {}) {
+  return {
+    format: BUNDLE_FORMAT,
+    schemaVersion: BUNDLE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    session: {
+      sessionId,
+      thoughtCount: thoughts.length,
+      firstThought: thoughts[0]?.timestamp || null,
+      lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
+      metadata
+    },
+    thoughts
+  };
+}
+
+// IDs of thoughts that the given thoughts reference but that are not among them
+export function findDanglingReferences(thoughts) {
+  const ids = new Set(thoughts.map(thought => thought.id));
+  const dangling = new Set();
+  for (const thought of thoughts) {
+    for (const rel of [...thought.relationships_in, ...thought.relationships_out]) {
+      if (!ids.has(rel.thought_id)) dangling.add(rel.thought_id);
+    }
+    if (thought.relates_to && !ids.has(thought.relates_to)) dangling.add(thought.relates_to);
+  }
+  return [...dangling];
+}
+
+// Validate a bundle (object or JSON text) and check that its thoughts only reference each other.
+// With allowDanglingReferences, references to thoughts the bundle lacks are accepted, as they are
+// when a stored session is loaded (archives hold sessions exactly as they were stored).
+export function parseBundle(input, { allowDanglingReferences = false } = {}) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new SessionError("Bundle is not valid JSON", { message: error.message });
+    }
+  }
+  
+  const result = bundleSchema.safeParse(data);
+  if (!result.success) {
+    throw new SessionError("Invalid session bundle", {
+      issues: result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }))
+    });
+  }
+  
+  const bundle = result.data;
+  const ids = new Set();
+  for (const thought of bundle.thoughts) {
+    if (ids.has(thought.id)) {
+      throw new SessionError("Bundle contains duplicate thought IDs", { thought_id: thought.id });
+    }
+    ids.add(thought.id);
+  }
+  
+  const dangling = findDanglingReferences(bundle.thoughts);
+  if (dangling.length > 0 && !allowDanglingReferences) {
+    throw new SessionError("Bundle references thoughts it does not contain", { thought_ids: dangling });
+  }
+  
+  return bundle;
+}
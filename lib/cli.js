@@ -0,0 +1,288 @@
+import fs from 'fs/promises';
+
+/**
+ * Command-line interface for managing sessions
+ *
+ * Subcommands of the minimal-think-mcp binary that work without an MCP client.
+ * Each one calls the same tool a model would (through an in-process client), so
+ * the CLI and the tools share all session logic and only the rendering differs:
+ * a human-readable table by default, or the tool's JSON response with --json.
+ */
+
+export const CLI_USAGE = `Usage: minimal-think-mcp [command] [options]
+
+Without a command, starts the MCP server (stdio, or Streamable HTTP with --http).
+
+Commands:
+  list [--status <status>] [--owner <owner>] [--query <text>] [--archived]
+  show <sessionId> [--limit <n>] [--include-retracted]
+  search <query> [--session <sessionId> | --all] [--limit <n>] [--include-retracted]
+  export <sessionId> [--format markdown|mermaid|dot] [--group-by mode|tag|none] [--include-retracted] [--output <file>]
+  delete <sessionId> [--archive]
+  cleanup [--dry-run] [--max-age-days <n>] [--max-sessions <n>] [--max-size-mb <n>] [--exempt-tag <tag>]... [--no-archive]
+  set-default <sessionId> | set-default --clear
+  migrate-storage --to json|sqlite [--from json|sqlite] [--overwrite]
+  migrate-schema [--dry-run]
+
+Add --json to list, show, search, delete, cleanup and set-default for machine-readable output.
+
+Every command also accepts the configuration flags --config <file>, --session-dir <dir>,
+--storage json|sqlite, --sqlite-path <file>, --archive-dir <dir> and --export-dir <dir>.`;
+
+class UsageError extends Error {}
+
+// Value following --name, or undefined
+export function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+// Every value following a repeatable --name
+function getOptions(args, name) {
+  return args.flatMap((arg, index) => arg === `--${name}` && index + 1 < args.length ? [args[index + 1]] : []);
+}
+
+function getNumber(args, name) {
+  const value = getOption(args, name);
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number)) throw new UsageError(`--${name} must be a number`);
+  return number;
+}
+
+// First argument that is neither an option nor an option's value
+function getPositional(args, valueOptions) {
+  for (let i = 0; i < args.length; i++) {
+    if (valueOptions.includes(args[i].replace(/^--/, ''))) {
+      i++;
+    } else if (!args[i].startsWith('--')) {
+      return args[i];
+    }
+  }
+  return undefined;
+}
+
+function requirePositional(args, valueOptions, label) {
+  const value = getPositional(args, valueOptions);
+  if (!value) throw new UsageError(`Missing ${label}`);
+  return value;
+}
+
+function preview(text, length) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? flat.substring(0, length - 3) + "..." : flat;
+}
+
+function formatDate(iso) {
+  return iso ? iso.substring(0, 16).replace('T', ' ') : '';
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Render rows as an aligned text table. columns is [{ header, value: row => string, align?: 'right' }].
+export function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '')));
+  const widths = columns.map((column, i) => Math.max(column.header.length, ...cells.map(row => row[i].length)));
+  const line = (values) => values
+    .map((value, i) => columns[i].align === 'right' ? value.padStart(widths[i]) : value.padEnd(widths[i]))
+    .join('  ')
+    .trimEnd();
+  return [line(columns.map(column => column.header)), ...cells.map(line)].join('\n');
+}
+
+// Each command turns its arguments into a tool call and renders the tool's response
+const COMMANDS = {
+  list: {
+    tool: 'list_sessions',
+    toolArgs: (args) => ({
+      status: getOption(args, 'status'),
+      owner: getOption(args, 'owner'),
+      query: getOption(args, 'query'),
+      archived: args.includes('--archived')
+    }),
+    render: (result) => {
+      if (result.archived) {
+        return [
+          formatTable(result.archived, [
+            { header: 'SESSION', value: a => a.sessionId },
+            { header: 'ARCHIVED', value: a => formatDate(a.archivedAt) },
+            { header: 'THOUGHTS', value: a => a.thoughtCount ?? '?', align: 'right' },
+            { header: 'TITLE', value: a => preview(a.metadata?.title, 40) },
+            { header: 'FILE', value: a => a.file }
+          ]),
+          `\n${result.count} archived sessions in ${result.archiveDir}`
+        ].join('\n');
+      }
+      return [
+        formatTable(result.sessions, [
+          { header: '', value: s => s.isDefault ? '*' : '' },
+          { header: 'SESSION', value: s => s.sessionId },
+          { header: 'TITLE', value: s => preview(s.error || s.metadata?.title, 40) },
+          { header: 'STATUS', value: s => s.metadata?.status },
+          { header: 'THOUGHTS', value: s => s.thoughtCount ?? '?', align: 'right' },
+          { header: 'LAST MODIFIED', value: s => formatDate(s.lastModified) },
+          { header: 'ALIASES', value: s => (s.aliases || []).join(', ') }
+        ]),
+        `\n${result.count} sessions${result.defaultSessionId ? ` (* default: ${result.defaultSessionId})` : ''}`
+      ].join('\n');
+    }
+  },
+  
+  show: {
+    tool: 'view_session',
+    toolArgs: (args) => ({
+      sessionId: requirePositional(args, ['limit'], 'sessionId'),
+      limit: getNumber(args, 'limit'),
+      include_retracted: args.includes('--include-retracted')
+    }),
+    render: (result) => {
+      const { metadata = {} } = result;
+      const header = [
+        `Session:  ${result.sessionId}`,
+        ...(metadata.title ? [`Title:    ${metadata.title}`] : []),
+        ...(metadata.goal ? [`Goal:     ${metadata.goal}`] : []),
+        `Status:   ${metadata.status}`,
+        `Thoughts: ${result.total}${result.hiddenRetracted ? ` (${result.hiddenRetracted} retracted hidden)` : ''}`
+      ];
+      const table = formatTable(result.thoughts.map((thought, index) => ({ thought, index })), [
+        { header: '#', value: ({ index }) => index + 1, align: 'right' },
+        { header: 'ID', value: ({ thought }) => thought.id },
+        { header: 'TIME', value: ({ thought }) => formatDate(thought.timestamp) },
+        { header: 'MODE', value: ({ thought }) => thought.mode },
+        { header: 'LINKS', value: ({ thought }) => thought.relationship_type ? `${thought.relationship_type} ${thought.relates_to}` : '' },
+        { header: 'CONTENT', value: ({ thought }) => (thought.retracted ? '[retracted] ' : '') + preview(thought.content, 80) }
+      ]);
+      return `${header.join('\n')}\n\n${table}`;
+    }
+  },
+  
+  search: {
+    tool: 'find_thought_relationships',
+    toolArgs: (args) => ({
+      query: requirePositional(args, ['session', 'limit'], 'query'),
+      sessionId: getOption(args, 'session'),
+      all_sessions: args.includes('--all'),
+      limit: getNumber(args, 'limit'),
+      include_retracted: args.includes('--include-retracted')
+    }),
+    render: (result) => {
+      const hits = result.sessions
+        ? result.sessions.flatMap(group => group.results.map(hit => ({ sessionId: group.sessionId, ...hit })))
+        : result.results.map(hit => ({ sessionId: result.sessionId, ...hit }));
+      return [
+        formatTable(hits, [
+          { header: 'SCORE', value: h => h.relevance_score.toFixed(2), align: 'right' },
+          { header: 'SESSION', value: h => h.sessionId },
+          { header: 'ID', value: h => h.id },
+          { header: 'MODE', value: h => h.mode },
+          { header: 'CONTENT', value: h => preview(h.content_preview, 80) }
+        ]),
+        `\n${result.total} results for "${result.query}" in ${result.searched_thoughts} thoughts`
+      ].join('\n');
+    }
+  },
+  
+  export: {
+    tool: 'export_session',
+    toolArgs: (args) => ({
+      sessionId: getPositional(args, ['format', 'group-by', 'output']),
+      format: getOption(args, 'format'),
+      group_by: getOption(args, 'group-by'),
+      include_retracted: args.includes('--include-retracted')
+    }),
+    // The tool returns the document itself, which goes to stdout or the --output file
+    render: (result) => result.text,
+    acceptsOutput: true
+  },
+  
+  delete: {
+    tool: 'delete_session',
+    toolArgs: (args) => ({
+      sessionId: requirePositional(args, [], 'sessionId'),
+      archive: args.includes('--archive')
+    }),
+    render: (result) => result.message
+  },
+  
+  cleanup: {
+    tool: 'cleanup_sessions',
+    toolArgs: (args) => ({
+      maxAgeDays: getNumber(args, 'max-age-days'),
+      max_sessions: getNumber(args, 'max-sessions'),
+      max_total_size_mb: getNumber(args, 'max-size-mb'),
+      exempt_tags: getOptions(args, 'exempt-tag'),
+      dry_run: args.includes('--dry-run'),
+      archive: !args.includes('--no-archive')
+    }),
+    render: (result) => [
+      ...(result.removed.length > 0
+        ? [formatTable(result.removed, [
+          { header: 'SESSION', value: r => r.sessionId },
+          { header: 'REASONS', value: r => r.reasons.join(', ') },
+          { header: 'LAST MODIFIED', value: r => formatDate(r.lastModified) },
+          { header: 'SIZE', value: r => formatSize(r.size), align: 'right' }
+        ]), '']
+        : []),
+      result.message + (result.dry_run ? ' (dry run, nothing was changed)' : ''),
+      ...(result.exempt.length > 0 ? [`Exempt: ${result.exempt.map(e => `${e.sessionId} (${e.reason})`).join(', ')}`] : [])
+    ].join('\n')
+  },
+  
+  'set-default': {
+    tool: 'set_default_session',
+    toolArgs: (args) => {
+      if (args.includes('--clear')) return {};
+      return { sessionId: requirePositional(args, [], 'sessionId (or --clear)') };
+    },
+    render: (result) => result.message
+  }
+};
+
+export function isCliCommand(command) {
+  return Object.hasOwn(COMMANDS, command);
+}
+
+// Run a command. callTool(name, args) resolves to the tool's parsed JSON response.
+// Returns true on success, false when the command or the tool failed.
+export async function runCliCommand(command, args, callTool) {
+  const definition = COMMANDS[command];
+  let toolArgs;
+  try {
+    toolArgs = definition.toolArgs(args);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${CLI_USAGE}`);
+    return false;
+  }
+  
+  // Leave out options that were not given so the tool applies its defaults
+  for (const key of Object.keys(toolArgs)) {
+    if (toolArgs[key] === undefined) delete toolArgs[key];
+  }
+  
+  const result = await callTool(definition.tool, toolArgs);
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return !result.error;
+  }
+  if (result.error) {
+    const { error, ...details } = result;
+    const issues = (details.issues || []).map(issue => `\n  ${issue.path}: ${issue.message}`).join('');
+    console.error(`Error: ${error}${details.message ? ` - ${details.message}` : ''}${issues}`);
+    return false;
+  }
+  
+  const rendered = definition.render(result);
+  const output = definition.acceptsOutput && getOption(args, 'output');
+  if (output) {
+    await fs.writeFile(output, rendered + '\n', 'utf8');
+    console.error(`Wrote ${output}`);
+  } else {
+    console.log(rendered);
+  }
+  return true;
+}
@@ -0,0 +1,289 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { z } from "zod";
+import { ConfigError } from './errors.js';
+import { STORAGE_BACKENDS } from './storage/index.js';
+import { INPUT_LIMITS } from './validation.js';
+import { DEFAULT_RETENTION_POLICY } from './retention.js';
+import { MODE_GUIDANCE } from './prompts.js';
+import { BUILT_IN_RELATIONSHIP_TYPES, RESERVED_RELATIONSHIP_TYPES } from './vocabulary.js';
+
+/**
+ * Server configuration
+ *
+ * Settings are layered, later layers overriding earlier ones:
+ * 1. Built-in defaults
+ * 2. User config: $XDG_CONFIG_HOME/minimal-think-mcp/config.json (~/.config/... by default)
+ * 3. Project config: .minimal-think-mcp.json in the working directory, or the
+ *    file named by --config / MINIMAL_THINK_CONFIG instead
+ * 4. Environment variables (ENV_OVERRIDES)
+ * 5. Command-line flags (FLAG_OVERRIDES)
+ *
+ * Config files are JSON. Objects are merged key by key across layers; arrays and
+ * other values replace the earlier ones. Relative paths in a config file are
+ * relative to that file. The merged result is validated once at startup and
+ * unknown keys are rejected, so a typo fails loudly instead of being ignored.
+ */
+
+export const PROJECT_CONFIG_FILE = '.minimal-think-mcp.json';
+
+const positiveInt = z.number().int().positive();
+
+const RETENTION_LIMITS = ['maxAgeDays', 'maxSessions', 'maxTotalSizeMb'];
+
+// Every tool the server offers, so tools.enabled and tools.disabled can be checked before a server exists.
+// createServer refuses to register a tool missing from this list.
+export const TOOL_NAMES = [
+  'think', 'list_sessions', 'view_session', 'update_session', 'set_session_alias', 'remove_session_alias',
+  'delete_session', 'set_default_session', 'cleanup_sessions', 'restore_session', 'find_thought_relationships',
+  'query_thoughts', 'revise_thought', 'retract_thought', 'link_thoughts', 'unlink_thoughts', 'get_thought_graph',
+  'export_session', 'export_bundle', 'import_session', 'fork_session', 'merge_sessions', 'server_info'
+];
+
+const toolName = z.enum(TOOL_NAMES, {
+  errorMap: (issue, ctx) => ({ message: `Unknown tool "${ctx.data}". Available tools: ${TOOL_NAMES.join(', ')}` })
+});
+
+// Names of custom modes and relationship types, e.g. "hypothesis" or "depends_on"
+const vocabularyName = z.string().regex(/^[a-z][a-z0-9_]{0,39}$/, "Must be 1-40 lowercase letters, digits and underscores, starting with a letter");
+
+// Extra thinking modes, or adjustments to built-in ones. New modes need a summary.
+const modesSchema = z.record(vocabularyName, z.object({
+  summary: z.string().min(1).optional(),
+  // How to reason in this mode, shown by the mode's prompt
+  guidance: z.array(z.string().min(1)).optional()
+}).strict()).superRefine((modes, ctx) => {
+  for (const [name, mode] of Object.entries(modes)) {
+    if (!MODE_GUIDANCE[name] && !mode.summary) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [name, 'summary'], message: "Required for a new mode" });
+    }
+  }
+});
+
+// Extra relationship types, or adjustments to built-in ones (see vocabulary.js for what the properties do)
+const relationshipTypesSchema = z.record(vocabularyName, z.object({
+  description: z.string().min(1).optional(),
+  transitive: z.boolean().optional(),
+  conflicting: z.boolean().optional(),
+  supporting: z.boolean().optional()
+}).strict()).superRefine((types, ctx) => {
+  for (const [name, type] of Object.entries(types)) {
+    if (RESERVED_RELATIONSHIP_TYPES.includes(name)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [name], message: `"${name}" is reserved` });
+    }
+    const merged = { ...BUILT_IN_RELATIONSHIP_TYPES[name], ...type };
+    if (merged.conflicting && merged.supporting) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [name], message: "A relationship type cannot be both conflicting and supporting" });
+    }
+  }
+});
+
+const configSchema = z.object({
+  storage: z.object({
+    backend: z.enum(STORAGE_BACKENDS).default('json'),
+    // Defaults to ~/.minimal-think-sessions
+    sessionDir: z.string().min(1).optional(),
+    // Defaults to sessions.db inside sessionDir
+    sqlitePath: z.string().min(1).optional(),
+    // Defaults to archive/ inside sessionDir
+    archiveDir: z.string().min(1).optional(),
+    // Where export_bundle writes and import_session reads bundle files; defaults to exports/ inside sessionDir
+    exportDir: z.string().min(1).optional()
+  }).strict().default({}),
+  limits: z.object({
+    reasoningLength: positiveInt.default(INPUT_LIMITS.reasoningLength),
+    tagCount: positiveInt.default(INPUT_LIMITS.tagCount),
+    tagLength: positiveInt.default(INPUT_LIMITS.tagLength),
+    // Thoughts shown in a builds_on reasoning chain
+    chainLength: positiveInt.default(7),
+    // Conflicting and supporting thoughts surfaced by context injection
+    relatedThoughts: positiveInt.default(3)
+  }).strict().default({}),
+  // Characters of thought content shown in each kind of preview
+  previews: z.object({
+    relatedContext: positiveInt.default(200),
+    searchResults: positiveInt.default(150),
+    chainAndGraph: positiveInt.default(120),
+    conflictsAndSupports: positiveInt.default(80)
+  }).strict().default({}),
+  // Policy cleanup_sessions applies when it is called without limits; exemptTags always apply.
+  // Without any limit of its own the policy gets the default ones, whatever else it sets.
+  retention: z.object({
+    maxAgeDays: z.number().min(1).optional(),
+    maxSessions: z.number().int().min(0).optional(),
+    maxTotalSizeMb: z.number().positive().optional(),
+    exemptTags: z.array(z.string()).default([])
+  }).strict().transform(retention => RETENTION_LIMITS.some(key => retention[key] !== undefined)
+    ? retention
+    : { ...DEFAULT_RETENTION_POLICY, ...retention }).default({}),
+  // Without enabled every tool is on; disabled switches individual tools off
+  tools: z.object({
+    enabled: z.array(toolName).optional(),
+    disabled: z.array(toolName).default([])
+  }).strict().default({}),
+  http: z.object({
+    host: z.string().min(1).default('127.0.0.1'),
+    port: z.number().int().min(0).max(65535).default(3000),
+    // Client sessions without an open request for this long are closed
+    idleTimeoutMinutes: z.number().positive().default(30)
+  }).strict().default({}),
+  modes: modesSchema.default({}),
+  relationshipTypes: relationshipTypesSchema.default({})
+}).strict();
+
+// Environment variables and the setting each overrides
+export const ENV_OVERRIDES = {
+  SESSION_DIR: 'storage.sessionDir',
+  STORAGE_BACKEND: 'storage.backend',
+  SQLITE_PATH: 'storage.sqlitePath',
+  ARCHIVE_DIR: 'storage.archiveDir',
+  EXPORT_DIR: 'storage.exportDir',
+  MCP_HTTP_HOST: 'http.host',
+  MCP_HTTP_PORT: 'http.port'
+};
+
+// Command-line flags (each followed by a value) and the setting each overrides
+export const FLAG_OVERRIDES = {
+  'session-dir': 'storage.sessionDir',
+  'storage': 'storage.backend',
+  'sqlite-path': 'storage.sqlitePath',
+  'archive-dir': 'storage.archiveDir',
+  'export-dir': 'storage.exportDir',
+  'host': 'http.host',
+  'port': 'http.port'
+};
+
+// Settings whose override strings are parsed as numbers
+const NUMERIC_SETTINGS = ['http.port'];
+
+const PATH_SETTINGS = ['sessionDir', 'sqlitePath', 'archiveDir', 'exportDir'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+// { 'a.b': 1 } -> { a: { b: 1 } }
+function settingsToObject(settings) {
+  const result = {};
+  for (const [setting, value] of Object.entries(settings)) {
+    const [section, key] = setting.split('.');
+    result[section] = { ...result[section], [key]: NUMERIC_SETTINGS.includes(setting) ? Number(value) : value };
+  }
+  return result;
+}
+
+// Read a JSON config file; returns null when an optional file does not exist
+async function readConfigFile(file, { required }) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return null;
+    throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new ConfigError(`Config file ${file} must contain a JSON object`);
+  }
+  
+  // Paths in the file are relative to the file itself
+  if (isPlainObject(data.storage)) {
+    for (const key of PATH_SETTINGS) {
+      if (typeof data.storage[key] === 'string') {
+        data.storage[key] = path.resolve(path.dirname(file), data.storage[key]);
+      }
+    }
+  }
+  return data;
+}
+
+// Load the effective configuration. argv is the command line without node and the script.
+// Returns { config, sources, args } where sources lists the layers that contributed settings
+// and args is argv without the configuration flags.
+export async function loadConfig({ argv = [], env = process.env, cwd = process.cwd(), homeDir = os.homedir() } = {}) {
+  const args = [];
+  const flags = {};
+  let configFlag;
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].startsWith('--') ? argv[i].slice(2) : null;
+    if (name === 'config' || Object.hasOwn(FLAG_OVERRIDES, name)) {
+      if (i + 1 >= argv.length) throw new ConfigError(`Missing value for --${name}`);
+      if (name === 'config') {
+        configFlag = argv[++i];
+      } else {
+        flags[FLAG_OVERRIDES[name]] = argv[++i];
+      }
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  
+  const userFile = path.join(env.XDG_CONFIG_HOME || path.join(homeDir, '.config'), 'minimal-think-mcp', 'config.json');
+  const explicitFile = configFlag || env.MINIMAL_THINK_CONFIG;
+  const projectFile = explicitFile ? path.resolve(cwd, explicitFile) : path.join(cwd, PROJECT_CONFIG_FILE);
+  
+  let merged = {};
+  const sources = [];
+  for (const [file, required] of [[userFile, false], [projectFile, !!explicitFile]]) {
+    const data = await readConfigFile(file, { required });
+    if (data) {
+      merged = deepMerge(merged, data);
+      sources.push(file);
+    }
+  }
+  
+  const envSettings = Object.fromEntries(Object.entries(ENV_OVERRIDES)
+    .filter(([name]) => env[name])
+    .map(([name, setting]) => [setting, env[name]]));
+  if (Object.keys(envSettings).length > 0) {
+    merged = deepMerge(merged, settingsToObject(envSettings));
+    sources.push('environment');
+  }
+  if (Object.keys(flags).length > 0) {
+    merged = deepMerge(merged, settingsToObject(flags));
+    sources.push('command line');
+  }
+  
+  const result = configSchema.safeParse(merged);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `  ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new ConfigError(`Invalid configuration (from ${sources.join(', ') || 'defaults'}):\n${issues.join('\n')}`);
+  }
+  
+  const config = result.data;
+  config.storage.sessionDir = path.resolve(cwd, config.storage.sessionDir || path.join(homeDir, '.minimal-think-sessions'));
+  config.storage.archiveDir = path.resolve(cwd, config.storage.archiveDir || path.join(config.storage.sessionDir, 'archive'));
+  config.storage.exportDir = path.resolve(cwd, config.storage.exportDir || path.join(config.storage.sessionDir, 'exports'));
+  if (config.storage.sqlitePath) config.storage.sqlitePath = path.resolve(cwd, config.storage.sqlitePath);
+  return { config, sources, args };
+}
+
+// Whether the configuration leaves a tool switched on
+export function isToolEnabled(config, name) {
+  return (!config.tools.enabled || config.tools.enabled.includes(name)) && !config.tools.disabled.includes(name);
+}
+
+// The retention policy (see retention.js) used when cleanup_sessions is called without limits
+export function defaultRetentionPolicy(config) {
+  const { maxAgeDays, maxSessions, maxTotalSizeMb } = config.retention;
+  return {
+    ...(maxAgeDays !== undefined && { maxAgeDays }),
+    ...(maxSessions !== undefined && { maxSessions }),
+    ...(maxTotalSizeMb !== undefined && { maxTotalSizeBytes: Math.round(maxTotalSizeMb * 1024 * 1024) })
+  };
+}
@@ -0,0 +1,16 @@
+// Error carrying structured details that tool handlers return to the client as-is
+export class SessionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SessionError';
+    this.details = details;
+  }
+}
+
+// Invalid or unreadable configuration; the message is meant to be shown to the user as-is
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
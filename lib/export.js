@@ -0,0 +1,159 @@
+import { buildAdjacency } from './graph.js';
+import { createVocabulary } from './vocabulary.js';
+
+/**
+ * Session renderers for humans reviewing a reasoning trace
+ * 
+ * - markdown: a readable report grouped by mode or tag, with relationship annotations
+ * - mermaid / dot: diagrams of the relationship graph built from `relationships_out`,
+ *   with edges styled by the properties of their relationship type (see vocabulary.js)
+ */
+
+export const EXPORT_FORMATS = ['markdown', 'mermaid', 'dot'];
+
+function preview(text, length) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > length ? singleLine.substring(0, length) + "..." : singleLine;
+}
+
+// Render a session in one of EXPORT_FORMATS. Retracted thoughts are left out unless includeRetracted.
+// vocabulary (from createVocabulary) decides how each relationship type is drawn.
+export function renderSession(sessionId, thoughts, { format = 'markdown', groupBy = 'mode', includeRetracted = false, vocabulary = createVocabulary() } = {}) {
+  const adjacency = buildAdjacency(thoughts, { includeRetracted });
+  switch (format) {
+    case 'markdown':
+      return renderMarkdown(sessionId, adjacency, { groupBy, hiddenCount: thoughts.length - adjacency.nodes.size });
+    case 'mermaid':
+      return renderMermaid(adjacency, vocabulary);
+    case 'dot':
+      return renderDot(sessionId, adjacency, vocabulary);
+    default:
+      throw new Error(`Unknown export format "${format}". Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+function renderMarkdown(sessionId, adjacency, { groupBy, hiddenCount }) {
+  const thoughts = [...adjacency.nodes.values()];
+  const lines = [`# Thinking Session ${sessionId}`, ''];
+  
+  lines.push(`- **Thoughts**: ${thoughts.length}${hiddenCount > 0 ? ` (${hiddenCount} retracted not shown)` : ''}`);
+  if (thoughts.length > 0) {
+    lines.push(`- **Started**: ${thoughts[0].timestamp}`);
+    lines.push(`- **Last thought**: ${thoughts[thoughts.length - 1].timestamp}`);
+  }
+  lines.push('');
+  
+  // Group thoughts, keeping session order inside each group. A thought with several tags appears under each.
+  const groups = new Map();
+  const addToGroup = (name, thought) => {
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(thought);
+  };
+  for (const thought of thoughts) {
+    if (groupBy === 'mode') {
+      addToGroup(`Mode: ${thought.mode || 'linear'}`, thought);
+    } else if (groupBy === 'tag') {
+      const tags = thought.tags && thought.tags.length > 0 ? thought.tags : [null];
+      tags.forEach(tag => addToGroup(tag ? `Tag: ${tag}` : 'Untagged', thought));
+    } else {
+      addToGroup('Thoughts', thought);
+    }
+  }
+  
+  const label = (id) => {
+    const thought = adjacency.nodes.get(id);
+    return `\`${id}\` "${preview(thought.content, 60)}"`;
+  };
+  
+  for (const [name, groupThoughts] of groups) {
+    lines.push(`## ${name}`, '');
+    for (const thought of groupThoughts) {
+      lines.push(`### \`${thought.id}\``, '');
+      const details = [`*${thought.timestamp}*`, `mode: ${thought.mode || 'linear'}`];
+      if (thought.tags && thought.tags.length > 0) {
+        details.push(`tags: ${thought.tags.map(tag => `\`${tag}\``).join(', ')}`);
+      }
+      if (thought.retracted) details.push('**retracted**');
+      if (thought.revisions && thought.revisions.length > 0) details.push(`revised ${thought.revisions.length}×`);
+      lines.push(details.join(' · '), '');
+      
+      lines.push(...thought.content.split('\n').map(line => `> ${line}`), '');
+      
+      const outgoing = adjacency.outgoing.get(thought.id);
+      const incoming = adjacency.incoming.get(thought.id);
+      if (outgoing.length > 0 || incoming.length > 0) {
+        lines.push('**Relationships**', '');
+        outgoing.forEach(rel => lines.push(`- ${rel.relationship_type} → ${label(rel.thought_id)}`));
+        incoming.forEach(rel => lines.push(`- ← ${rel.relationship_type} from ${label(rel.thought_id)}`));
+        lines.push('');
+      }
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+// Conflicting links are dotted and chains (transitive links) thick; anything else uses a plain arrow
+function mermaidArrow(vocabulary, type) {
+  if (vocabulary.isConflicting(type)) return '-.->';
+  if (vocabulary.isTransitive(type)) return '==>';
+  return '-->';
+}
+
+function renderMermaid(adjacency, vocabulary) {
+  const nodeIds = new Map([...adjacency.nodes.keys()].map((id, index) => [id, `t${index + 1}`]));
+  const escape = (text) => text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+  const lines = ['graph BT'];
+  
+  for (const thought of adjacency.nodes.values()) {
+    lines.push(`  ${nodeIds.get(thought.id)}["${escape(preview(thought.content, 40))}<br/><small>${thought.id}</small>"]`);
+  }
+  for (const [id, outgoing] of adjacency.outgoing) {
+    for (const rel of outgoing) {
+      const arrow = mermaidArrow(vocabulary, rel.relationship_type);
+      lines.push(`  ${nodeIds.get(id)} ${arrow}|${rel.relationship_type}| ${nodeIds.get(rel.thought_id)}`);
+    }
+  }
+  
+  const retracted = [...adjacency.nodes.values()].filter(t => t.retracted).map(t => nodeIds.get(t.id));
+  if (retracted.length > 0) {
+    lines.push('  classDef retracted stroke-dasharray: 5 5,color:#888');
+    lines.push(`  class ${retracted.join(',')} retracted`);
+  }
+  
+  return lines.join('\n');
+}
+
+// Edge attributes by relationship type properties; anything else uses a plain edge
+function dotEdgeStyle(vocabulary, type) {
+  const attributes = [];
+  if (vocabulary.isTransitive(type)) attributes.push('style=bold');
+  if (vocabulary.isConflicting(type)) attributes.push('style=dashed', 'color=red');
+  if (vocabulary.isSupporting(type)) attributes.push('color=darkgreen');
+  return attributes.join(', ');
+}
+
+function renderDot(sessionId, adjacency, vocabulary) {
+  const quote = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [
+    `digraph ${quote(sessionId)} {`,
+    '  rankdir=BT;',
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+  
+  for (const thought of adjacency.nodes.values()) {
+    const attributes = [`label=${quote(`${preview(thought.content, 40)}\n${thought.id}`).replace(/\n/g, '\\n')}`];
+    if (thought.retracted) attributes.push('style="rounded,dashed"', 'fontcolor=gray');
+    lines.push(`  ${quote(thought.id)} [${attributes.join(', ')}];`);
+  }
+  for (const [id, outgoing] of adjacency.outgoing) {
+    for (const rel of outgoing) {
+      const style = dotEdgeStyle(vocabulary, rel.relationship_type);
+      lines.push(`  ${quote(id)} -> ${quote(rel.thought_id)} [label=${quote(rel.relationship_type)}${style ? `, ${style}` : ''}];`);
+    }
+  }
+  
+  lines.push('}');
+  return lines.join('\n');
+}
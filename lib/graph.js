@@ -0,0 +1,159 @@
+/**
+ * Reasoning graph helpers
+ * 
+ * The graph is derived from each thought's `relationships_out`, which is the
+ * source of truth; incoming edges are rebuilt from it so a stale
+ * `relationships_in` entry can never produce a phantom edge.
+ */
+
+// Build forward (outgoing) and reverse (incoming) adjacency lists for a session.
+// relationshipTypes limits which edges are followed; retracted thoughts are left out unless includeRetracted.
+export function buildAdjacency(thoughts, { relationshipTypes = null, includeRetracted = false } = {}) {
+  const nodes = new Map();
+  for (const thought of thoughts) {
+    if (thought.retracted && !includeRetracted) continue;
+    nodes.set(thought.id, thought);
+  }
+  
+  const outgoing = new Map();
+  const incoming = new Map();
+  for (const id of nodes.keys()) {
+    outgoing.set(id, []);
+    incoming.set(id, []);
+  }
+  
+  for (const thought of nodes.values()) {
+    for (const rel of thought.relationships_out || []) {
+      if (!nodes.has(rel.thought_id)) continue;
+      if (relationshipTypes && !relationshipTypes.includes(rel.relationship_type)) continue;
+      outgoing.get(thought.id).push({ thought_id: rel.thought_id, relationship_type: rel.relationship_type });
+      incoming.get(rel.thought_id).push({ thought_id: thought.id, relationship_type: rel.relationship_type });
+    }
+  }
+  
+  return { nodes, outgoing, incoming };
+}
+
+// Breadth-first walk from startId. "ancestors" follows outgoing edges (what a thought draws on),
+// "descendants" follows incoming edges (what draws on it). Returns [{ id, depth, via }] without the start node.
+export function traverse(adjacency, startId, direction, maxDepth) {
+  const edges = direction === 'ancestors' ? adjacency.outgoing : adjacency.incoming;
+  const visited = new Set([startId]);
+  const found = [];
+  let frontier = [startId];
+  
+  for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const rel of edges.get(id) || []) {
+        if (visited.has(rel.thought_id)) continue;
+        visited.add(rel.thought_id);
+        found.push({ id: rel.thought_id, depth, via: { thought_id: id, relationship_type: rel.relationship_type } });
+        next.push(rel.thought_id);
+      }
+    }
+    frontier = next;
+  }
+  
+  return found;
+}
+
+// Every edge whose two ends are both in ids
+export function collectEdges(adjacency, ids) {
+  const edges = [];
+  for (const id of ids) {
+    for (const rel of adjacency.outgoing.get(id) || []) {
+      if (ids.has(rel.thought_id)) {
+        edges.push({ from: id, to: rel.thought_id, relationship_type: rel.relationship_type });
+      }
+    }
+  }
+  return edges;
+}
+
+// Classify the thoughts of a session by their position in the graph:
+// - branch points: referenced by two or more thoughts (reasoning forks here)
+// - leaves: reference something but nothing references them yet (open lines of reasoning)
+// - orphans: no relationships at all
+export function analyzeGraph(adjacency) {
+  const branchPoints = [];
+  const leaves = [];
+  const orphans = [];
+  
+  for (const id of adjacency.nodes.keys()) {
+    const inCount = adjacency.incoming.get(id).length;
+    const outCount = adjacency.outgoing.get(id).length;
+    if (inCount >= 2) branchPoints.push({ id, incoming: inCount });
+    if (inCount === 0 && outCount > 0) leaves.push({ id });
+    if (inCount === 0 && outCount === 0) orphans.push({ id });
+  }
+  
+  return { branchPoints, leaves, orphans };
+}
+
+// Would a chain link (builds_on, or any type isTransitive accepts) from fromId to toId close a loop?
+// True if toId already leads back to fromId through such links.
+export function wouldCreateChainCycle(thoughts, fromId, toId, isTransitive = type => type === 'builds_on') {
+  const byId = new Map(thoughts.map(t => [t.id, t]));
+  const stack = [toId];
+  const visited = new Set();
+  
+  while (stack.length > 0) {
+    const currentId = stack.pop();
+    if (currentId === fromId) return true;
+    if (visited.has(currentId)) continue;
+    visited.add(currentId);
+    
+    const thought = byId.get(currentId);
+    if (!thought) continue;
+    for (const rel of thought.relationships_out || []) {
+      if (isTransitive(rel.relationship_type)) stack.push(rel.thought_id);
+    }
+  }
+  return false;
+}
+
+// Return copies of the thoughts with IDs replaced per idMap (old ID → new ID),
+// rewriting every reference to them so the relationships stay consistent
+export function remapThoughtIds(thoughts, idMap) {
+  const remap = (id) => idMap.get(id) || id;
+  const remapRelationships = (relationships) => (relationships || []).map(rel => ({ ...rel, thought_id: remap(rel.thought_id) }));
+  
+  return thoughts.map(thought => ({
+    ...thought,
+    id: remap(thought.id),
+    relates_to: thought.relates_to ? remap(thought.relates_to) : thought.relates_to,
+    relationships_in: remapRelationships(thought.relationships_in),
+    relationships_out: remapRelationships(thought.relationships_out),
+    ...(thought.retracted && {
+      retracted: {
+        ...thought.retracted,
+        superseded_by: thought.retracted.superseded_by ? remap(thought.retracted.superseded_by) : thought.retracted.superseded_by
+      }
+    })
+  }));
+}
+
+// Return copies of the thoughts whose IDs are in ids, dropping every reference to a thought outside the set
+export function restrictToThoughts(thoughts, ids) {
+  const keepRelationships = (relationships) => (relationships || []).filter(rel => ids.has(rel.thought_id));
+  
+  return thoughts
+    .filter(thought => ids.has(thought.id))
+    .map(thought => {
+      const keepPrimary = thought.relates_to && ids.has(thought.relates_to);
+      return {
+        ...thought,
+        relates_to: keepPrimary ? thought.relates_to : null,
+        relationship_type: keepPrimary ? thought.relationship_type : null,
+        relationships_in: keepRelationships(thought.relationships_in),
+        relationships_out: keepRelationships(thought.relationships_out),
+        ...(thought.retracted && {
+          retracted: {
+            ...thought.retracted,
+            superseded_by: ids.has(thought.retracted.superseded_by) ? thought.retracted.superseded_by : null
+          }
+        })
+      };
+    });
+}
@@ -0,0 +1,159 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+/**
+ * Streamable HTTP transport for sharing one server between several clients
+ * 
+ * Every client gets its own MCP session (identified by the `mcp-session-id`
+ * header) with its own transport and server instance, while all of them share
+ * the same storage backend and its write locking.
+ * 
+ * A client session ends when the client sends DELETE, or once it has had no
+ * request open for idleTimeoutMs, so clients that go away without ending their
+ * session do not keep a transport and server alive.
+ */
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// How often idle client sessions are looked for, at most
+const IDLE_CHECK_INTERVAL_MS = 60 * 1000;
+
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+// Start listening on http://host:port/mcp (port 0 picks a free port). createServer is called once per client session.
+export async function startHttpServer({ host, port, endpoint = '/mcp', idleTimeoutMs = 30 * 60 * 1000, createServer }) {
+  // Active client sessions keyed by MCP session ID: { transport, openRequests, lastActivity }
+  const clients = new Map();
+  
+  // Reject requests whose Host header is not this server when bound to loopback (DNS rebinding protection).
+  // Set once listening, when the port is known.
+  const isLoopback = LOOPBACK_HOSTS.includes(host);
+  let allowedHosts;
+  
+  // A client session is idle while none of its requests (including a long-lived GET stream) is open
+  function trackRequest(client, res) {
+    client.openRequests++;
+    client.lastActivity = Date.now();
+    res.once('close', () => {
+      client.openRequests--;
+      client.lastActivity = Date.now();
+    });
+  }
+  
+  function closeIdleClients() {
+    const now = Date.now();
+    for (const [sessionId, client] of clients) {
+      if (client.openRequests > 0 || now - client.lastActivity < idleTimeoutMs) continue;
+      clients.delete(sessionId);
+      client.transport.close().catch(error => console.error('Failed to close idle transport:', error));
+    }
+  }
+  
+  async function handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== endpoint) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Not found. The MCP endpoint is ${endpoint}` }));
+      return;
+    }
+    
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const client = clients.get(sessionId);
+      if (!client) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      trackRequest(client, res);
+      await client.transport.handleRequest(req, res);
+      return;
+    }
+    
+    // Without a session ID only an initialize request is accepted; it opens a new session
+    if (req.method !== 'POST') {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+    
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJsonRpcError(res, 400, -32700, 'Parse error');
+      return;
+    }
+    if (!isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+    
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        clients.set(id, { transport, openRequests: 0, lastActivity: Date.now() });
+      },
+      enableDnsRebindingProtection: isLoopback,
+      allowedHosts
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) clients.delete(transport.sessionId);
+    };
+    
+    const server = createServer();
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+    
+    // Initialization was rejected, so no client can ever reach this transport and server again
+    if (!transport.sessionId) await transport.close();
+  }
+  
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error('Failed to handle HTTP request:', error);
+      if (!res.headersSent) sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    });
+  });
+  
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  
+  const boundPort = httpServer.address().port;
+  if (isLoopback) {
+    allowedHosts = LOOPBACK_HOSTS.map(name => name.includes(':') ? `[${name}]:${boundPort}` : `${name}:${boundPort}`);
+  }
+  
+  const idleCheck = setInterval(closeIdleClients, Math.min(idleTimeoutMs, IDLE_CHECK_INTERVAL_MS));
+  idleCheck.unref();
+  
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${boundPort}${endpoint}`,
+    
+    // Stop accepting connections and close every client session
+    async close() {
+      clearInterval(idleCheck);
+      const closing = new Promise(resolve => httpServer.close(() => resolve()));
+      for (const { transport } of [...clients.values()]) {
+        await transport.close().catch(error => console.error('Failed to close transport:', error));
+      }
+      clients.clear();
+      httpServer.closeAllConnections();
+      await closing;
+    }
+  };
+}
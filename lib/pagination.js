@@ -0,0 +1,62 @@
+import { SessionError } from './errors.js';
+
+/**
+ * Cursor-based pagination
+ *
+ * A cursor is an opaque base64url string holding the sort key of the last item
+ * on the previous page, so pages stay stable while thoughts are appended. Each
+ * cursor is bound to a scope (the session, sort field and order it was issued
+ * for) and is rejected if reused with a different one.
+ */
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+export function encodeCursor(scope, key) {
+  return Buffer.from(JSON.stringify({ s: scope, k: key })).toString('base64url');
+}
+
+export function decodeCursor(cursor, scope) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+  if (!decoded || !Array.isArray(decoded.k)) {
+    throw new SessionError("Invalid cursor", { cursor });
+  }
+  if (decoded.s !== scope) {
+    throw new SessionError("Cursor was issued for a different session or sort order", { cursor, expected: decoded.s, received: scope });
+  }
+  return decoded.k;
+}
+
+// Sort items by keyOf(item) (an array compared element by element; end it with a unique tiebreaker)
+// and return the page after cursor, or starting at offset: { page, next_cursor, total }. next_cursor is null on the last page.
+export function paginate(items, { keyOf, order = 'asc', cursor, offset = 0, limit = Infinity, scope }) {
+  const direction = order === 'desc' ? -1 : 1;
+  const keyed = items
+    .map(item => ({ item, key: keyOf(item) }))
+    .sort((a, b) => direction * compareKeys(a.key, b.key));
+  
+  let start = offset;
+  if (cursor) {
+    const after = decodeCursor(cursor, scope);
+    start = keyed.findIndex(({ key }) => direction * compareKeys(key, after) > 0);
+    if (start === -1) start = keyed.length;
+  }
+  
+  const slice = keyed.slice(start, start + limit);
+  const hasMore = start + limit < keyed.length;
+  return {
+    page: slice.map(({ item }) => item),
+    next_cursor: hasMore ? encodeCursor(scope, slice[slice.length - 1].key) : null,
+    total: keyed.length
+  };
+}
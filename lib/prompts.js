@@ -0,0 +1,169 @@
+import { buildAdjacency, analyzeGraph } from './graph.js';
+
+/**
+ * Prompt builders for the MCP prompts
+ * 
+ * Each thinking mode gets guidance on how to reason in that mode; the session
+ * prompts pull the relevant prior thoughts into a ready-made prompt.
+ */
+
+export const MODE_GUIDANCE = {
+  linear: {
+    summary: "step-by-step sequential reasoning",
+    guidance: [
+      "Work through the problem one step at a time, in order.",
+      "State each assumption explicitly before relying on it.",
+      "Make every step follow from the previous ones; note where a step depends on an earlier thought (builds_on).",
+      "End with the conclusion the steps support and what is still unverified."
+    ]
+  },
+  creative: {
+    summary: "divergent exploration of alternatives",
+    guidance: [
+      "Generate several distinct options before judging any of them.",
+      "Deliberately include at least one unconventional or counter-intuitive idea.",
+      "Combine ideas from earlier thoughts in new ways (synthesizes).",
+      "Defer criticism; capture promising directions as separate thoughts so they can be evaluated later."
+    ]
+  },
+  critical: {
+    summary: "evaluating claims, risks and weaknesses",
+    guidance: [
+      "Identify the claims being made and the evidence behind each one.",
+      "Look for gaps, hidden assumptions, edge cases and failure modes.",
+      "Record disagreements explicitly as contradicts relationships and agreement as supports.",
+      "Rate how confident you are in each conclusion and say what would change your mind."
+    ]
+  },
+  strategic: {
+    summary: "goals, trade-offs and long-term planning",
+    guidance: [
+      "Start from the goal and the constraints, not from the first available option.",
+      "Compare options on cost, risk, reversibility and time horizon.",
+      "Think about second-order effects and what each choice rules out later.",
+      "Finish with a recommended path, the key decision points and how to know if it is working."
+    ]
+  },
+  empathetic: {
+    summary: "perspectives, needs and impact on people",
+    guidance: [
+      "Identify everyone affected and what each of them needs or fears.",
+      "Describe the situation from at least two different perspectives.",
+      "Consider how the outcome and the way it is communicated will be experienced.",
+      "Note where stakeholder needs conflict and what a fair balance would look like."
+    ]
+  }
+};
+
+function formatThought(thought, previewLength = 200) {
+  const tags = thought.tags && thought.tags.length > 0 ? `, tags: ${thought.tags.join(', ')}` : '';
+  const content = thought.content.length > previewLength ? thought.content.substring(0, previewLength) + "..." : thought.content;
+  return `- [${thought.id}] (${thought.mode || 'linear'}${tags}) ${thought.timestamp}\n  ${content.replace(/\n/g, '\n  ')}`;
+}
+
+// Thoughts matching a topic in content or tags, or all of them when no topic is given
+function matchTopic(thoughts, topic) {
+  if (!topic) return thoughts;
+  const topicLower = topic.toLowerCase();
+  return thoughts.filter(t =>
+    t.content.toLowerCase().includes(topicLower) ||
+    (t.tags || []).some(tag => tag.toLowerCase().includes(topicLower))
+  );
+}
+
+function userMessage(text) {
+  return { messages: [{ role: "user", content: { type: "text", text } }] };
+}
+
+// Prompt for reasoning in one mode, with prior thoughts of that mode (and on the topic) as context.
+// modeInfo ({ summary, guidance }) describes modes beyond MODE_GUIDANCE.
+export function buildModePrompt(mode, { sessionId, topic, thoughts = [], limit = 5, modeInfo = MODE_GUIDANCE[mode] }) {
+  const { summary, guidance } = modeInfo;
+  const active = thoughts.filter(t => !t.retracted);
+  const relevant = matchTopic(active, topic);
+  const sameMode = relevant.filter(t => (t.mode || 'linear') === mode).slice(-limit);
+  const recent = relevant.filter(t => !sameMode.includes(t)).slice(-limit);
+  
+  const lines = [
+    `Think about ${topic ? `"${topic}"` : 'the current problem'} in ${mode} mode (${summary}).`,
+    ...(guidance.length > 0 ? ['', 'How to reason in this mode:', ...guidance.map(line => `- ${line}`)] : [])
+  ];
+  
+  if (sessionId) {
+    if (sameMode.length > 0) {
+      lines.push('', `Earlier ${mode} thoughts in session ${sessionId}:`, ...sameMode.map(t => formatThought(t)));
+    }
+    if (recent.length > 0) {
+      lines.push('', `Other recent thoughts in session ${sessionId}:`, ...recent.map(t => formatThought(t)));
+    }
+  }
+  
+  lines.push(
+    '',
+    `Record your reasoning with the "think" tool using mode "${mode}"${sessionId ? ` and sessionId "${sessionId}"` : ''}.`,
+    'Link it to the earlier thoughts it builds on, supports, contradicts or refines.'
+  );
+  return userMessage(lines.join('\n'));
+}
+
+// Prompt for picking a session back up: recent thoughts plus the open lines of reasoning
+export function buildResumePrompt({ sessionId, topic, thoughts, metadata = {}, limit = 10 }) {
+  const active = thoughts.filter(t => !t.retracted);
+  const adjacency = buildAdjacency(active);
+  const { leaves, orphans } = analyzeGraph(adjacency);
+  const openIds = new Set([...leaves, ...orphans].map(({ id }) => id));
+  
+  const recent = matchTopic(active, topic).slice(-limit);
+  const open = active.filter(t => openIds.has(t.id) && !recent.includes(t)).slice(-limit);
+  
+  const lines = [
+    `Resume the thinking session ${sessionId}${topic ? `, focusing on "${topic}"` : ''}.`,
+    `It has ${active.length} active thoughts${thoughts.length > active.length ? ` (${thoughts.length - active.length} retracted)` : ''}.`,
+    ...(metadata.title ? [`Title: ${metadata.title}`] : []),
+    ...(metadata.goal ? [`Goal: ${metadata.goal}`] : []),
+    ...(metadata.status && metadata.status !== 'active' ? [`Status: ${metadata.status}`] : []),
+    '',
+    'Most recent thoughts:',
+    ...(recent.length > 0 ? recent.map(t => formatThought(t)) : ['- (none yet)'])
+  ];
+  if (open.length > 0) {
+    lines.push('', 'Other open lines of reasoning nothing has followed up on yet:', ...open.map(t => formatThought(t)));
+  }
+  lines.push(
+    '',
+    'Summarise where the reasoning stands, decide which line to continue, and continue it with the "think" tool',
+    `using sessionId "${sessionId}", linking new thoughts to the ones they build on.`
+  );
+  return userMessage(lines.join('\n'));
+}
+
+// Prompt for working through every unresolved contradiction in a session.
+// isConflicting(type) tells which relationship types count as contradictions.
+export function buildContradictionsPrompt({ sessionId, topic, thoughts, isConflicting = type => type === 'contradicts' }) {
+  const active = thoughts.filter(t => !t.retracted);
+  const byId = new Map(active.map(t => [t.id, t]));
+  const pairs = [];
+  for (const thought of matchTopic(active, topic)) {
+    for (const rel of thought.relationships_out || []) {
+      if (isConflicting(rel.relationship_type) && byId.has(rel.thought_id)) {
+        pairs.push([thought, byId.get(rel.thought_id), rel.relationship_type]);
+      }
+    }
+  }
+  
+  const lines = [`Review the contradictions in thinking session ${sessionId}${topic ? ` about "${topic}"` : ''}.`, ''];
+  if (pairs.length === 0) {
+    lines.push('There are no unresolved contradictions between active thoughts.');
+    return userMessage(lines.join('\n'));
+  }
+  
+  pairs.forEach(([from, to, type], index) => {
+    lines.push(`Contradiction ${index + 1}:`, formatThought(from), `  ${type}`, formatThought(to), '');
+  });
+  lines.push(
+    'For each contradiction, weigh the evidence on both sides and decide which position holds, or whether both are partly right.',
+    'Record the resolution with the "think" tool (e.g. a synthesizes thought linked to both), and use retract_thought with',
+    'superseded_by for any thought that no longer stands.'
+  );
+  return userMessage(lines.join('\n'));
+}
@@ -0,0 +1,99 @@
+/**
+ * Retention policies
+ *
+ * Decides which sessions a cleanup removes. A policy combines any of:
+ * - maxAgeDays: sessions not modified for longer than this
+ * - maxSessions: keep at most this many sessions, removing the least recently modified
+ * - maxTotalSizeBytes: keep the stored size of all sessions under this, removing the least recently modified
+ *
+ * Some sessions are never removed: the default session, pinned sessions
+ * (metadata.pinned), sessions with one of the policy's exemptTags, and sessions
+ * that a kept session still links to through cross-session relationships.
+ * Exempt sessions still count towards maxSessions and maxTotalSizeBytes.
+ */
+
+export const DEFAULT_RETENTION_POLICY = { maxAgeDays: 90 };
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Why a session cannot be removed, or null
+function exemptionOf(session, policy) {
+  if (session.isDefault) return 'default_session';
+  if (session.metadata?.pinned) return 'pinned';
+  const tag = (policy.exemptTags || []).find(t => session.tags.includes(t));
+  if (tag) return `tag:${tag}`;
+  return null;
+}
+
+// Plan a cleanup. sessions is [{ sessionId, lastModified, size, tags, metadata, isDefault, references }],
+// where references lists the session IDs its thoughts link to.
+// Returns { remove: [{ sessionId, reasons, lastModified, size }], exempt: [{ sessionId, reason }] }.
+export function planRetention(sessions, policy, now = Date.now()) {
+  const reasons = new Map();
+  const exempt = new Map();
+  const flag = (session, reason) => {
+    if (!reasons.has(session.sessionId)) reasons.set(session.sessionId, []);
+    reasons.get(session.sessionId).push(reason);
+  };
+  
+  for (const session of sessions) {
+    const exemption = exemptionOf(session, policy);
+    if (exemption) exempt.set(session.sessionId, exemption);
+  }
+  const removable = (session) => !exempt.has(session.sessionId);
+  
+  // Oldest first, so count and size limits remove the least recently modified sessions
+  const byAge = [...sessions].sort((a, b) => Date.parse(a.lastModified) - Date.parse(b.lastModified));
+  
+  if (policy.maxAgeDays !== undefined) {
+    for (const session of byAge) {
+      if (removable(session) && (now - Date.parse(session.lastModified)) / DAY_MS > policy.maxAgeDays) {
+        flag(session, 'max_age');
+      }
+    }
+  }
+  
+  if (policy.maxSessions !== undefined) {
+    let remaining = sessions.filter(s => !reasons.has(s.sessionId)).length;
+    for (const session of byAge) {
+      if (remaining <= policy.maxSessions) break;
+      if (!removable(session) || reasons.has(session.sessionId)) continue;
+      flag(session, 'max_sessions');
+      remaining--;
+    }
+  }
+  
+  if (policy.maxTotalSizeBytes !== undefined) {
+    let total = sessions.filter(s => !reasons.has(s.sessionId)).reduce((sum, s) => sum + s.size, 0);
+    for (const session of byAge) {
+      if (total <= policy.maxTotalSizeBytes) break;
+      if (!removable(session) || reasons.has(session.sessionId)) continue;
+      flag(session, 'max_total_size');
+      total -= session.size;
+    }
+  }
+  
+  // Sessions still linked to from a kept session stay, which in turn keeps what they link to
+  const byId = new Map(sessions.map(s => [s.sessionId, s]));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const session of sessions) {
+      if (reasons.has(session.sessionId)) continue;
+      for (const target of session.references || []) {
+        if (reasons.has(target) && byId.has(target)) {
+          reasons.delete(target);
+          exempt.set(target, `referenced_by:${session.sessionId}`);
+          changed = true;
+        }
+      }
+    }
+  }
+  
+  return {
+    remove: byAge
+      .filter(s => reasons.has(s.sessionId))
+      .map(s => ({ sessionId: s.sessionId, reasons: reasons.get(s.sessionId), lastModified: s.lastModified, size: s.size })),
+    exempt: [...exempt].map(([sessionId, reason]) => ({ sessionId, reason }))
+  };
+}
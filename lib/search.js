@@ -0,0 +1,309 @@
+/**
+ * Full-text search over thoughts
+ *
+ * Content, tags and mode are tokenized (case-folded, accents stripped, lightly
+ * stemmed) into an in-memory inverted index per session and ranked with BM25.
+ * The index is updated as thoughts are added and re-synced against the stored
+ * session before every search, so edits made by other tools or processes are
+ * picked up without rebuilding unchanged thoughts.
+ *
+ * Query syntax: plain words match any form of the word (`caching` finds
+ * "cached"), `"quoted phrases"` must appear verbatim in the content, and
+ * `prefix*` matches every word starting with the prefix. A thought matches when
+ * it contains every phrase and at least one of the remaining terms.
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// A tag hit counts more than a content hit of the same word
+const FIELD_WEIGHTS = { content: 1, tags: 2, mode: 1 };
+
+// Split text into case-folded words with accents removed
+export function tokenize(text) {
+  if (!text) return [];
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Light suffix-stripping stemmer so plural, -ing and -ed forms share a term
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  
+  let result = word;
+  if (result.endsWith('ies') && result.length > 4) {
+    result = result.slice(0, -3) + 'y';
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  
+  const suffix = ['ing', 'ed'].find(s => result.endsWith(s) && result.length - s.length >= 3);
+  if (suffix) {
+    result = result.slice(0, -suffix.length);
+    // running -> run, stopped -> stop
+    if (/([^aeiouylsz])\1$/.test(result)) result = result.slice(0, -1);
+  }
+  
+  if (result.endsWith('e') && result.length > 4) result = result.slice(0, -1);
+  return result;
+}
+
+// Parse a query string into { terms, prefixes, phrases }. Terms are stems, prefixes are raw word starts,
+// phrases are stem sequences.
+export function parseQuery(query) {
+  const terms = new Set();
+  const prefixes = new Set();
+  const phrases = [];
+  
+  for (const match of query.matchAll(/"([^"]*)"|(\S+)/g)) {
+    if (match[1] !== undefined) {
+      const words = tokenize(match[1]).map(stem);
+      if (words.length > 1) phrases.push(words);
+      else if (words.length === 1) terms.add(words[0]);
+      continue;
+    }
+    
+    const words = tokenize(match[2]);
+    if (words.length === 0) continue;
+    if (match[2].endsWith('*')) {
+      prefixes.add(words.pop());
+    }
+    words.forEach(word => terms.add(stem(word)));
+  }
+  
+  return { terms: [...terms], prefixes: [...prefixes], phrases };
+}
+
+// What a thought is indexed on; a change means it has to be re-indexed
+function signatureOf(thought) {
+  return [thought.content || '', thought.mode || '', (thought.tags || []).join('\u0001')].join('\u0000');
+}
+
+function createSessionIndex() {
+  return {
+    docs: new Map(),       // thought ID -> { thought, signature, length, terms: Map<stem, { tf, positions }>, words: Set<raw word> }
+    postings: new Map(),   // stem -> Set<thought ID>
+    words: new Map(),      // raw word -> { stem, docs: Set<thought ID> }, used for prefix queries
+    totalLength: 0,
+    lastModified: null
+  };
+}
+
+function addDocument(index, thought) {
+  const doc = { thought, signature: signatureOf(thought), length: 0, terms: new Map(), words: new Set() };
+  
+  const addToken = (word, weight, position) => {
+    const term = stem(word);
+    const entry = doc.terms.get(term) || { tf: 0, positions: [] };
+    entry.tf += weight;
+    if (position !== undefined) entry.positions.push(position);
+    doc.terms.set(term, entry);
+    doc.words.add(word);
+    doc.length += weight;
+    
+    if (!index.words.has(word)) index.words.set(word, { stem: term, docs: new Set() });
+    index.words.get(word).docs.add(thought.id);
+  };
+  
+  tokenize(thought.content).forEach((word, position) => addToken(word, FIELD_WEIGHTS.content, position));
+  (thought.tags || []).forEach(tag => tokenize(tag).forEach(word => addToken(word, FIELD_WEIGHTS.tags)));
+  tokenize(thought.mode).forEach(word => addToken(word, FIELD_WEIGHTS.mode));
+  
+  for (const term of doc.terms.keys()) {
+    if (!index.postings.has(term)) index.postings.set(term, new Set());
+    index.postings.get(term).add(thought.id);
+  }
+  index.docs.set(thought.id, doc);
+  index.totalLength += doc.length;
+}
+
+function removeDocument(index, thoughtId) {
+  const doc = index.docs.get(thoughtId);
+  if (!doc) return;
+  
+  for (const term of doc.terms.keys()) {
+    const ids = index.postings.get(term);
+    ids.delete(thoughtId);
+    if (ids.size === 0) index.postings.delete(term);
+  }
+  for (const word of doc.words) {
+    const entry = index.words.get(word);
+    entry.docs.delete(thoughtId);
+    if (entry.docs.size === 0) index.words.delete(word);
+  }
+  index.docs.delete(thoughtId);
+  index.totalLength -= doc.length;
+}
+
+// True when the stems of a phrase appear at consecutive content positions
+function containsPhrase(doc, phrase) {
+  const first = doc.terms.get(phrase[0]);
+  if (!first) return false;
+  return first.positions.some(start =>
+    phrase.every((term, offset) => {
+      const entry = doc.terms.get(term);
+      return entry && entry.positions.includes(start + offset);
+    })
+  );
+}
+
+// Shared, in-memory search index over any number of sessions. Each session is kept with the
+// lastModified it was loaded at, so only sessions that changed since are read again.
+export function createSearchIndex() {
+  const sessions = new Map();
+  
+  // Bring a session's index in line with its stored thoughts, re-indexing only what changed
+  function syncSession(sessionId, thoughts, lastModified) {
+    if (!sessions.has(sessionId)) sessions.set(sessionId, createSessionIndex());
+    const index = sessions.get(sessionId);
+    index.lastModified = lastModified;
+    
+    const present = new Set();
+    for (const thought of thoughts) {
+      present.add(thought.id);
+      const doc = index.docs.get(thought.id);
+      if (doc && doc.signature === signatureOf(thought)) {
+        doc.thought = thought;
+        continue;
+      }
+      removeDocument(index, thought.id);
+      addDocument(index, thought);
+    }
+    for (const thoughtId of [...index.docs.keys()]) {
+      if (!present.has(thoughtId)) removeDocument(index, thoughtId);
+    }
+    return index;
+  }
+  
+  // Reload the given sessions ([{ sessionId, lastModified }]) whose lastModified differs from the indexed one,
+  // through loadThoughts(sessionId). A session loadThoughts returns null for is dropped.
+  // Returns the IDs of the sessions that are indexed afterwards.
+  async function refresh(entries, loadThoughts) {
+    const indexed = [];
+    for (const { sessionId, lastModified } of entries) {
+      const index = sessions.get(sessionId);
+      if (!index || index.lastModified !== lastModified) {
+        const thoughts = await loadThoughts(sessionId);
+        if (!thoughts) {
+          sessions.delete(sessionId);
+          continue;
+        }
+        syncSession(sessionId, thoughts, lastModified);
+      }
+      indexed.push(sessionId);
+    }
+    return indexed;
+  }
+  
+  // Add or refresh a single thought. Sessions that have never been searched are indexed lazily instead.
+  function indexThought(sessionId, thought) {
+    const index = sessions.get(sessionId);
+    if (!index) return;
+    removeDocument(index, thought.id);
+    addDocument(index, thought);
+  }
+  
+  function removeSession(sessionId) {
+    sessions.delete(sessionId);
+  }
+  
+  // Drop every session that is not among sessionIds, e.g. those archived or deleted by another process
+  function retainSessions(sessionIds) {
+    const keep = new Set(sessionIds);
+    for (const sessionId of [...sessions.keys()]) {
+      if (!keep.has(sessionId)) sessions.delete(sessionId);
+    }
+  }
+  
+  function countThoughts(sessionIds) {
+    return sessionIds.reduce((sum, sessionId) => sum + (sessions.get(sessionId)?.docs.size || 0), 0);
+  }
+  
+  // Rank thoughts across the given indexed sessions (see refresh).
+  // Corpus statistics are pooled so scores from different sessions are comparable.
+  // Returns [{ sessionId, id, thought, score }] sorted by descending score.
+  function search(sessionIds, query) {
+    const { terms, prefixes, phrases } = parseQuery(query);
+    if (terms.length === 0 && prefixes.length === 0 && phrases.length === 0) return [];
+    
+    const indexes = sessionIds.filter(sessionId => sessions.has(sessionId))
+      .map(sessionId => ({ sessionId, index: sessions.get(sessionId) }));
+    
+    const docCount = indexes.reduce((sum, { index }) => sum + index.docs.size, 0);
+    if (docCount === 0) return [];
+    const avgLength = indexes.reduce((sum, { index }) => sum + index.totalLength, 0) / docCount || 1;
+    
+    const documentFrequency = (term) => indexes.reduce((sum, { index }) => sum + (index.postings.get(term)?.size || 0), 0);
+    const idfCache = new Map();
+    const idf = (term) => {
+      if (!idfCache.has(term)) {
+        const df = documentFrequency(term);
+        idfCache.set(term, Math.log(1 + (docCount - df + 0.5) / (df + 0.5)));
+      }
+      return idfCache.get(term);
+    };
+    const termScore = (doc, term) => {
+      const entry = doc.terms.get(term);
+      if (!entry) return 0;
+      const norm = entry.tf + K1 * (1 - B + B * doc.length / avgLength);
+      return idf(term) * (entry.tf * (K1 + 1)) / norm;
+    };
+    
+    const hits = [];
+    for (const { sessionId, index } of indexes) {
+      // Each prefix expands to the stems of all indexed words that start with it
+      const prefixStems = prefixes.map(prefix => {
+        const stems = new Set();
+        for (const [word, entry] of index.words) {
+          if (word.startsWith(prefix)) stems.add(entry.stem);
+        }
+        return [...stems];
+      });
+      
+      const candidates = new Set();
+      const collect = (term) => index.postings.get(term)?.forEach(id => candidates.add(id));
+      if (phrases.length > 0) {
+        phrases[0].forEach(collect);
+      } else {
+        terms.forEach(collect);
+        prefixStems.flat().forEach(collect);
+      }
+      
+      for (const thoughtId of candidates) {
+        const doc = index.docs.get(thoughtId);
+        if (!phrases.every(phrase => containsPhrase(doc, phrase))) continue;
+        
+        let score = 0;
+        let matchedOptional = false;
+        for (const term of terms) {
+          const value = termScore(doc, term);
+          if (value > 0) matchedOptional = true;
+          score += value;
+        }
+        for (const stems of prefixStems) {
+          // Take the best expansion so a short prefix does not outweigh a full word. A short prefix can
+          // expand to more stems than a spread call accepts, hence reduce.
+          const value = stems.reduce((best, term) => Math.max(best, termScore(doc, term)), 0);
+          if (value > 0) matchedOptional = true;
+          score += value;
+        }
+        if ((terms.length > 0 || prefixes.length > 0) && !matchedOptional) continue;
+        for (const phrase of phrases) {
+          score += phrase.reduce((sum, term) => sum + termScore(doc, term), 0);
+        }
+        
+        hits.push({ sessionId, id: thoughtId, thought: doc.thought, score });
+      }
+    }
+    
+    return hits.sort((a, b) => b.score - a.score);
+  }
+  
+  return { refresh, indexThought, removeSession, retainSessions, countThoughts, search };
+}
@@ -0,0 +1,135 @@
+import path from 'path';
+import { createJsonStore } from './json-store.js';
+import { createSqliteStore } from './sqlite-store.js';
+import { SESSION_SCHEMA_VERSION } from './schema.js';
+import { isValidSessionId, slugify } from '../validation.js';
+
+/**
+ * Session storage backends
+ * 
+ * Every backend is an object with the same async interface:
+ * - init() / close()
+ * - listSessions() → [{ sessionId, metadata, thoughtCount, firstThought, lastThought, lastModified }]
+ *   (sessions that cannot be read or validated are listed as { sessionId, error, lastModified })
+ * - listLastModified() → { sessionId: lastModified }, without reading the sessions
+ * - hasSession(sessionId), loadSession(sessionId) → thoughts[], getThought(sessionId, thoughtId)
+ * - getSessionMetadata(sessionId) → { title, description, goal, status, owner, ... } ({} when unset)
+ * - getSchemaVersion(sessionId) → schema version the session is stored in (see schema.js)
+ * - saveSession(sessionId, thoughts, metadata?), updateSession(sessionId, mutator, { keepLastModified }?), deleteSession(sessionId)
+ * - renameSession(sessionId, newId), which moves aliases and the default session pointer along
+ * - getDefaultSession(), setDefaultSession(sessionId), clearDefaultSession()
+ * - getAliases() → { alias: sessionId }, updateAliases(mutator); deleting a session drops its aliases
+ * 
+ * updateSession runs load → mutator(thoughts, metadata) → save as one serialized
+ * step; the mutator modifies the array and metadata object in place and throwing
+ * from it aborts without saving; with keepLastModified the session's lastModified (which
+ * retention goes by) stays as it was. updateAliases works the same way on the alias map.
+ * 
+ * Sessions are upgraded to the current schema whenever they are read and
+ * validated, and are always written in the current schema.
+ */
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+// Create the backend named by `backend`. The sqlite database lives inside the session directory unless a path is given.
+export function createStorage({ backend = 'json', sessionDir, sqlitePath }) {
+  switch (backend) {
+    case 'json':
+      return createJsonStore({ dir: sessionDir });
+    case 'sqlite':
+      return createSqliteStore({ file: sqlitePath || path.join(sessionDir, 'sessions.db') });
+    default:
+      throw new Error(`Unknown storage backend "${backend}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+// Copy every session (and the default session pointer) from one backend to another.
+// Sessions that already exist in the target are skipped unless overwrite is set.
+export async function migrateSessions(source, target, { overwrite = false } = {}) {
+  const result = { migrated: [], skipped: [], failed: [] };
+  
+  for (const { sessionId } of await source.listSessions()) {
+    try {
+      if (!overwrite && await target.hasSession(sessionId)) {
+        result.skipped.push(sessionId);
+        continue;
+      }
+      const thoughts = await source.loadSession(sessionId);
+      await target.saveSession(sessionId, thoughts, await source.getSessionMetadata(sessionId));
+      result.migrated.push(sessionId);
+    } catch (error) {
+      result.failed.push({ sessionId, message: error.message });
+    }
+  }
+  
+  // Aliases follow their sessions
+  const sourceAliases = await source.getAliases();
+  await target.updateAliases(aliases => {
+    for (const [alias, sessionId] of Object.entries(sourceAliases)) {
+      if (result.migrated.includes(sessionId) && (overwrite || !(alias in aliases))) aliases[alias] = sessionId;
+    }
+  });
+  
+  const defaultSessionId = await source.getDefaultSession();
+  if (defaultSessionId && (overwrite || !(await target.getDefaultSession()))) {
+    await target.setDefaultSession(defaultSessionId);
+  }
+  
+  return result;
+}
+
+// Rewrite every session stored in an older schema version in the current one.
+// With dryRun, only report which sessions would be upgraded.
+export async function upgradeSessions(store, { dryRun = false } = {}) {
+  const result = { schemaVersion: SESSION_SCHEMA_VERSION, upgraded: [], current: [], failed: [] };
+  
+  for (const { sessionId } of await store.listSessions()) {
+    // renameLegacySessions has to give these a valid ID first
+    if (!isValidSessionId(sessionId)) continue;
+    try {
+      const version = await store.getSchemaVersion(sessionId);
+      if (version === SESSION_SCHEMA_VERSION) {
+        result.current.push(sessionId);
+        continue;
+      }
+      // Reading upgrades (or rejects a newer version); the unchanged mutator then writes it back.
+      // An upgrade is no activity, so the session does not become younger for retention.
+      await store.loadSession(sessionId);
+      if (!dryRun) await store.updateSession(sessionId, () => {}, { keepLastModified: true });
+      result.upgraded.push({ sessionId, from: version });
+    } catch (error) {
+      result.failed.push({ sessionId, error: error.message, ...error.details });
+    }
+  }
+  
+  return result;
+}
+
+// Rename every session stored under an ID that is no longer valid (sessions created before IDs were
+// validated, e.g. "my session" or "notes.v2"); no tool can reach them otherwise. Each gets the slug of
+// its old ID ("my-session", "notes-v2"), with a number appended when that is taken.
+// With dryRun, only report the new IDs.
+export async function renameLegacySessions(store, { dryRun = false } = {}) {
+  const result = { renamed: [], failed: [] };
+  const sessions = await store.listSessions();
+  const taken = new Set([...sessions.map(info => info.sessionId), ...Object.keys(await store.getAliases())]);
+  
+  for (const { sessionId } of sessions) {
+    if (isValidSessionId(sessionId)) continue;
+    const base = slugify(sessionId) || 'session';
+    let newId = base;
+    for (let n = 2; taken.has(newId) || !isValidSessionId(newId); n++) {
+      newId = `${base}-${n}`;
+    }
+    taken.add(newId);
+    
+    try {
+      if (!dryRun) await store.renameSession(sessionId, newId);
+      result.renamed.push({ from: sessionId, to: newId });
+    } catch (error) {
+      result.failed.push({ sessionId, error: error.message, ...error.details });
+    }
+  }
+  
+  return result;
+}
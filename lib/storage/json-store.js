@@ -0,0 +1,480 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { SessionError } from '../errors.js';
+import { validateSessionId } from '../validation.js';
+import { SESSION_SCHEMA_VERSION, upgradeSession } from './schema.js';
+
+/**
+ * JSON directory storage backend
+ * 
+ * Stores every session as `<sessionId>.json` ({ schemaVersion, metadata, thoughts };
+ * files written before schema versions are a bare array of thoughts) inside one
+ * directory, plus a `defaultSession.json` pointer file and an `aliases.json`
+ * map of session aliases. Writes are atomic and serialized per file, both
+ * within this process and across processes.
+ */
+
+// Locks whose owner cannot be checked from here (another host or container) are assumed to be left behind
+// by a crashed process once they are older than this. Locks of a live owner on this host are never broken.
+// Waiting gives up only later, so such a stale lock is always broken before a writer times out.
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 15000;
+
+
+const DEFAULT_SESSION_FILE = 'defaultSession.json';
+const ALIASES_FILE = 'aliases.json';
+
+// Write a file atomically: write a temp file next to the target, flush it, then rename over the target.
+// Readers therefore only ever see the old or the new complete file, never a truncated one.
+export async function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${Math.random().toString(36).substring(2, 7)}.tmp`;
+  let handle = null;
+  try {
+    handle = await fs.open(tmpPath, 'w');
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Parse a lock file: { pid, host, token }, or null while its owner has not written it yet
+function parseLock(content) {
+  try {
+    return JSON.parse(content) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Where a lock that a waiter moved aside while its holder was alive ends up, for that holder to remove on release
+function heldLockPath(lockPath, token) {
+  return `${lockPath}.${token}.held`;
+}
+
+// Whether the process named in a lock file is still running: true or false, or null when that
+// cannot be checked from here (the owner runs on another host, or has not written its ID yet)
+function isLockOwnerAlive(content) {
+  const owner = parseLock(content);
+  if (!owner || !Number.isInteger(owner.pid) || owner.pid <= 0 || owner.host !== os.hostname()) return null;
+  try {
+    process.kill(owner.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code !== 'ESRCH';
+  }
+}
+
+// Take over an abandoned lock ({ stats, content } as judged). Renaming it to a unique name succeeds for one
+// waiter only; the file moved is then checked to be the abandoned lock, and put back if another waiter had
+// already replaced it with a live one.
+async function breakLock(lockPath, abandoned) {
+  const movedPath = `${lockPath}.${randomUUID()}.stale`;
+  try {
+    await fs.rename(lockPath, movedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return; // released or taken over in the meantime
+    throw error;
+  }
+  const [moved, content] = await Promise.all([fs.stat(movedPath), fs.readFile(movedPath, 'utf8')]);
+  if (moved.ino === abandoned.stats.ino && content === abandoned.content) {
+    await fs.unlink(movedPath).catch(() => {});
+    return;
+  }
+  
+  // Linking instead of renaming back never replaces a lock created since
+  try {
+    await fs.link(movedPath, lockPath);
+    await fs.unlink(movedPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    // Yet another waiter has taken the lock meanwhile. The moved lock is kept, where its holder removes it on release.
+    const token = parseLock(content)?.token;
+    if (token) await fs.rename(movedPath, heldLockPath(lockPath, token));
+    console.error(`Lock ${path.basename(lockPath)} was taken over while its holder was still running`);
+  }
+}
+
+// Acquire a lock file shared by every server process using the same session directory.
+// Returns the token identifying this acquisition, for releaseFileLock.
+async function acquireFileLock(lockPath) {
+  const started = Date.now();
+  const token = randomUUID();
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, host: os.hostname(), token }), 'utf8');
+      await handle.close();
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    
+    // Break locks abandoned by a crashed process
+    try {
+      const stats = await fs.stat(lockPath);
+      const content = await fs.readFile(lockPath, 'utf8');
+      const alive = isLockOwnerAlive(content);
+      if (alive === false || (alive === null && Date.now() - stats.mtimeMs > LOCK_STALE_MS)) {
+        await breakLock(lockPath, { stats, content });
+        continue;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') continue; // released in the meantime
+      throw error;
+    }
+    
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for lock ${path.basename(lockPath)}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+// Release a lock taken with acquireFileLock. A lock that was broken and taken by another holder since is theirs
+// and stays; only this acquisition's own lock file is removed, wherever a waiter may have moved it.
+async function releaseFileLock(lockPath, token) {
+  let content = null;
+  try {
+    content = await fs.readFile(lockPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (parseLock(content)?.token === token) {
+    await fs.unlink(lockPath).catch(() => {});
+  } else {
+    await fs.unlink(heldLockPath(lockPath, token)).catch(() => {});
+  }
+}
+
+export function createJsonStore({ dir }) {
+  // In-process queues of pending updates, keyed by file path
+  const fileQueues = new Map();
+  const defaultSessionPath = path.join(dir, DEFAULT_SESSION_FILE);
+  const aliasesPath = path.join(dir, ALIASES_FILE);
+  
+  // Session IDs are validated here as well, so no caller can build a path outside the session directory
+  function getSessionPath(sessionId) {
+    return path.join(dir, `${validateSessionId(sessionId)}.json`);
+  }
+  
+  // Run fn while holding the lock for filePath. Calls within this process are queued per file,
+  // and the lock file serializes them against other processes sharing the session directory.
+  function withFileLock(filePath, fn) {
+    const previous = fileQueues.get(filePath) || Promise.resolve();
+    const run = previous.then(async () => {
+      const lockPath = `${filePath}.lock`;
+      const token = await acquireFileLock(lockPath);
+      try {
+        return await fn();
+      } finally {
+        await releaseFileLock(lockPath, token);
+      }
+    });
+    
+    const tail = run.catch(() => {});
+    fileQueues.set(filePath, tail);
+    tail.then(() => {
+      if (fileQueues.get(filePath) === tail) fileQueues.delete(filePath);
+    });
+    return run;
+  }
+  
+  function withSessionLock(sessionId, fn) {
+    return withFileLock(getSessionPath(sessionId), fn);
+  }
+  
+  // Move a damaged session file out of the way so it is neither read as empty nor overwritten
+  async function quarantineSessionFile(sessionId) {
+    const quarantineDir = path.join(dir, 'quarantine');
+    const quarantinePath = path.join(quarantineDir, `${sessionId}_${Date.now()}.json`);
+    await fs.mkdir(quarantineDir, { recursive: true });
+    try {
+      await fs.rename(getSessionPath(sessionId), quarantinePath);
+    } catch (error) {
+      // Another reader may have quarantined it first
+      if (error.code !== 'ENOENT') throw error;
+    }
+    console.error(`Quarantined corrupted session ${sessionId} to ${quarantinePath}`);
+    return quarantinePath;
+  }
+  
+  async function init() {
+    await fs.mkdir(dir, { recursive: true });
+  }
+  
+  // Read a session file as stored: { version, metadata, thoughts }. Unversioned files are either
+  // a bare array of thoughts or an object holding metadata and thoughts, and count as version 1.
+  // Corrupted files are quarantined unless quarantine is false (read-only listings only report them).
+  async function readRawSessionFile(sessionId, { quarantine = true } = {}) {
+    let data;
+    try {
+      data = await fs.readFile(getSessionPath(sessionId), 'utf8');
+    } catch (error) {
+      // Return an empty session if it doesn't exist yet
+      if (error.code === 'ENOENT') return { version: SESSION_SCHEMA_VERSION, metadata: {}, thoughts: [] };
+      throw error;
+    }
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      parsed = null;
+    }
+    
+    if (Array.isArray(parsed)) return { version: 1, metadata: {}, thoughts: parsed };
+    if (parsed && Array.isArray(parsed.thoughts)) {
+      return { version: parsed.schemaVersion ?? 1, metadata: parsed.metadata || {}, thoughts: parsed.thoughts };
+    }
+    
+    if (!quarantine) throw new SessionError("Session file is corrupted", { sessionId });
+    const quarantinedTo = await quarantineSessionFile(sessionId);
+    throw new SessionError("Session file is corrupted", {
+      sessionId,
+      quarantinedTo,
+      message: "The damaged file was moved to quarantine; the session will start empty on the next write"
+    });
+  }
+  
+  // Read a session file as { metadata, thoughts }, upgraded to the current schema
+  async function readSessionFile(sessionId, options) {
+    const { metadata, thoughts } = upgradeSession(sessionId, await readRawSessionFile(sessionId, options));
+    return { metadata, thoughts };
+  }
+  
+  async function getSchemaVersion(sessionId) {
+    return (await readRawSessionFile(sessionId)).version;
+  }
+  
+  async function loadSession(sessionId) {
+    return (await readSessionFile(sessionId)).thoughts;
+  }
+  
+  async function getSessionMetadata(sessionId) {
+    return (await readSessionFile(sessionId)).metadata;
+  }
+  
+  async function getThought(sessionId, thoughtId) {
+    const thoughts = await loadSession(sessionId);
+    return thoughts.find(t => t.id === thoughtId) || null;
+  }
+  
+  async function hasSession(sessionId) {
+    try {
+      await fs.access(getSessionPath(sessionId));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // Sessions are always written in the current schema
+  async function writeSession(sessionId, { metadata, thoughts }) {
+    const content = { schemaVersion: SESSION_SCHEMA_VERSION, metadata, thoughts };
+    await writeFileAtomic(getSessionPath(sessionId), JSON.stringify(content, null, 2));
+  }
+  
+  // Replace a session's thoughts. Existing metadata is kept unless new metadata is given.
+  function saveSession(sessionId, thoughts, metadata) {
+    return withSessionLock(sessionId, async () => {
+      // Reading first also refuses to overwrite a session written by a newer version
+      const current = await readSessionFile(sessionId);
+      await writeSession(sessionId, { metadata: metadata || current.metadata, thoughts });
+    });
+  }
+  
+  // Load, modify and save a session as one serialized step.
+  // The mutator may modify the thoughts array and metadata object in place; throwing from it aborts without saving.
+  // With keepLastModified the file keeps its modification time, which retention goes by.
+  function updateSession(sessionId, mutator, { keepLastModified = false } = {}) {
+    return withSessionLock(sessionId, async () => {
+      const session = await readSessionFile(sessionId);
+      const result = await mutator(session.thoughts, session.metadata);
+      const stats = keepLastModified ? await fs.stat(getSessionPath(sessionId)).catch(() => null) : null;
+      await writeSession(sessionId, session);
+      if (stats) await fs.utimes(getSessionPath(sessionId), stats.atime, stats.mtime);
+      return result;
+    });
+  }
+  
+  async function deleteSession(sessionId) {
+    // Take the session lock so a delete cannot interleave with a pending write
+    await withSessionLock(sessionId, async () => {
+      try {
+        await fs.unlink(getSessionPath(sessionId));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new SessionError("Session not found", { sessionId });
+        throw error;
+      }
+    });
+    
+    // Aliases of a deleted session would otherwise point nowhere
+    if (!Object.values(await readAliases()).includes(sessionId)) return;
+    await updateAliases(aliases => {
+      for (const [alias, target] of Object.entries(aliases)) {
+        if (target === sessionId) delete aliases[alias];
+      }
+    });
+  }
+  
+  // Give a session a new ID, keeping its aliases and default-session status. Used to rename sessions
+  // whose IDs are no longer valid, so the old ID only has to name a file in the session directory.
+  async function renameSession(sessionId, newId) {
+    if (!sessionId || sessionId.includes('/') || sessionId.includes(path.sep) || sessionId === '..') {
+      throw new SessionError("Session not found", { sessionId });
+    }
+    await withSessionLock(newId, async () => {
+      if (await hasSession(newId)) {
+        throw new SessionError("Session already exists", { sessionId: newId });
+      }
+      try {
+        await fs.rename(path.join(dir, `${sessionId}.json`), getSessionPath(newId));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new SessionError("Session not found", { sessionId });
+        throw error;
+      }
+    });
+    
+    if (await getDefaultSession() === sessionId) await setDefaultSession(newId);
+    if (!Object.values(await readAliases()).includes(sessionId)) return;
+    await updateAliases(aliases => {
+      for (const [alias, target] of Object.entries(aliases)) {
+        if (target === sessionId) aliases[alias] = newId;
+      }
+    });
+  }
+  
+  async function listSessions() {
+    const files = await fs.readdir(dir);
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.json') && file !== DEFAULT_SESSION_FILE && file !== ALIASES_FILE)
+      .map(async file => {
+        const sessionId = file.replace('.json', '');
+        let stats = null;
+        
+        try {
+          stats = await fs.stat(path.join(dir, file));
+          const { metadata, thoughts } = await readSessionFile(sessionId, { quarantine: false });
+          return {
+            sessionId,
+            metadata,
+            thoughtCount: thoughts.length,
+            firstThought: thoughts[0]?.timestamp || null,
+            lastThought: thoughts[thoughts.length - 1]?.timestamp || null,
+            lastModified: stats.mtime.toISOString()
+          };
+        } catch (e) {
+          // Deleted or archived since the directory was read
+          if (e.code === 'ENOENT') return null;
+          return {
+            sessionId,
+            error: e instanceof SessionError ? e.message : "Could not read session data",
+            ...(stats && { lastModified: stats.mtime.toISOString() })
+          };
+        }
+      }));
+    return sessions.filter(Boolean);
+  }
+  
+  // Only stats the session files, for callers that just need to know what changed
+  async function listLastModified() {
+    const files = await fs.readdir(dir);
+    const entries = await Promise.all(files
+      .filter(file => file.endsWith('.json') && file !== DEFAULT_SESSION_FILE && file !== ALIASES_FILE)
+      .map(async file => {
+        try {
+          const stats = await fs.stat(path.join(dir, file));
+          return [file.replace('.json', ''), stats.mtime.toISOString()];
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      }));
+    return Object.fromEntries(entries.filter(Boolean));
+  }
+  
+  async function getDefaultSession() {
+    try {
+      const data = await fs.readFile(defaultSessionPath, 'utf8');
+      const { defaultSessionId } = JSON.parse(data);
+      return defaultSessionId || null;
+    } catch (error) {
+      // No default session yet
+      return null;
+    }
+  }
+  
+  async function setDefaultSession(sessionId) {
+    await writeFileAtomic(defaultSessionPath, JSON.stringify({ defaultSessionId: sessionId }));
+  }
+  
+  async function clearDefaultSession() {
+    try {
+      await fs.unlink(defaultSessionPath);
+    } catch (error) {
+      // Ignore if file doesn't exist
+    }
+  }
+  
+  async function readAliases() {
+    try {
+      return JSON.parse(await fs.readFile(aliasesPath, 'utf8'));
+    } catch (error) {
+      // No aliases yet
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+  
+  // Map of alias → session ID
+  async function getAliases() {
+    return readAliases();
+  }
+  
+  // Load, modify and save the alias map as one serialized step; the mutator modifies it in place
+  function updateAliases(mutator) {
+    return withFileLock(aliasesPath, async () => {
+      const aliases = await readAliases();
+      const result = await mutator(aliases);
+      await writeFileAtomic(aliasesPath, JSON.stringify(aliases, null, 2));
+      return result;
+    });
+  }
+  
+  // Wait for queued writes to finish
+  async function close() {
+    await Promise.all(fileQueues.values());
+  }
+  
+  return {
+    name: 'json',
+    location: dir,
+    init,
+    listSessions,
+    listLastModified,
+    hasSession,
+    loadSession,
+    getSessionMetadata,
+    getSchemaVersion,
+    getThought,
+    saveSession,
+    updateSession,
+    deleteSession,
+    renameSession,
+    getDefaultSession,
+    setDefaultSession,
+    clearDefaultSession,
+    getAliases,
+    updateAliases,
+    close
+  };
+}
@@ -0,0 +1,106 @@
+import { z } from "zod";
+import { SessionError } from '../errors.js';
+
+/**
+ * Versioned session schema
+ *
+ * Every stored session records the schema version it was written with. When a
+ * session is read, the migrations between its version and SESSION_SCHEMA_VERSION
+ * run in order and the result is validated, so the rest of the server only ever
+ * sees sessions in the current shape. The upgraded session is written back the
+ * next time it is saved, or for every session at once with upgradeSessions().
+ *
+ * Versions:
+ * 1. Unversioned files. Thoughts may lack mode, tags, relates_to,
+ *    relationship_type and the relationships_in / relationships_out arrays.
+ * 2. Every thought carries all of the above; the arrays are the source of truth
+ *    for relationships.
+ *
+ * To change the schema, bump SESSION_SCHEMA_VERSION and append a migration
+ * that upgrades a session from the previous version.
+ */
+
+export const SESSION_SCHEMA_VERSION = 2;
+
+export const relationshipSchema = z.object({
+  thought_id: z.string().min(1),
+  relationship_type: z.string().min(1)
+});
+
+export const thoughtSchema = z.object({
+  id: z.string().min(1),
+  content: z.string(),
+  mode: z.string().default("linear"),
+  tags: z.array(z.string()).default([]),
+  timestamp: z.string().datetime({ offset: true }),
+  relates_to: z.string().nullable().default(null),
+  relationship_type: z.string().nullable().default(null),
+  relationships_in: z.array(relationshipSchema).default([]),
+  relationships_out: z.array(relationshipSchema).default([])
+}).passthrough();
+
+const sessionSchema = z.object({
+  metadata: z.record(z.unknown()),
+  thoughts: z.array(thoughtSchema)
+});
+
+// migrations[i] upgrades a session ({ metadata, thoughts }) from version i + 1 to i + 2
+const migrations = [
+  // 1 → 2: fill in missing fields and derive the relationship arrays from relates_to
+  ({ metadata, thoughts }) => {
+    const upgraded = thoughts.map(thought => ({
+      mode: "linear",
+      tags: [],
+      relates_to: null,
+      relationship_type: null,
+      ...thought,
+      relationships_out: thought.relationships_out
+        || (thought.relates_to && thought.relationship_type
+          ? [{ thought_id: thought.relates_to, relationship_type: thought.relationship_type }]
+          : []),
+      relationships_in: thought.relationships_in || []
+    }));
+    
+    // Thoughts that never had incoming links recorded get them from the others' outgoing links
+    const missingIncoming = new Set(thoughts.filter(t => !t.relationships_in).map(t => t.id));
+    const byId = new Map(upgraded.map(t => [t.id, t]));
+    for (const thought of upgraded) {
+      for (const rel of thought.relationships_out) {
+        if (!missingIncoming.has(rel.thought_id)) continue;
+        byId.get(rel.thought_id).relationships_in.push({ thought_id: thought.id, relationship_type: rel.relationship_type });
+      }
+    }
+    return { metadata, thoughts: upgraded };
+  }
+];
+
+// Bring a stored session up to the current schema and validate it.
+// Returns { metadata, thoughts, migratedFrom } where migratedFrom is the stored version if it was older, else null.
+export function upgradeSession(sessionId, { version = 1, metadata = {}, thoughts }) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new SessionError("Session has an invalid schema version", { sessionId, schemaVersion: version });
+  }
+  if (version > SESSION_SCHEMA_VERSION) {
+    throw new SessionError("Session was written by a newer version of minimal-think-mcp", {
+      sessionId,
+      schemaVersion: version,
+      supportedSchemaVersion: SESSION_SCHEMA_VERSION,
+      message: "Upgrade minimal-think-mcp to read this session; it has not been modified"
+    });
+  }
+  
+  let session = { metadata, thoughts };
+  for (let from = version; from < SESSION_SCHEMA_VERSION; from++) {
+    session = migrations[from - 1](session);
+  }
+  
+  const result = sessionSchema.safeParse(session);
+  if (!result.success) {
+    throw new SessionError("Session data is invalid", {
+      sessionId,
+      schemaVersion: version,
+      issues: result.error.issues.slice(0, 10).map(issue => ({ path: issue.path.join('.'), message: issue.message }))
+    });
+  }
+  return { ...result.data, migratedFrom: version < SESSION_SCHEMA_VERSION ? version : null };
+}
@@ -0,0 +1,360 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SessionError } from '../errors.js';
+import { SESSION_SCHEMA_VERSION, upgradeSession } from './schema.js';
+
+/**
+ * SQLite storage backend
+ * 
+ * Keeps every session in a single database file with one row per thought, so
+ * appending a thought inserts one row instead of rewriting the whole session,
+ * and single thoughts can be looked up by primary key. Each session row records
+ * the schema version its thoughts were written with (NULL for rows written
+ * before schema versions existed, read as version 1).
+ * 
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+// How long to wait for another process holding the write lock
+const BUSY_TIMEOUT_MS = 5000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    metadata TEXT,
+    schema_version INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS thoughts (
+    session_id TEXT NOT NULL REFERENCES sessions(session_id) ON DELETE CASCADE,
+    thought_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    timestamp TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session_id, thought_id)
+  );
+  CREATE INDEX IF NOT EXISTS thoughts_by_seq ON thoughts (session_id, seq);
+  CREATE TABLE IF NOT EXISTS aliases (
+    alias TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES sessions(session_id) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+async function openDatabase(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch (error) {
+    throw new Error('The sqlite storage backend requires the "better-sqlite3" package. Install it with: npm install better-sqlite3');
+  }
+  
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const db = new Database(file, { timeout: BUSY_TIMEOUT_MS });
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  
+  // Databases created before session metadata or schema versions existed lack the columns
+  const columns = db.pragma('table_info(sessions)').map(column => column.name);
+  if (!columns.includes('metadata')) {
+    db.exec('ALTER TABLE sessions ADD COLUMN metadata TEXT');
+  }
+  if (!columns.includes('schema_version')) {
+    db.exec('ALTER TABLE sessions ADD COLUMN schema_version INTEGER');
+  }
+  return db;
+}
+
+export function createSqliteStore({ file }) {
+  let db = null;
+  let statements = null;
+  
+  // better-sqlite3 shares one connection, so updates are queued to keep transactions from nesting
+  let writeQueue = Promise.resolve();
+  
+  function prepareStatements() {
+    return {
+      loadThoughts: db.prepare('SELECT thought_id, seq, data FROM thoughts WHERE session_id = ? ORDER BY seq'),
+      getThought: db.prepare('SELECT data FROM thoughts WHERE session_id = ? AND thought_id = ?'),
+      hasSession: db.prepare('SELECT 1 FROM sessions WHERE session_id = ?'),
+      getSessionRow: db.prepare('SELECT metadata, schema_version, updated_at FROM sessions WHERE session_id = ?'),
+      upsertSession: db.prepare(`
+        INSERT INTO sessions (session_id, created_at, updated_at, metadata, schema_version) VALUES (@sessionId, @now, @now, @metadata, @schemaVersion)
+        ON CONFLICT (session_id) DO UPDATE SET updated_at = @now, metadata = COALESCE(@metadata, metadata), schema_version = @schemaVersion
+      `),
+      upsertThought: db.prepare(`
+        INSERT INTO thoughts (session_id, thought_id, seq, timestamp, data) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (session_id, thought_id) DO UPDATE SET seq = excluded.seq, timestamp = excluded.timestamp, data = excluded.data
+      `),
+      deleteThought: db.prepare('DELETE FROM thoughts WHERE session_id = ? AND thought_id = ?'),
+      deleteThoughts: db.prepare('DELETE FROM thoughts WHERE session_id = ?'),
+      deleteSession: db.prepare('DELETE FROM sessions WHERE session_id = ?'),
+      copySession: db.prepare(`
+        INSERT INTO sessions (session_id, created_at, updated_at, metadata, schema_version)
+        SELECT ?, created_at, updated_at, metadata, schema_version FROM sessions WHERE session_id = ?
+      `),
+      moveThoughts: db.prepare('UPDATE thoughts SET session_id = ? WHERE session_id = ?'),
+      moveAliases: db.prepare('UPDATE aliases SET session_id = ? WHERE session_id = ?'),
+      listSessions: db.prepare(`
+        SELECT s.session_id, s.updated_at, s.metadata, s.schema_version,
+          (SELECT COUNT(*) FROM thoughts t WHERE t.session_id = s.session_id) AS thought_count,
+          (SELECT timestamp FROM thoughts t WHERE t.session_id = s.session_id ORDER BY seq LIMIT 1) AS first_thought,
+          (SELECT timestamp FROM thoughts t WHERE t.session_id = s.session_id ORDER BY seq DESC LIMIT 1) AS last_thought
+        FROM sessions s
+      `),
+      listLastModified: db.prepare('SELECT session_id, updated_at FROM sessions'),
+      listAliases: db.prepare('SELECT alias, session_id FROM aliases ORDER BY alias'),
+      insertAlias: db.prepare('INSERT INTO aliases (alias, session_id) VALUES (?, ?)'),
+      deleteAliases: db.prepare('DELETE FROM aliases'),
+      getSetting: db.prepare('SELECT value FROM settings WHERE key = ?'),
+      setSetting: db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+      deleteSetting: db.prepare('DELETE FROM settings WHERE key = ?')
+    };
+  }
+  
+  // Run fn inside an immediate (write-locking) transaction, one at a time
+  function inWriteTransaction(fn) {
+    const run = writeQueue.then(async () => {
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn();
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        if (db.inTransaction) db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+  
+  function readRows(sessionId) {
+    return statements.loadThoughts.all(sessionId);
+  }
+  
+  // Stored schema version; sessions that do not exist yet will be written in the current one
+  function readVersion(sessionId) {
+    const row = statements.getSessionRow.get(sessionId);
+    return row ? row.schema_version ?? 1 : SESSION_SCHEMA_VERSION;
+  }
+  
+  // Read a session as { rows, updatedAt, metadata, thoughts }, upgraded to the current schema.
+  // rows are the stored rows, for writeChanges to compare against; updatedAt is null for a new session.
+  function readSession(sessionId) {
+    const row = statements.getSessionRow.get(sessionId);
+    const rows = readRows(sessionId);
+    const { metadata, thoughts } = upgradeSession(sessionId, {
+      version: row ? row.schema_version ?? 1 : SESSION_SCHEMA_VERSION,
+      metadata: row?.metadata ? JSON.parse(row.metadata) : {},
+      thoughts: rows.map(r => JSON.parse(r.data))
+    });
+    return { rows, updatedAt: row?.updated_at || null, metadata, thoughts };
+  }
+  
+  // Write only the thoughts that were added, moved or changed, and drop removed ones.
+  // Metadata is left as stored when not given. updatedAt replaces the current time as the modification time.
+  function writeChanges(sessionId, rows, thoughts, metadata, updatedAt) {
+    const previous = new Map(rows.map(row => [row.thought_id, row]));
+    statements.upsertSession.run({
+      sessionId,
+      now: updatedAt || new Date().toISOString(),
+      metadata: metadata ? JSON.stringify(metadata) : null,
+      schemaVersion: SESSION_SCHEMA_VERSION
+    });
+    
+    thoughts.forEach((thought, seq) => {
+      const data = JSON.stringify(thought);
+      const row = previous.get(thought.id);
+      previous.delete(thought.id);
+      if (row && row.seq === seq && row.data === data) return;
+      statements.upsertThought.run(sessionId, thought.id, seq, thought.timestamp || null, data);
+    });
+    
+    for (const thoughtId of previous.keys()) {
+      statements.deleteThought.run(sessionId, thoughtId);
+    }
+  }
+  
+  async function init() {
+    if (db) return;
+    db = await openDatabase(file);
+    statements = prepareStatements();
+  }
+  
+  async function loadSession(sessionId) {
+    return readSession(sessionId).thoughts;
+  }
+  
+  async function getSessionMetadata(sessionId) {
+    return readSession(sessionId).metadata;
+  }
+  
+  async function getSchemaVersion(sessionId) {
+    return readVersion(sessionId);
+  }
+  
+  // Thoughts stored in the current schema are read by primary key; older sessions are upgraded as a whole
+  async function getThought(sessionId, thoughtId) {
+    if (readVersion(sessionId) !== SESSION_SCHEMA_VERSION) {
+      return (await loadSession(sessionId)).find(t => t.id === thoughtId) || null;
+    }
+    const row = statements.getThought.get(sessionId, thoughtId);
+    return row ? JSON.parse(row.data) : null;
+  }
+  
+  async function hasSession(sessionId) {
+    return !!statements.hasSession.get(sessionId);
+  }
+  
+  // Replace a session's thoughts. Existing metadata is kept unless new metadata is given.
+  function saveSession(sessionId, thoughts, metadata) {
+    return inWriteTransaction(() => {
+      // Reading first also refuses to overwrite a session written by a newer version
+      writeChanges(sessionId, readSession(sessionId).rows, thoughts, metadata);
+    });
+  }
+  
+  // Load, modify and save a session as one transaction.
+  // The mutator may modify the thoughts array and metadata object in place; throwing from it rolls back.
+  // With keepLastModified the session keeps its modification time, which retention goes by.
+  function updateSession(sessionId, mutator, { keepLastModified = false } = {}) {
+    return inWriteTransaction(async () => {
+      const { rows, updatedAt, metadata, thoughts } = readSession(sessionId);
+      const result = await mutator(thoughts, metadata);
+      writeChanges(sessionId, rows, thoughts, metadata, keepLastModified ? updatedAt : null);
+      return result;
+    });
+  }
+  
+  function deleteSession(sessionId) {
+    return inWriteTransaction(() => {
+      if (!statements.hasSession.get(sessionId)) {
+        throw new SessionError("Session not found", { sessionId });
+      }
+      statements.deleteThoughts.run(sessionId);
+      statements.deleteSession.run(sessionId);
+    });
+  }
+  
+  // Give a session a new ID, keeping its aliases and default-session status
+  function renameSession(sessionId, newId) {
+    return inWriteTransaction(() => {
+      if (!statements.hasSession.get(sessionId)) {
+        throw new SessionError("Session not found", { sessionId });
+      }
+      if (statements.hasSession.get(newId)) {
+        throw new SessionError("Session already exists", { sessionId: newId });
+      }
+      statements.copySession.run(newId, sessionId);
+      statements.moveThoughts.run(newId, sessionId);
+      statements.moveAliases.run(newId, sessionId);
+      statements.deleteSession.run(sessionId);
+      if (statements.getSetting.get('defaultSessionId')?.value === sessionId) {
+        statements.setSetting.run('defaultSessionId', newId);
+      }
+    });
+  }
+  
+  // Only the session rows are read: their schema version is checked and their metadata validated the way
+  // loading does, so sessions from a newer version or with broken metadata are listed with an error instead
+  async function listSessions() {
+    return statements.listSessions.all().map(row => {
+      try {
+        const { metadata } = upgradeSession(row.session_id, {
+          version: row.schema_version ?? 1,
+          metadata: row.metadata ? JSON.parse(row.metadata) : {},
+          thoughts: []
+        });
+        return {
+          sessionId: row.session_id,
+          metadata,
+          thoughtCount: row.thought_count,
+          firstThought: row.first_thought,
+          lastThought: row.last_thought,
+          lastModified: row.updated_at
+        };
+      } catch (e) {
+        return {
+          sessionId: row.session_id,
+          error: e instanceof SessionError ? e.message : "Could not read session data",
+          lastModified: row.updated_at
+        };
+      }
+    });
+  }
+  
+  async function listLastModified() {
+    return Object.fromEntries(statements.listLastModified.all().map(row => [row.session_id, row.updated_at]));
+  }
+  
+  async function getDefaultSession() {
+    return statements.getSetting.get('defaultSessionId')?.value || null;
+  }
+  
+  async function setDefaultSession(sessionId) {
+    statements.setSetting.run('defaultSessionId', sessionId);
+  }
+  
+  async function clearDefaultSession() {
+    statements.deleteSetting.run('defaultSessionId');
+  }
+  
+  function readAliases() {
+    return Object.fromEntries(statements.listAliases.all().map(row => [row.alias, row.session_id]));
+  }
+  
+  // Map of alias → session ID
+  async function getAliases() {
+    return readAliases();
+  }
+  
+  // Load, modify and save the alias map as one transaction; the mutator modifies it in place.
+  // Aliases are removed automatically when their session is deleted.
+  function updateAliases(mutator) {
+    return inWriteTransaction(async () => {
+      const aliases = readAliases();
+      const result = await mutator(aliases);
+      statements.deleteAliases.run();
+      for (const [alias, sessionId] of Object.entries(aliases)) {
+        statements.insertAlias.run(alias, sessionId);
+      }
+      return result;
+    });
+  }
+  
+  async function close() {
+    if (!db) return;
+    await writeQueue;
+    db.close();
+    db = null;
+  }
+  
+  return {
+    name: 'sqlite',
+    location: file,
+    init,
+    listSessions,
+    listLastModified,
+    hasSession,
+    loadSession,
+    getSessionMetadata,
+    getSchemaVersion,
+    getThought,
+    saveSession,
+    updateSession,
+    deleteSession,
+    renameSession,
+    getDefaultSession,
+    setDefaultSession,
+    clearDefaultSession,
+    getAliases,
+    updateAliases,
+    close
+  };
+}
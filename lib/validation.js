@@ -0,0 +1,157 @@
+import { SessionError } from './errors.js';
+
+/**
+ * Validation of client input
+ *
+ * Session IDs double as file names in the JSON backend, so every ID coming from
+ * a client is checked here before it reaches storage: only letters, digits,
+ * hyphens and underscores are allowed (no path separators or dots), and names
+ * that collide with the backend's own files or with device names are reserved.
+ * Rejected input always raises a SessionError("Invalid input") listing the
+ * offending parameters, so every tool reports it the same way.
+ */
+
+// Session IDs: generated ones look like session_1720529347123_ab7c9
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
+// Thought IDs: generated ones look like thought_1720529347123_ab7c9. Never a ":", which separates
+// the session from the thought in a cross-session reference ("sessionId:thoughtId").
+export const THOUGHT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
+// Bundle file names for export_bundle / import_session: a plain file name, never a path
+export const BUNDLE_FILE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*(?:\.[A-Za-z0-9_-]+)*$/;
+
+// User-chosen names and aliases are stricter: lowercase, so they are unique on case-insensitive filesystems
+export const SESSION_NAME_PATTERN = /^[a-z0-9](?:[a-z0-9_-]{0,62}[a-z0-9])?$/;
+
+// Names that collide with the storage backend's own files or with Windows device names (compared case-insensitively)
+export const RESERVED_SESSION_NAMES = [
+  'defaultsession', 'aliases',
+  'con', 'prn', 'aux', 'nul',
+  ...Array.from({ length: 9 }, (_, i) => `com${i + 1}`),
+  ...Array.from({ length: 9 }, (_, i) => `lpt${i + 1}`)
+];
+
+// Size limits for thought input
+export const INPUT_LIMITS = {
+  reasoningLength: 20000,
+  tagCount: 20,
+  tagLength: 64
+};
+
+// Replace the size limits, e.g. with the configured ones (see config.js)
+export function setInputLimits({ reasoningLength, tagCount, tagLength }) {
+  Object.assign(INPUT_LIMITS, { reasoningLength, tagCount, tagLength });
+}
+
+// Raise the error for rejected input; issues is [{ path, message }]
+export function invalidInput(issues, details = {}) {
+  return new SessionError("Invalid input", { issues, ...details });
+}
+
+// Turn free text into a valid name, e.g. "Auth Migration!" -> "auth-migration"
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^[-_]+|[-_]+$/g, '')
+    .slice(0, 64)
+    .replace(/[-_]+$/g, '');
+}
+
+function isReserved(name) {
+  return RESERVED_SESSION_NAMES.includes(name.toLowerCase());
+}
+
+// Throw unless sessionId is safe to use as a session ID. label names the parameter in the error.
+export function validateSessionId(sessionId, label = 'sessionId') {
+  if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+    throw invalidInput([{
+      path: label,
+      message: "Session IDs are 1-128 letters, digits, hyphens and underscores, starting with a letter or digit"
+    }], { [label]: sessionId });
+  }
+  if (isReserved(sessionId)) {
+    throw invalidInput([{ path: label, message: `"${sessionId}" is a reserved name` }], { [label]: sessionId });
+  }
+  return sessionId;
+}
+
+// True when sessionId would pass validateSessionId
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId) && !isReserved(sessionId);
+}
+
+// Throw unless file is a plain file name that stays inside the export directory. label names the parameter in the error.
+export function validateBundleFileName(file, label = 'file') {
+  if (typeof file !== 'string' || file.length > 128 || !BUNDLE_FILE_PATTERN.test(file)) {
+    throw invalidInput([{
+      path: label,
+      message: "Use a file name of up to 128 letters, digits, hyphens, underscores and dots (no directories), e.g. \"auth-migration.json\""
+    }], { [label]: file });
+  }
+  return file;
+}
+
+// Throw unless name is a valid user-chosen session name or alias. label names the parameter in the error.
+export function validateSessionName(name, label = 'name') {
+  if (!SESSION_NAME_PATTERN.test(name)) {
+    const suggestion = slugify(name);
+    throw invalidInput([{
+      path: label,
+      message: "Use 1-64 lowercase letters, digits, hyphens and underscores, starting and ending with a letter or digit"
+    }], {
+      [label]: name,
+      ...(suggestion && !isReserved(suggestion) && { suggestion })
+    });
+  }
+  if (isReserved(name)) {
+    throw invalidInput([{ path: label, message: `"${name}" is a reserved name` }], { [label]: name });
+  }
+  return name;
+}
+
+// Problems with the text and tags of a thought, as [{ path, message }]. Either may be undefined.
+function thoughtInputIssues({ text, tags }, textLabel) {
+  const issues = [];
+  if (text !== undefined && text.length > INPUT_LIMITS.reasoningLength) {
+    issues.push({ path: textLabel, message: `Must be at most ${INPUT_LIMITS.reasoningLength} characters (got ${text.length})` });
+  }
+  if (tags !== undefined) {
+    if (tags.length > INPUT_LIMITS.tagCount) {
+      issues.push({ path: 'tags', message: `At most ${INPUT_LIMITS.tagCount} tags are allowed (got ${tags.length})` });
+    }
+    tags.forEach((tag, index) => {
+      if (tag.trim().length === 0) {
+        issues.push({ path: `tags.${index}`, message: "Tags cannot be empty" });
+      } else if (tag.length > INPUT_LIMITS.tagLength) {
+        issues.push({ path: `tags.${index}`, message: `Tags must be at most ${INPUT_LIMITS.tagLength} characters` });
+      }
+    });
+  }
+  return issues;
+}
+
+// Throw unless the text and tags of a thought are within INPUT_LIMITS. Either may be undefined.
+export function validateThoughtInput({ text, tags }, textLabel = 'reasoning') {
+  const issues = thoughtInputIssues({ text, tags }, textLabel);
+  if (issues.length > 0) throw invalidInput(issues);
+}
+
+// Throw unless complete thoughts from outside (e.g. an imported bundle) have valid IDs and stay within
+// INPUT_LIMITS, as if each had been recorded with think. label names the parameter in the error.
+export function validateThoughts(thoughts, label = 'thoughts') {
+  const issues = thoughts.flatMap((thought, index) => {
+    const prefix = `${label}.${index}`;
+    const idIssues = THOUGHT_ID_PATTERN.test(thought.id) ? [] : [{
+      path: `${prefix}.id`,
+      message: "Thought IDs are 1-128 letters, digits, hyphens and underscores, starting with a letter or digit"
+    }];
+    const inputIssues = thoughtInputIssues({ text: thought.content, tags: thought.tags }, 'content')
+      .map(issue => ({ ...issue, path: `${prefix}.${issue.path}` }));
+    return [...idIssues, ...inputIssues];
+  });
+  if (issues.length > 0) throw invalidInput(issues);
+}
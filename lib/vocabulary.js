@@ -0,0 +1,61 @@
+import { MODE_GUIDANCE } from './prompts.js';
+
+/**
+ * Thinking modes and relationship types
+ *
+ * The built-in vocabulary can be extended, and built-in entries adjusted, with
+ * `modes` and `relationshipTypes` in the configuration (see config.js). What
+ * the server does with a relationship depends on the properties of its type,
+ * never on its name:
+ * - transitive: links of this type chain into a line of reasoning, like builds_on.
+ *   Context injection shows the chain behind a new link of this type, and
+ *   link_thoughts rejects links that would make a chain loop back on itself.
+ * - conflicting: the linking thought disagrees with its target, like contradicts.
+ *   Context injection surfaces these as conflicts; has_incoming_contradictions
+ *   and the review_contradictions prompt find them.
+ * - supporting: the linking thought backs up its target, like supports.
+ *   Context injection surfaces these as supports.
+ */
+
+export const BUILT_IN_RELATIONSHIP_TYPES = {
+  builds_on: { description: "continues the reasoning of the target", transitive: true, conflicting: false, supporting: false },
+  supports: { description: "adds evidence for the target", transitive: false, conflicting: false, supporting: true },
+  contradicts: { description: "disagrees with the target", transitive: false, conflicting: true, supporting: false },
+  refines: { description: "narrows down or corrects the target", transitive: false, conflicting: false, supporting: false },
+  synthesizes: { description: "combines the target with other thoughts", transitive: false, conflicting: false, supporting: false }
+};
+
+// get_thought_graph uses this name for the edge from a retracted thought to its replacement
+export const RESERVED_RELATIONSHIP_TYPES = ['supersedes'];
+
+// Combine the built-in vocabulary with the configured one ({ modes, relationshipTypes } from config.js)
+export function createVocabulary({ modes = {}, relationshipTypes = {} } = {}) {
+  const modeInfo = { ...MODE_GUIDANCE };
+  for (const [name, info] of Object.entries(modes)) {
+    modeInfo[name] = { guidance: [], ...MODE_GUIDANCE[name], ...info };
+  }
+  
+  const typeInfo = { ...BUILT_IN_RELATIONSHIP_TYPES };
+  for (const [name, info] of Object.entries(relationshipTypes)) {
+    typeInfo[name] = { description: '', transitive: false, conflicting: false, supporting: false, ...BUILT_IN_RELATIONSHIP_TYPES[name], ...info };
+  }
+  
+  // Types no longer configured (but still stored on old thoughts) have no properties
+  const hasProperty = (property) => (type) => !!typeInfo[type]?.[property];
+  
+  return {
+    modes: Object.keys(modeInfo),
+    relationshipTypes: Object.keys(typeInfo),
+    // { summary, guidance } of a mode
+    modeInfo: (mode) => modeInfo[mode],
+    isTransitive: hasProperty('transitive'),
+    isConflicting: hasProperty('conflicting'),
+    isSupporting: hasProperty('supporting'),
+    // "name (description)" list for tool descriptions
+    describeRelationshipTypes: () => Object.entries(typeInfo)
+      .map(([name, { description }]) => description ? `${name} (${description})` : name)
+      .join(', '),
+    // Every mode and relationship type with its settings, as reported by server_info
+    definitions: () => ({ modes: modeInfo, relationshipTypes: typeInfo })
+  };
+}
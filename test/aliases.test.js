@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+test('think can start a session under a chosen name', async (t) => {
+  const { callTool } = await startServer(t);
+  const { sessionId } = await callTool('think', { reasoning: 'First', name: 'auth-migration' });
+  assert.equal(sessionId, 'auth-migration');
+
+  const taken = await callTool('think', { reasoning: 'Again', name: 'auth-migration' });
+  assert.equal(taken.error, 'Session name is already taken');
+
+  const invalid = await callTool('think', { reasoning: 'First', name: 'Auth Migration!' });
+  assert.equal(invalid.error, 'Invalid input');
+  assert.equal(invalid.suggestion, 'auth-migration');
+});
+
+test('aliases name a session in every tool that takes a session ID', async (t) => {
+  const { callTool } = await startServer(t);
+  const { sessionId } = await callTool('think', { reasoning: 'First' });
+
+  const set = await callTool('set_session_alias', { sessionId, alias: 'auth' });
+  assert.deepEqual(set.aliases, ['auth']);
+
+  assert.equal((await callTool('think', { reasoning: 'Second', sessionId: 'auth' })).sessionId, sessionId);
+  const view = await callTool('view_session', { sessionId: 'auth' });
+  assert.equal(view.sessionId, sessionId);
+  assert.equal(view.total, 2);
+  assert.equal((await callTool('set_default_session', { sessionId: 'auth' })).message, `Default session set to ${sessionId}`);
+  assert.deepEqual((await callTool('list_sessions', {})).sessions[0].aliases, ['auth']);
+
+  await callTool('delete_session', { sessionId: 'auth' });
+  assert.equal((await callTool('list_sessions', {})).count, 0);
+});
+
+test('an alias cannot take a name already in use', async (t) => {
+  const { callTool } = await startServer(t);
+  await callTool('think', { reasoning: 'First', name: 'one' });
+  await callTool('think', { reasoning: 'First', name: 'two' });
+  await callTool('set_session_alias', { sessionId: 'one', alias: 'first' });
+
+  assert.equal((await callTool('set_session_alias', { sessionId: 'two', alias: 'first' })).error, 'Session alias is already taken');
+  assert.equal((await callTool('set_session_alias', { sessionId: 'two', alias: 'one' })).error, 'Session alias is already taken');
+  assert.equal((await callTool('set_session_alias', { sessionId: 'two', alias: 'aliases' })).error, 'Invalid input');
+});
+
+test('remove_session_alias keeps the session', async (t) => {
+  const { callTool } = await startServer(t);
+  await callTool('think', { reasoning: 'First', name: 's' });
+  await callTool('set_session_alias', { sessionId: 's', alias: 'notes' });
+
+  const removed = await callTool('remove_session_alias', { alias: 'notes' });
+  assert.equal(removed.message, 'Alias "notes" removed from session s');
+  assert.equal((await callTool('view_session', { sessionId: 's' })).total, 1);
+  assert.equal((await callTool('remove_session_alias', { alias: 'notes' })).error, 'Alias not found');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createBundle } from '../lib/bundle.js';
+import { createArchive } from '../lib/archive.js';
+import { makeTempDir, thought, startServer } from './helpers.js';
+
+const SERVER = { name: 'minimal-think-mcp', version: 'test' };
+
+test('archived sessions can be read back, including ones with dangling references', async (t) => {
+  const archive = createArchive({ dir: await makeTempDir(t) });
+  const thoughts = [thought('t2', { relates_to: 'gone', relationship_type: 'builds_on', relationships_out: [{ thought_id: 'gone', relationship_type: 'builds_on' }] })];
+  const bundle = createBundle('legacy', thoughts, SERVER, { title: 'Legacy' });
+  bundle.session.aliases = ['old-name'];
+  const { file } = await archive.archiveSession(bundle);
+
+  const [entry] = await archive.listArchived();
+  assert.equal(entry.file, file);
+  assert.equal(entry.thoughtCount, 1);
+  assert.deepEqual(entry.aliases, ['old-name']);
+
+  const { bundle: restored } = await archive.readArchived('legacy');
+  assert.deepEqual(restored.thoughts, thoughts);
+  assert.deepEqual(restored.session.metadata, { title: 'Legacy' });
+
+  await archive.removeArchived(file);
+  await assert.rejects(archive.readArchived('legacy'), { message: 'Archived session not found' });
+});
+
+// Cross-session links stored in a session of the JSON backend
+async function crossSessionLinks(dir, sessionId) {
+  const { thoughts } = JSON.parse(await fs.readFile(path.join(dir, `${sessionId}.json`), 'utf8'));
+  return thoughts.flatMap(t => (t.cross_session_relationships || []).map(rel => `${rel.session_id}:${rel.thought_id}`));
+}
+
+test('restoring a session rewrites links from other sessions to thoughts whose IDs were remapped', async (t) => {
+  const { dir, callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Original', name: 'old' });
+  await callTool('think', { reasoning: 'Builds on it', name: 'other', relates_to: `old:${thoughtId}`, relationship_type: 'builds_on' });
+  await callTool('delete_session', { sessionId: 'old', archive: true });
+
+  // Another session takes the thought ID in the meantime
+  await callTool('import_session', { bundle: JSON.stringify(createBundle('imported', [thought(thoughtId)], SERVER)) });
+
+  const restored = await callTool('restore_session', { sessionId: 'old' });
+  const newId = restored.remappedIds[thoughtId];
+  assert.ok(newId);
+  assert.deepEqual(restored.linksRedirectedIn, ['other']);
+  assert.deepEqual(await crossSessionLinks(dir, 'other'), [`old:${newId}`]);
+});
+
+test('restoring under another ID moves links to the restored session but leaves the new holder of the ID alone', async (t) => {
+  const { dir, callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Original', name: 'old' });
+  await callTool('think', { reasoning: 'Builds on it', name: 'other', relates_to: `old:${thoughtId}`, relationship_type: 'builds_on' });
+  await callTool('delete_session', { sessionId: 'old', archive: true });
+  const { thoughtId: newerId } = await callTool('think', { reasoning: 'A new session under the old name', name: 'old' });
+  await callTool('think', { reasoning: 'Links to the new one', sessionId: 'other', relates_to: `old:${newerId}`, relationship_type: 'supports' });
+
+  const restored = await callTool('restore_session', { sessionId: 'old', restore_as: 'old-restored' });
+  assert.deepEqual(restored.linksRedirectedIn, ['other']);
+  assert.deepEqual(await crossSessionLinks(dir, 'other'), [`old-restored:${thoughtId}`, `old:${newerId}`]);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBundle, parseBundle, findDanglingReferences, BUNDLE_SCHEMA_VERSION } from '../lib/bundle.js';
+import { remapThoughtIds } from '../lib/graph.js';
+import { validateThoughts, INPUT_LIMITS } from '../lib/validation.js';
+import { thought, startServer } from './helpers.js';
+
+const SERVER = { name: 'minimal-think-mcp', version: 'test' };
+
+// t2 builds on t1 and is superseded by t3
+function linkedThoughts() {
+  return [
+    thought('t1', { relationships_in: [{ thought_id: 't2', relationship_type: 'builds_on' }] }),
+    thought('t2', {
+      relates_to: 't1',
+      relationship_type: 'builds_on',
+      relationships_out: [{ thought_id: 't1', relationship_type: 'builds_on' }],
+      retracted: { at: '2024-01-02T00:00:00.000Z', superseded_by: 't3' }
+    }),
+    thought('t3', { tags: ['final'] })
+  ];
+}
+
+test('a bundle survives a round trip through JSON', () => {
+  const bundle = createBundle('s', linkedThoughts(), SERVER, { title: 'Title' });
+  const parsed = parseBundle(JSON.stringify(bundle));
+  assert.equal(parsed.session.sessionId, 's');
+  assert.equal(parsed.session.thoughtCount, 3);
+  assert.deepEqual(parsed.session.metadata, { title: 'Title' });
+  assert.deepEqual(parsed.thoughts, linkedThoughts());
+});
+
+test('rejects bundles that are not JSON, have another format or come from a newer version', () => {
+  assert.throws(() => parseBundle('{'), { message: 'Bundle is not valid JSON' });
+  assert.throws(() => parseBundle({ ...createBundle('s', [], SERVER), format: 'other' }), { message: 'Invalid session bundle' });
+  assert.throws(() => parseBundle({ ...createBundle('s', [], SERVER), schemaVersion: BUNDLE_SCHEMA_VERSION + 1 }), { message: 'Invalid session bundle' });
+});
+
+test('rejects duplicate thought IDs', () => {
+  assert.throws(() => parseBundle(createBundle('s', [thought('t1'), thought('t1')], SERVER)), {
+    message: 'Bundle contains duplicate thought IDs'
+  });
+});
+
+test('rejects dangling references unless they are allowed', () => {
+  const thoughts = [thought('t2', { relates_to: 'gone', relationship_type: 'builds_on', relationships_out: [{ thought_id: 'gone', relationship_type: 'builds_on' }] })];
+  const bundle = createBundle('s', thoughts, SERVER);
+  assert.throws(() => parseBundle(bundle), (error) => {
+    assert.equal(error.message, 'Bundle references thoughts it does not contain');
+    assert.deepEqual(error.details.thought_ids, ['gone']);
+    return true;
+  });
+  assert.equal(parseBundle(bundle, { allowDanglingReferences: true }).thoughts.length, 1);
+  assert.deepEqual(findDanglingReferences(thoughts), ['gone']);
+});
+
+test('remapping thought IDs rewrites every reference to them', () => {
+  const remapped = remapThoughtIds(linkedThoughts(), new Map([['t1', 'n1'], ['t3', 'n3']]));
+  assert.deepEqual(remapped.map(t => t.id), ['n1', 't2', 'n3']);
+  assert.equal(remapped[1].relates_to, 'n1');
+  assert.deepEqual(remapped[1].relationships_out, [{ thought_id: 'n1', relationship_type: 'builds_on' }]);
+  assert.deepEqual(remapped[0].relationships_in, [{ thought_id: 't2', relationship_type: 'builds_on' }]);
+  assert.equal(remapped[1].retracted.superseded_by, 'n3');
+  assert.deepEqual(findDanglingReferences(remapped), []);
+});
+
+test('imported thoughts must have valid IDs and stay within the input limits', () => {
+  assert.doesNotThrow(() => validateThoughts(linkedThoughts()));
+  const thoughts = [
+    thought('other:t1'),
+    thought('t2', { content: 'x'.repeat(INPUT_LIMITS.reasoningLength + 1), tags: [' ', 'y'.repeat(INPUT_LIMITS.tagLength + 1)] })
+  ];
+  assert.throws(() => validateThoughts(thoughts), (error) => {
+    assert.equal(error.message, 'Invalid input');
+    assert.deepEqual(error.details.issues.map(issue => issue.path), ['thoughts.0.id', 'thoughts.1.content', 'thoughts.1.tags.0', 'thoughts.1.tags.1']);
+    return true;
+  });
+});
+
+test('import_session rejects invalid thoughts with the error think gives and writes nothing', async (t) => {
+  const { callTool } = await startServer(t);
+  const tags = Array.from({ length: INPUT_LIMITS.tagCount + 1 }, (_, i) => `tag${i}`);
+  const bundle = JSON.stringify(createBundle('imported', [thought('bad:id', { tags })], SERVER));
+
+  const result = await callTool('import_session', { bundle });
+  assert.equal(result.error, 'Invalid input');
+  assert.deepEqual(result.issues.map(issue => issue.path), ['thoughts.0.id', 'thoughts.0.tags']);
+  assert.equal((await callTool('think', { reasoning: 'x', tags })).error, 'Invalid input');
+  assert.deepEqual((await callTool('list_sessions')).sessions, []);
+});
+
+test('import_session imports a valid bundle and remaps thought IDs already in use', async (t) => {
+  const { callTool } = await startServer(t);
+  const bundle = JSON.stringify(createBundle('imported', linkedThoughts(), SERVER));
+
+  const first = await callTool('import_session', { bundle });
+  assert.equal(first.sessionId, 'imported');
+  assert.deepEqual(first.remappedIds, {});
+
+  const second = await callTool('import_session', { bundle });
+  assert.equal(second.renamedFrom, 'imported');
+  assert.deepEqual(Object.keys(second.remappedIds), ['t1', 't2', 't3']);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatTable, getOption, isCliCommand, runCliCommand } from '../lib/cli.js';
+import { startServer } from './helpers.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// Run the binary on dir; resolves to { code, stdout, stderr }
+async function runCli(dir, args) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [SERVER_PATH, ...args, '--session-dir', dir], {
+      env: { ...process.env, XDG_CONFIG_HOME: dir },
+      timeout: 30000
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+// Run a command against a fake tool, capturing what it prints
+async function runWith(t, command, args, result) {
+  const calls = [];
+  const log = t.mock.method(console, 'log', () => {});
+  const logError = t.mock.method(console, 'error', () => {});
+  const ok = await runCliCommand(command, args, async (name, toolArgs) => {
+    calls.push({ name, toolArgs });
+    return result;
+  });
+  return {
+    ok,
+    calls,
+    stdout: log.mock.calls.map(call => call.arguments.join(' ')).join('\n'),
+    stderr: logError.mock.calls.map(call => call.arguments.join(' ')).join('\n')
+  };
+}
+
+test('formats aligned tables', () => {
+  const table = formatTable([{ name: 'a', count: 5 }, { name: 'longer', count: 12 }], [
+    { header: 'NAME', value: row => row.name },
+    { header: 'N', value: row => row.count, align: 'right' }
+  ]);
+  assert.equal(table, 'NAME     N\na        5\nlonger  12');
+});
+
+test('reads options and recognises commands', () => {
+  assert.equal(getOption(['--format', 'dot'], 'format'), 'dot');
+  assert.equal(getOption(['--json'], 'format'), undefined);
+  assert.equal(isCliCommand('list'), true);
+  assert.equal(isCliCommand('toString'), false);
+});
+
+test('commands turn their arguments into a tool call', async (t) => {
+  const { calls } = await runWith(t, 'search', ['cache', '--all', '--limit', '5', '--json'], { results: [] });
+  assert.deepEqual(calls, [{ name: 'find_thought_relationships', toolArgs: { query: 'cache', all_sessions: true, limit: 5, include_retracted: false } }]);
+});
+
+test('usage and tool errors fail the command', async (t) => {
+  const usage = await runWith(t, 'show', [], {});
+  assert.equal(usage.ok, false);
+  assert.equal(usage.calls.length, 0);
+  assert.match(usage.stderr, /^Missing sessionId/);
+
+  const badNumber = await runWith(t, 'show', ['s', '--limit', 'ten'], {});
+  assert.match(badNumber.stderr, /--limit must be a number/);
+
+  const failed = await runWith(t, 'delete', ['../x'], { error: 'Invalid input', issues: [{ path: 'sessionId', message: 'Bad' }] });
+  assert.equal(failed.ok, false);
+  assert.equal(failed.stderr, 'Error: Invalid input\n  sessionId: Bad');
+});
+
+test('--json prints the tool response as is', async (t) => {
+  const { ok, stdout } = await runWith(t, 'set-default', ['--clear', '--json'], { status: 'success', message: 'Default session cleared' });
+  assert.equal(ok, true);
+  assert.deepEqual(JSON.parse(stdout), { status: 'success', message: 'Default session cleared' });
+});
+
+test('the binary manages the sessions a server wrote', async (t) => {
+  const { dir, callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Cache the parsed config', name: 'notes', session_metadata: { title: 'Config notes' } });
+  await callTool('think', { reasoning: 'Invalidate on change', sessionId: 'notes', relates_to: thoughtId, relationship_type: 'builds_on' });
+
+  const list = await runCli(dir, ['list']);
+  assert.equal(list.code, 0);
+  assert.match(list.stdout, /^ +SESSION +TITLE +STATUS +THOUGHTS/);
+  assert.match(list.stdout, /notes +Config notes +active +2/);
+
+  const show = await runCli(dir, ['show', 'notes', '--json']);
+  assert.equal(JSON.parse(show.stdout).total, 2);
+
+  const output = path.join(dir, 'notes.mmd');
+  const exported = await runCli(dir, ['export', 'notes', '--format', 'mermaid', '--output', output]);
+  assert.equal(exported.code, 0);
+  assert.match(await fs.readFile(output, 'utf8'), /^graph BT\n/);
+
+  const missing = await runCli(dir, ['show', 'missing']);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /Error: Session not found/);
+
+  const unknown = await runCli(dir, ['frobnicate']);
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /^Unknown command: frobnicate/);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { loadConfig, isToolEnabled, defaultRetentionPolicy, PROJECT_CONFIG_FILE } from '../lib/config.js';
+import { ConfigError } from '../lib/errors.js';
+import { makeTempDir } from './helpers.js';
+
+// Load the configuration with homeDir and cwd inside a temporary directory and no environment
+async function setup(t) {
+  const dir = await makeTempDir(t);
+  const cwd = path.join(dir, 'project');
+  await fs.mkdir(cwd);
+  const load = (options = {}) => loadConfig({ argv: [], env: {}, cwd, homeDir: dir, ...options });
+  const writeConfig = async (file, data) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data));
+  };
+  return { dir, cwd, load, writeConfig };
+}
+
+test('defaults apply without any configuration', async (t) => {
+  const { dir, load } = await setup(t);
+  const { config, sources } = await load();
+  assert.deepEqual(sources, []);
+  assert.equal(config.storage.backend, 'json');
+  assert.equal(config.storage.sessionDir, path.join(dir, '.minimal-think-sessions'));
+  assert.equal(config.storage.archiveDir, path.join(dir, '.minimal-think-sessions', 'archive'));
+  assert.deepEqual(config.http, { host: '127.0.0.1', port: 3000, idleTimeoutMinutes: 30 });
+  assert.deepEqual(defaultRetentionPolicy(config), { maxAgeDays: 90 });
+});
+
+test('later layers override earlier ones', async (t) => {
+  const { dir, cwd, load, writeConfig } = await setup(t);
+  await writeConfig(path.join(dir, '.config', 'minimal-think-mcp', 'config.json'), { http: { host: '0.0.0.0', port: 4000 }, limits: { tagCount: 5 } });
+  await writeConfig(path.join(cwd, PROJECT_CONFIG_FILE), { http: { port: 5000 } });
+
+  const { config, sources, args } = await load({ env: { MCP_HTTP_PORT: '6000' }, argv: ['--http', '--storage', 'sqlite'] });
+  assert.deepEqual(config.http, { host: '0.0.0.0', port: 6000, idleTimeoutMinutes: 30 });
+  assert.equal(config.limits.tagCount, 5);
+  assert.equal(config.storage.backend, 'sqlite');
+  assert.deepEqual(sources.slice(2), ['environment', 'command line']);
+  assert.deepEqual(args, ['--http']);
+});
+
+test('paths in a config file are relative to the file', async (t) => {
+  const { dir, load, writeConfig } = await setup(t);
+  const file = path.join(dir, 'elsewhere', 'think.json');
+  await writeConfig(file, { storage: { sessionDir: 'sessions' } });
+  const { config } = await load({ argv: ['--config', file] });
+  assert.equal(config.storage.sessionDir, path.join(dir, 'elsewhere', 'sessions'));
+});
+
+test('rejects unknown keys, invalid values and missing explicit files', async (t) => {
+  const { cwd, load, writeConfig } = await setup(t);
+  await assert.rejects(load({ argv: ['--config', 'missing.json'] }), ConfigError);
+  await assert.rejects(load({ argv: ['--port'] }), { message: 'Missing value for --port' });
+
+  await writeConfig(path.join(cwd, PROJECT_CONFIG_FILE), { storage: { sesionDir: 'typo' }, http: { port: 70000 } });
+  await assert.rejects(load(), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.match(error.message, /storage: Unrecognized key\(s\) in object: 'sesionDir'/);
+    assert.match(error.message, /http\.port:/);
+    return true;
+  });
+});
+
+test('rejects tool names that are not tools of the server', async (t) => {
+  const { cwd, load, writeConfig } = await setup(t);
+  await writeConfig(path.join(cwd, PROJECT_CONFIG_FILE), { tools: { disabled: ['delete_sesion'] } });
+  await assert.rejects(load(), { message: /tools\.disabled\.0: Unknown tool "delete_sesion"\. Available tools: think, / });
+});
+
+test('the server refuses to start with an unknown tool name', async (t) => {
+  const { dir, cwd, writeConfig } = await setup(t);
+  await writeConfig(path.join(cwd, PROJECT_CONFIG_FILE), { tools: { enabled: ['thinking'] } });
+  const server = fileURLToPath(new URL('../index.js', import.meta.url));
+  await assert.rejects(promisify(execFile)(process.execPath, [server, '--session-dir', dir], { cwd, env: { XDG_CONFIG_HOME: dir }, timeout: 10000 }), (error) => {
+    assert.equal(error.code, 1);
+    assert.match(error.stderr, /Unknown tool "thinking"/);
+    return true;
+  });
+});
+
+test('tools.enabled lists the only tools on and tools.disabled switches tools off', async (t) => {
+  const { cwd, load, writeConfig } = await setup(t);
+  await writeConfig(path.join(cwd, PROJECT_CONFIG_FILE), { tools: { enabled: ['think', 'delete_session'], disabled: ['delete_session'] } });
+  const { config } = await load();
+  assert.equal(isToolEnabled(config, 'think'), true);
+  assert.equal(isToolEnabled(config, 'delete_session'), false);
+  assert.equal(isToolEnabled(config, 'list_sessions'), false);
+});
+
+test('a retention section without limits keeps the default maxAgeDays', async (t) => {
+  const { cwd, load, writeConfig } = await setup(t);
+  await writeConfig(path.join(cwd, PROJECT_CONFIG_FILE), { retention: { exemptTags: ['keep'] } });
+  const { config } = await load();
+  assert.deepEqual(config.retention.exemptTags, ['keep']);
+  assert.deepEqual(defaultRetentionPolicy(config), { maxAgeDays: 90 });
+
+  await writeConfig(path.join(cwd, PROJECT_CONFIG_FILE), { retention: { maxSessions: 10, maxTotalSizeMb: 1 } });
+  assert.deepEqual(defaultRetentionPolicy((await load()).config), { maxSessions: 10, maxTotalSizeBytes: 1048576 });
+});
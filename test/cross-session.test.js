@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+test('think links to a thought in another session by sessionId:thoughtId', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Use the new auth provider', name: 'yesterday' });
+  await callTool('set_session_alias', { sessionId: 'yesterday', alias: 'auth' });
+
+  const result = await callTool('think', { reasoning: 'Migrate logins first', name: 'today', relates_to: `auth:${thoughtId}`, relationship_type: 'supports' });
+  assert.equal(result.related_context.related_session_id, 'yesterday');
+  assert.equal(result.related_context.related_thought_id, thoughtId);
+
+  const today = await callTool('view_session', { sessionId: 'today' });
+  assert.deepEqual(today.thoughts[0].cross_session_relationships, [{ session_id: 'yesterday', thought_id: thoughtId, relationship_type: 'supports' }]);
+  assert.deepEqual(today.thoughts[0].relationships_out, []);
+  // The other session is never written to
+  const yesterday = await callTool('view_session', { sessionId: 'yesterday' });
+  assert.deepEqual(yesterday.thoughts[0].relationships_in, []);
+});
+
+test('a builds_on link across sessions carries the reasoning chain with it', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: premise } = await callTool('think', { reasoning: 'Premise', name: 'old' });
+  const { thoughtId: step } = await callTool('think', { reasoning: 'Step', sessionId: 'old', relates_to: premise, relationship_type: 'builds_on' });
+
+  const result = await callTool('think', { reasoning: 'Conclusion', name: 'new', relates_to: `old:${step}`, relationship_type: 'builds_on' });
+  assert.equal(result.related_context.type, 'builds_on_enhanced');
+  assert.deepEqual(result.related_context.chain_preview, ['Premise', 'Step']);
+});
+
+test('qualified references are checked against the other session', async (t) => {
+  const { callTool } = await startServer(t);
+  await callTool('think', { reasoning: 'First', name: 'old' });
+
+  const missingSession = await callTool('think', { reasoning: 'x', name: 'a', relates_to: 'gone:thought_1', relationship_type: 'supports' });
+  assert.equal(missingSession.error, 'Referenced session not found');
+  assert.equal(missingSession.sessionId, 'gone');
+
+  const missingThought = await callTool('think', { reasoning: 'x', name: 'b', relates_to: 'old:thought_1', relationship_type: 'supports' });
+  assert.equal(missingThought.error, 'Referenced thought not found');
+  assert.equal(missingThought.sessionId, 'old');
+
+  const unsafe = await callTool('think', { reasoning: 'x', name: 'c', relates_to: '../old:thought_1', relationship_type: 'supports' });
+  assert.equal(unsafe.error, 'Invalid input');
+});
+
+test('links into a deleted session are reported as missing', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'First', name: 'old' });
+  const { thoughtId: linked } = await callTool('think', { reasoning: 'Second', name: 'new', relates_to: `old:${thoughtId}`, relationship_type: 'supports' });
+
+  let graph = await callTool('get_thought_graph', { sessionId: 'new', thoughtId: linked });
+  assert.equal(graph.cross_session_edges.items[0].content_preview, 'First');
+
+  await callTool('delete_session', { sessionId: 'old' });
+  graph = await callTool('get_thought_graph', { sessionId: 'new', thoughtId: linked });
+  assert.deepEqual(graph.cross_session_edges.items, [{ from: linked, session_id: 'old', to: thoughtId, relationship_type: 'supports', missing: true }]);
+  assert.equal((await callTool('view_session', { sessionId: 'new' })).total, 1);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderSession } from '../lib/export.js';
+import { createVocabulary } from '../lib/vocabulary.js';
+import { thought, startServer } from './helpers.js';
+
+const thoughts = [
+  thought('a', { content: 'Cache the "parsed" config', tags: ['perf'] }),
+  thought('b', { content: 'Invalidate on change', mode: 'critical', relationships_out: [{ thought_id: 'a', relationship_type: 'builds_on' }] }),
+  thought('c', { content: 'Config never changes', relationships_out: [{ thought_id: 'b', relationship_type: 'contradicts' }] }),
+  thought('d', { content: 'Withdrawn idea', retracted: { retracted_at: '2024-01-02T00:00:00.000Z' } })
+];
+
+test('markdown groups thoughts by mode and lists relationships both ways', () => {
+  const markdown = renderSession('s', thoughts);
+  assert.match(markdown, /^# Thinking Session s/);
+  assert.match(markdown, /- \*\*Thoughts\*\*: 3 \(1 retracted not shown\)/);
+  assert.ok(markdown.indexOf('## Mode: linear') < markdown.indexOf('## Mode: critical'));
+  assert.match(markdown, /- builds_on → `a` "Cache the "parsed" config"/);
+  assert.match(markdown, /- ← builds_on from `b`/);
+  assert.doesNotMatch(markdown, /Withdrawn idea/);
+});
+
+test('markdown can group by tag and include retracted thoughts', () => {
+  const markdown = renderSession('s', thoughts, { groupBy: 'tag', includeRetracted: true });
+  assert.match(markdown, /## Tag: perf/);
+  assert.match(markdown, /## Untagged/);
+  assert.match(markdown, /\*\*retracted\*\*/);
+});
+
+test('mermaid styles edges by relationship type and escapes labels', () => {
+  const mermaid = renderSession('s', thoughts, { format: 'mermaid' });
+  assert.equal(mermaid.split('\n')[0], 'graph BT');
+  assert.match(mermaid, /t1\["Cache the #quot;parsed#quot; config<br\/><small>a<\/small>"\]/);
+  assert.match(mermaid, /t2 ==>\|builds_on\| t1/);
+  assert.match(mermaid, /t3 -\.->\|contradicts\| t2/);
+});
+
+test('dot styles edges by relationship type and quotes IDs and labels', () => {
+  const dot = renderSession('s', thoughts, { format: 'dot' });
+  assert.match(dot, /^digraph "s" \{/);
+  assert.match(dot, /"a" \[label="Cache the \\"parsed\\" config\\na"\];/);
+  assert.match(dot, /"b" -> "a" \[label="builds_on", style=bold\];/);
+  assert.match(dot, /"c" -> "b" \[label="contradicts", style=dashed, color=red\];/);
+  assert.ok(dot.endsWith('}'));
+});
+
+test('custom relationship types are drawn by their properties', () => {
+  const vocabulary = createVocabulary({ relationshipTypes: { refutes: { description: 'shows the target is wrong', conflicting: true } } });
+  const custom = [thought('a'), thought('b', { relationships_out: [{ thought_id: 'a', relationship_type: 'refutes' }] })];
+  assert.match(renderSession('s', custom, { format: 'mermaid', vocabulary }), /t2 -\.->\|refutes\| t1/);
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => renderSession('s', thoughts, { format: 'pdf' }), /Unknown export format "pdf"/);
+});
+
+test('export_session returns the rendered document', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Premise', name: 's' });
+  await callTool('think', { reasoning: 'Step', sessionId: 's', relates_to: thoughtId, relationship_type: 'builds_on' });
+
+  const { text } = await callTool('export_session', { sessionId: 's', format: 'mermaid' });
+  assert.match(text, /^graph BT\n/);
+  assert.match(text, /t2 ==>\|builds_on\| t1/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { remapThoughtIds, restrictToThoughts } from '../lib/graph.js';
+import { thought, startServer } from './helpers.js';
+
+const link = (thoughtId, relationshipType) => ({ thought_id: thoughtId, relationship_type: relationshipType });
+
+test('remapping IDs rewrites every reference', () => {
+  const thoughts = [
+    thought('a', { relationships_in: [link('b', 'builds_on')], retracted: { retracted_at: '2024-01-02T00:00:00.000Z', superseded_by: 'b' } }),
+    thought('b', { relates_to: 'a', relationship_type: 'builds_on', relationships_out: [link('a', 'builds_on')] })
+  ];
+  const [a, b] = remapThoughtIds(thoughts, new Map([['a', 'x'], ['b', 'y']]));
+  assert.equal(a.id, 'x');
+  assert.deepEqual(a.relationships_in, [link('y', 'builds_on')]);
+  assert.equal(a.retracted.superseded_by, 'y');
+  assert.equal(b.relates_to, 'x');
+  assert.deepEqual(b.relationships_out, [link('x', 'builds_on')]);
+  assert.equal(thoughts[0].id, 'a');
+});
+
+test('restricting to a set of thoughts drops links leaving it', () => {
+  const thoughts = [
+    thought('a', { relationships_in: [link('b', 'builds_on'), link('c', 'supports')] }),
+    thought('b', { relates_to: 'a', relationship_type: 'builds_on', relationships_out: [link('a', 'builds_on')] }),
+    thought('c', { relates_to: 'a', relationship_type: 'supports', relationships_out: [link('a', 'supports')] })
+  ];
+  const kept = restrictToThoughts(thoughts, new Set(['a', 'c']));
+  assert.deepEqual(kept.map(t => t.id), ['a', 'c']);
+  assert.deepEqual(kept[0].relationships_in, [link('c', 'supports')]);
+
+  const [orphan] = restrictToThoughts(thoughts, new Set(['b']));
+  assert.equal(orphan.relates_to, null);
+  assert.deepEqual(orphan.relationships_out, []);
+});
+
+test('fork_session copies a whole session under new thought IDs', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: first } = await callTool('think', { reasoning: 'First', name: 'main', session_metadata: { title: 'Plan', goal: 'Ship it' } });
+  await callTool('think', { reasoning: 'Second', sessionId: 'main', relates_to: first, relationship_type: 'builds_on' });
+
+  const fork = await callTool('fork_session', { sessionId: 'main', name: 'alt' });
+  assert.equal(fork.sessionId, 'alt');
+  assert.equal(fork.thoughtCount, 2);
+  assert.equal(fork.forked_from.session_id, 'main');
+
+  const view = await callTool('view_session', { sessionId: 'alt' });
+  assert.equal(view.metadata.title, 'Plan (fork)');
+  assert.equal(view.metadata.goal, 'Ship it');
+  assert.notEqual(view.thoughts[0].id, first);
+  assert.equal(view.thoughts[1].relates_to, view.thoughts[0].id);
+
+  const { sessions } = await callTool('list_sessions', {});
+  const byId = Object.fromEntries(sessions.map(s => [s.sessionId, s]));
+  assert.deepEqual(byId.alt.lineage, ['main']);
+  assert.deepEqual(byId.main.forks, ['alt']);
+});
+
+test('fork_session from a thought copies only it and its ancestors', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: a } = await callTool('think', { reasoning: 'Premise', name: 'main' });
+  const { thoughtId: b } = await callTool('think', { reasoning: 'Step', sessionId: 'main', relates_to: a, relationship_type: 'builds_on' });
+  await callTool('think', { reasoning: 'Aside', sessionId: 'main', relates_to: a, relationship_type: 'supports' });
+
+  const fork = await callTool('fork_session', { sessionId: 'main', thought_id: b });
+  assert.equal(fork.thoughtCount, 2);
+  const { thoughts } = await callTool('view_session', { sessionId: fork.sessionId });
+  assert.deepEqual(thoughts.map(t => t.content), ['Premise', 'Step']);
+  assert.equal(thoughts[1].id, fork.fork_point_thought_id);
+  assert.deepEqual(thoughts[0].relationships_in, [link(fork.fork_point_thought_id, 'builds_on')]);
+
+  assert.equal((await callTool('fork_session', { sessionId: 'main', thought_id: 'missing' })).error, 'Thought not found');
+  assert.equal((await callTool('fork_session', { sessionId: 'main', name: 'main' })).error, 'Session name is already taken');
+});
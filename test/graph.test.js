@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAdjacency, traverse, collectEdges, analyzeGraph, wouldCreateChainCycle } from '../lib/graph.js';
+import { thought, startServer } from './helpers.js';
+
+const link = (thoughtId, relationshipType) => ({ thought_id: thoughtId, relationship_type: relationshipType });
+
+// b and f build on a, c builds on b, d supports b, e stands alone and f is retracted
+const thoughts = [
+  thought('a'),
+  thought('b', { relationships_out: [link('a', 'builds_on')] }),
+  thought('c', { relationships_out: [link('b', 'builds_on')] }),
+  thought('d', { relationships_out: [link('b', 'supports')] }),
+  thought('e'),
+  thought('f', { relationships_out: [link('a', 'builds_on')], retracted: { retracted_at: '2024-01-02T00:00:00.000Z' } })
+];
+
+test('walks ancestors and descendants breadth first up to a depth', () => {
+  const adjacency = buildAdjacency(thoughts);
+  assert.deepEqual(traverse(adjacency, 'c', 'ancestors', 5), [
+    { id: 'b', depth: 1, via: link('c', 'builds_on') },
+    { id: 'a', depth: 2, via: link('b', 'builds_on') }
+  ]);
+  assert.deepEqual(traverse(adjacency, 'a', 'descendants', 5).map(n => n.id), ['b', 'c', 'd']);
+  assert.deepEqual(traverse(adjacency, 'a', 'descendants', 1).map(n => n.id), ['b']);
+});
+
+test('leaves out retracted thoughts and unfollowed relationship types', () => {
+  assert.equal(buildAdjacency(thoughts).nodes.has('f'), false);
+  assert.equal(buildAdjacency(thoughts, { includeRetracted: true }).incoming.get('a').length, 2);
+
+  const chains = buildAdjacency(thoughts, { relationshipTypes: ['builds_on'] });
+  assert.deepEqual(traverse(chains, 'a', 'descendants', 5).map(n => n.id), ['b', 'c']);
+});
+
+test('collects the edges inside a set of thoughts', () => {
+  const adjacency = buildAdjacency(thoughts);
+  assert.deepEqual(collectEdges(adjacency, new Set(['a', 'b', 'd'])), [
+    { from: 'b', to: 'a', relationship_type: 'builds_on' },
+    { from: 'd', to: 'b', relationship_type: 'supports' }
+  ]);
+});
+
+test('finds branch points, leaves and orphans', () => {
+  const { branchPoints, leaves, orphans } = analyzeGraph(buildAdjacency(thoughts));
+  assert.deepEqual(branchPoints, [{ id: 'b', incoming: 2 }]);
+  assert.deepEqual(leaves, [{ id: 'c' }, { id: 'd' }]);
+  assert.deepEqual(orphans, [{ id: 'e' }]);
+});
+
+test('detects chain links that would close a loop', () => {
+  assert.equal(wouldCreateChainCycle(thoughts, 'a', 'c'), true);
+  assert.equal(wouldCreateChainCycle(thoughts, 'a', 'd'), false);
+  assert.equal(wouldCreateChainCycle(thoughts, 'e', 'c'), false);
+});
+
+test('get_thought_graph returns the subgraph around a thought and the session analysis', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: a } = await callTool('think', { reasoning: 'Premise', name: 's' });
+  const { thoughtId: b } = await callTool('think', { reasoning: 'Step', sessionId: 's', relates_to: a, relationship_type: 'builds_on' });
+  const { thoughtId: c } = await callTool('think', { reasoning: 'Conclusion', sessionId: 's', relates_to: b, relationship_type: 'builds_on' });
+  const { thoughtId: d } = await callTool('think', { reasoning: 'Objection', sessionId: 's', relates_to: b, relationship_type: 'contradicts' });
+
+  const graph = await callTool('get_thought_graph', { sessionId: 's', thoughtId: b });
+  assert.equal(graph.root.id, b);
+  assert.deepEqual(graph.ancestors.items.map(n => n.id), [a]);
+  assert.deepEqual(graph.descendants.items.map(n => n.id).sort(), [c, d].sort());
+  assert.equal(graph.edges.length, 3);
+  assert.deepEqual(graph.branch_points.items.map(n => n.id), [b]);
+
+  const chain = await callTool('get_thought_graph', { sessionId: 's', thoughtId: b, direction: 'descendants', relationship_property: 'transitive' });
+  assert.deepEqual(chain.descendants.items.map(n => n.id), [c]);
+  assert.deepEqual(chain.ancestors.items, []);
+
+  const capped = await callTool('get_thought_graph', { sessionId: 's', thoughtId: a, depth: 2, limit: 1 });
+  assert.equal(capped.descendants.total, 3);
+  assert.equal(capped.descendants.truncated, true);
+
+  assert.equal((await callTool('get_thought_graph', { sessionId: 's', thoughtId: 'missing' })).error, 'Thought not found');
+});
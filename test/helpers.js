@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// better-sqlite3 is optional, and its native module may not load on this Node.js version
+export let hasSqlite = true;
+try {
+  const { default: Database } = await import('better-sqlite3');
+  new Database(':memory:').close();
+} catch (error) {
+  hasSqlite = false;
+}
+
+// A fresh temporary directory, removed again when the test t ends
+export async function makeTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'minimal-think-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A thought in the current schema; overrides replace individual fields
+export function thought(id, overrides = {}) {
+  return {
+    id,
+    content: `Content of ${id}`,
+    mode: 'linear',
+    tags: [],
+    timestamp: '2024-01-01T00:00:00.000Z',
+    relates_to: null,
+    relationship_type: null,
+    relationships_in: [],
+    relationships_out: [],
+    ...overrides
+  };
+}
+
+// Resolves to true if promise settles within ms, else false
+export function settlesWithin(promise, ms) {
+  return Promise.race([
+    promise.then(() => true, () => true),
+    new Promise(resolve => setTimeout(() => resolve(false), ms))
+  ]);
+}
+
+// Start the server over stdio on a temporary session directory and connect a client to it.
+// callTool resolves to the parsed JSON result ({ error, ... } for tool errors), or { text } for other documents.
+// The session hint think appends after its JSON is dropped.
+export async function startServer(t, args = []) {
+  const dir = await makeTempDir(t);
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH, '--session-dir', dir, ...args],
+    env: { ...getDefaultEnvironment(), XDG_CONFIG_HOME: dir },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'minimal-think-test', version: '1.0.0' });
+  await client.connect(transport);
+  t.after(() => client.close());
+
+  async function callTool(name, toolArgs = {}) {
+    const result = await client.callTool({ name, arguments: toolArgs });
+    const text = result.content[0].text.replace(/\n<!--[\s\S]*-->$/, '');
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return { text };
+    }
+  }
+
+  return { dir, client, callTool };
+}
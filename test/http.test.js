@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import http from 'http';
+import { startHttpServer } from '../lib/http.js';
+
+// An HTTP server on a free port whose per-client servers count how many of them are open
+async function startServer(t, options = {}) {
+  const open = { count: 0 };
+  const httpServer = await startHttpServer({
+    host: '127.0.0.1',
+    port: 0,
+    ...options,
+    createServer: () => {
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      server.registerTool('ping', { description: 'Ping' }, async () => ({ content: [{ type: 'text', text: 'pong' }] }));
+      open.count++;
+      server.server.onclose = () => open.count--;
+      return server;
+    }
+  });
+  t.after(() => httpServer.close());
+  return { httpServer, open };
+}
+
+async function connect(url) {
+  const transport = new StreamableHTTPClientTransport(new URL(url));
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+async function waitFor(condition, ms = 3000) {
+  const deadline = Date.now() + ms;
+  while (!condition()) {
+    if (Date.now() > deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return true;
+}
+
+test('clients get their own server and can call tools', async (t) => {
+  const { httpServer, open } = await startServer(t);
+  const first = await connect(httpServer.url);
+  const second = await connect(httpServer.url);
+  t.after(() => Promise.all([first.client.close(), second.client.close()]));
+
+  assert.equal(open.count, 2);
+  const result = await first.client.callTool({ name: 'ping', arguments: {} });
+  assert.equal(result.content[0].text, 'pong');
+});
+
+test('ending the session with DELETE closes its server', async (t) => {
+  const { httpServer, open } = await startServer(t);
+  const { client, transport } = await connect(httpServer.url);
+  await transport.terminateSession();
+  await client.close();
+  assert.equal(await waitFor(() => open.count === 0), true);
+});
+
+test('closes the session of a client that disconnected without ending it', async (t) => {
+  const { httpServer, open } = await startServer(t, { idleTimeoutMs: 200 });
+  const { client, transport } = await connect(httpServer.url);
+  const { sessionId } = transport;
+  await client.close();
+
+  assert.equal(await waitFor(() => open.count === 0), true);
+  const response = await fetch(httpServer.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'mcp-session-id': sessionId },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+  });
+  assert.equal(response.status, 404);
+});
+
+test('keeps the session of a client that is still making requests', async (t) => {
+  const { httpServer, open } = await startServer(t, { idleTimeoutMs: 300 });
+  const { client } = await connect(httpServer.url);
+  t.after(() => client.close());
+
+  for (let i = 0; i < 6; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await client.callTool({ name: 'ping', arguments: {} });
+  }
+  assert.equal(open.count, 1);
+});
+
+test('rejects requests without a session that are not initialize requests', async (t) => {
+  const { httpServer, open } = await startServer(t);
+  const response = await fetch(httpServer.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+  });
+  assert.equal(response.status, 400);
+  assert.equal(open.count, 0);
+  assert.equal((await fetch(httpServer.url.replace('/mcp', '/other'))).status, 404);
+});
+
+test('rejects a foreign Host header when bound to loopback', async (t) => {
+  const { httpServer, open } = await startServer(t);
+  const { client } = await connect(httpServer.url.replace('127.0.0.1', 'localhost'));
+  t.after(() => client.close());
+  assert.equal(open.count, 1);
+
+  const { port } = new URL(httpServer.url);
+  const response = await new Promise((resolve, reject) => {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } } });
+    const req = http.request({ host: '127.0.0.1', port, path: '/mcp', method: 'POST', headers: { Host: `evil.example:${port}`, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' } }, resolve);
+    req.on('error', reject);
+    req.end(body);
+  });
+  response.resume();
+  assert.equal(response.statusCode, 403);
+  assert.equal(await waitFor(() => open.count === 1), true);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJsonStore } from '../lib/storage/json-store.js';
+import { makeTempDir, thought, settlesWithin } from './helpers.js';
+
+async function openStore(t) {
+  const dir = await makeTempDir(t);
+  const store = createJsonStore({ dir });
+  await store.init();
+  return { dir, store };
+}
+
+async function writeLock(dir, sessionId, owner, ageMs = 0) {
+  const lockPath = path.join(dir, `${sessionId}.json.lock`);
+  await fs.writeFile(lockPath, JSON.stringify(owner));
+  const time = new Date(Date.now() - ageMs);
+  await fs.utimes(lockPath, time, time);
+  return lockPath;
+}
+
+// A PID that is not running on this machine
+async function deadPid() {
+  for (let pid = 999999; ; pid--) {
+    try {
+      process.kill(pid, 0);
+    } catch (error) {
+      if (error.code === 'ESRCH') return pid;
+    }
+  }
+}
+
+test('takes over a lock whose owner has died', async (t) => {
+  const { dir, store } = await openStore(t);
+  await writeLock(dir, 'a', { pid: await deadPid(), host: os.hostname() });
+
+  assert.equal(await settlesWithin(store.saveSession('a', [thought('t1')]), 2000), true);
+  assert.deepEqual((await store.loadSession('a')).map(t => t.id), ['t1']);
+  assert.deepEqual(await fs.readdir(dir), ['a.json']);
+});
+
+test('never breaks the lock of a live owner, however old', async (t) => {
+  const { dir, store } = await openStore(t);
+  const lockPath = await writeLock(dir, 'a', { pid: process.pid, host: os.hostname() }, 60000);
+
+  const saving = store.saveSession('a', [thought('t1')]);
+  assert.equal(await settlesWithin(saving, 500), false);
+  assert.equal(JSON.parse(await fs.readFile(lockPath, 'utf8')).pid, process.pid);
+
+  // Releasing the lock lets the waiting write through
+  await fs.unlink(lockPath);
+  await saving;
+  assert.deepEqual((await store.loadSession('a')).map(t => t.id), ['t1']);
+});
+
+test('breaks a lock from another host only once it is stale', async (t) => {
+  const { dir, store } = await openStore(t);
+  const lockPath = await writeLock(dir, 'a', { pid: 1, host: `not-${os.hostname()}` });
+
+  const saving = store.saveSession('a', [thought('t1')]);
+  assert.equal(await settlesWithin(saving, 500), false);
+
+  const stale = new Date(Date.now() - 60000);
+  await fs.utimes(lockPath, stale, stale);
+  assert.equal(await settlesWithin(saving, 2000), true);
+  await saving;
+});
+
+test('concurrent writers waiting on an abandoned lock do not lose updates', async (t) => {
+  const { dir, store } = await openStore(t);
+  const other = createJsonStore({ dir });
+  await writeLock(dir, 'a', { pid: await deadPid(), host: os.hostname() });
+
+  await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? store : other)
+    .updateSession('a', thoughts => { thoughts.push(thought(`t${i}`)); })));
+  assert.equal((await store.loadSession('a')).length, 10);
+});
+
+test('releasing a lock that was broken and taken by another holder leaves their lock alone', async (t) => {
+  const { dir, store } = await openStore(t);
+  const lockPath = path.join(dir, 'a.json.lock');
+  const otherHolder = { pid: process.pid, host: os.hostname(), token: 'other' };
+
+  await store.updateSession('a', async () => {
+    // Another process broke this lock as stale and took it over
+    await fs.unlink(lockPath);
+    await fs.writeFile(lockPath, JSON.stringify(otherHolder));
+  });
+  assert.deepEqual(JSON.parse(await fs.readFile(lockPath, 'utf8')), otherHolder);
+});
+
+test('listing reports a corrupted session without moving it', async (t) => {
+  const { dir, store } = await openStore(t);
+  await fs.writeFile(path.join(dir, 'broken.json'), '{ not json');
+
+  const [info] = await store.listSessions();
+  assert.equal(info.sessionId, 'broken');
+  assert.equal(info.error, 'Session file is corrupted');
+  assert.deepEqual(await fs.readdir(dir), ['broken.json']);
+});
+
+test('loading a corrupted session quarantines it', async (t) => {
+  const { dir, store } = await openStore(t);
+  await fs.writeFile(path.join(dir, 'broken.json'), '{ not json');
+  t.mock.method(console, 'error', () => {});
+
+  await assert.rejects(store.loadSession('broken'), (error) => {
+    assert.equal(error.message, 'Session file is corrupted');
+    assert.ok(error.details.quarantinedTo.startsWith(path.join(dir, 'quarantine')));
+    return true;
+  });
+  assert.deepEqual(await fs.readdir(dir), ['quarantine']);
+  assert.equal((await fs.readdir(path.join(dir, 'quarantine'))).length, 1);
+});
+
+test('listing skips a session deleted while it is being listed', async (t) => {
+  const { dir, store } = await openStore(t);
+  await store.saveSession('kept', [thought('t1')]);
+  await store.saveSession('gone', [thought('t2')]);
+
+  // Remove the file between reading the directory and looking at the file
+  const { readdir } = fs;
+  t.mock.method(fs, 'readdir', async (...args) => {
+    const files = await readdir(...args);
+    await fs.unlink(path.join(dir, 'gone.json'));
+    return files;
+  });
+  assert.deepEqual((await store.listSessions()).map(info => info.sessionId), ['kept']);
+});
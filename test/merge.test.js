@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+test('merge_sessions combines sessions by timestamp and merges identical thoughts', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: a1 } = await callTool('think', { reasoning: 'Cache the config', name: 'one', tags: ['perf'] });
+  await callTool('think', { reasoning: 'Bound the cache', name: 'two' });
+  await callTool('think', { reasoning: 'Cache the config', sessionId: 'two', tags: ['config'] });
+  await callTool('think', { reasoning: 'Invalidate on change', sessionId: 'one', relates_to: a1, relationship_type: 'builds_on' });
+
+  const result = await callTool('merge_sessions', { session_ids: ['one', 'two'], name: 'both', title: 'Caching' });
+  assert.equal(result.sessionId, 'both');
+  assert.deepEqual(result.merged_from, ['one', 'two']);
+  assert.equal(result.thoughtCount, 3);
+  assert.equal(result.duplicatesMerged, 1);
+  assert.equal(result.sourcesRemoved, false);
+
+  const view = await callTool('view_session', { sessionId: 'both' });
+  assert.equal(view.metadata.title, 'Caching');
+  assert.deepEqual(view.thoughts.map(t => t.content), ['Cache the config', 'Bound the cache', 'Invalidate on change']);
+  const [cache, , invalidate] = view.thoughts;
+  assert.deepEqual(cache.tags, ['perf', 'config']);
+  assert.notEqual(cache.id, a1);
+  assert.equal(invalidate.relates_to, cache.id);
+  assert.deepEqual(cache.relationships_in, [{ thought_id: invalidate.id, relationship_type: 'builds_on' }]);
+
+  // The sources are kept
+  assert.equal((await callTool('view_session', { sessionId: 'one' })).total, 2);
+});
+
+test('a synthesis thought links to every root of the merged reasoning', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Root one', name: 'one' });
+  await callTool('think', { reasoning: 'Step', sessionId: 'one', relates_to: thoughtId, relationship_type: 'builds_on' });
+  await callTool('think', { reasoning: 'Root two', name: 'two' });
+
+  const result = await callTool('merge_sessions', { session_ids: ['one', 'two'], synthesis: 'Both roots hold' });
+  const { thoughts } = await callTool('view_session', { sessionId: result.sessionId });
+  const synthesis = thoughts.find(t => t.id === result.synthesis_thought_id);
+  assert.deepEqual(synthesis.relationships_out.map(rel => rel.relationship_type), ['synthesizes', 'synthesizes']);
+  const targets = synthesis.relationships_out.map(rel => thoughts.find(t => t.id === rel.thought_id).content);
+  assert.deepEqual(targets.sort(), ['Root one', 'Root two']);
+});
+
+test('remove_sources moves aliases, the default and incoming links to the merged session', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'First', name: 'one', setAsDefault: true });
+  await callTool('think', { reasoning: 'Second', name: 'two' });
+  await callTool('set_session_alias', { sessionId: 'two', alias: 'second' });
+  await callTool('think', { reasoning: 'Outside', name: 'other', relates_to: `one:${thoughtId}`, relationship_type: 'supports' });
+
+  const result = await callTool('merge_sessions', { session_ids: ['one', 'second'], name: 'both', remove_sources: true });
+  assert.equal(result.sourcesRemoved, true);
+  assert.deepEqual(result.linksRedirectedIn, ['other']);
+  assert.deepEqual(result.remappedIds, {});
+
+  const { sessions, defaultSessionId } = await callTool('list_sessions', {});
+  assert.deepEqual(sessions.map(s => s.sessionId).sort(), ['both', 'other']);
+  assert.equal(defaultSessionId, 'both');
+  assert.deepEqual(sessions.find(s => s.sessionId === 'both').aliases, ['second']);
+
+  const { thoughts } = await callTool('view_session', { sessionId: 'other' });
+  assert.deepEqual(thoughts[0].cross_session_relationships, [{ session_id: 'both', thought_id: thoughtId, relationship_type: 'supports' }]);
+});
+
+test('merge_sessions needs two different existing sessions', async (t) => {
+  const { callTool } = await startServer(t);
+  await callTool('think', { reasoning: 'First', name: 'one' });
+  await callTool('set_session_alias', { sessionId: 'one', alias: 'uno' });
+
+  assert.equal((await callTool('merge_sessions', { session_ids: ['one', 'uno'] })).error, 'Nothing to merge');
+  assert.equal((await callTool('merge_sessions', { session_ids: ['one', 'missing'] })).error, 'Session not found');
+});
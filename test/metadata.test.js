@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+test('think stores metadata for a new session and list_sessions shows it', async (t) => {
+  const { callTool } = await startServer(t);
+  const { sessionId } = await callTool('think', {
+    reasoning: 'Move logins to the new provider',
+    session_metadata: { title: 'Auth migration', goal: 'Pick a rollout plan', owner: 'alex' }
+  });
+  // Metadata passed when continuing a session is ignored
+  await callTool('think', { reasoning: 'Second', sessionId, session_metadata: { title: 'Renamed' } });
+
+  const { sessions } = await callTool('list_sessions', {});
+  const { status, title, goal, owner, created_at } = sessions[0].metadata;
+  assert.deepEqual({ status, title, goal, owner }, { status: 'active', title: 'Auth migration', goal: 'Pick a rollout plan', owner: 'alex' });
+  assert.ok(created_at);
+});
+
+test('update_session changes only the given fields and null clears one', async (t) => {
+  const { callTool } = await startServer(t);
+  await callTool('think', { reasoning: 'First', name: 's', session_metadata: { title: 'Auth', owner: 'alex' } });
+
+  const result = await callTool('update_session', { sessionId: 's', status: 'concluded', owner: null });
+  assert.deepEqual(result.updated_fields, ['status', 'owner']);
+  assert.equal(result.metadata.title, 'Auth');
+  assert.equal(result.metadata.status, 'concluded');
+  assert.equal('owner' in result.metadata, false);
+
+  assert.equal((await callTool('update_session', { sessionId: 's' })).error, 'Nothing to update');
+  assert.equal((await callTool('update_session', { sessionId: 'missing', title: 'x' })).error, 'Session not found');
+});
+
+test('list_sessions filters by status, owner and text', async (t) => {
+  const { callTool } = await startServer(t);
+  await callTool('think', { reasoning: 'First', name: 'auth', session_metadata: { title: 'Auth migration', owner: 'alex' } });
+  await callTool('think', { reasoning: 'First', name: 'cache', session_metadata: { title: 'Cache design', goal: 'Fewer database reads', status: 'concluded' } });
+
+  const names = async (filters) => (await callTool('list_sessions', filters)).sessions.map(s => s.sessionId).sort();
+  assert.deepEqual(await names({}), ['auth', 'cache']);
+  assert.deepEqual(await names({ status: 'active' }), ['auth']);
+  assert.deepEqual(await names({ owner: 'alex' }), ['auth']);
+  assert.deepEqual(await names({ query: 'database cache' }), ['cache']);
+  assert.deepEqual(await names({ query: 'auth cache' }), []);
+});
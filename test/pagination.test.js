@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { paginate } from '../lib/pagination.js';
+import { startServer } from './helpers.js';
+
+const items = ['a', 'b', 'c', 'd', 'e'];
+const options = { keyOf: item => [item], limit: 2, scope: 'test:asc' };
+
+test('pages through items by cursor until next_cursor is null', () => {
+  const first = paginate(items, options);
+  assert.deepEqual(first.page, ['a', 'b']);
+  assert.equal(first.total, 5);
+  const second = paginate(items, { ...options, cursor: first.next_cursor });
+  assert.deepEqual(second.page, ['c', 'd']);
+  const last = paginate(items, { ...options, cursor: second.next_cursor });
+  assert.deepEqual(last.page, ['e']);
+  assert.equal(last.next_cursor, null);
+});
+
+test('pages by offset and in descending order', () => {
+  assert.deepEqual(paginate(items, { ...options, offset: 3 }).page, ['d', 'e']);
+  assert.deepEqual(paginate(items, { ...options, order: 'desc' }).page, ['e', 'd']);
+});
+
+test('a cursor stays on the following items when items are added before it', () => {
+  const { next_cursor } = paginate(items, options);
+  assert.deepEqual(paginate(['0', ...items], { ...options, cursor: next_cursor }).page, ['c', 'd']);
+});
+
+test('rejects malformed cursors and cursors from another scope', () => {
+  assert.throws(() => paginate(items, { ...options, cursor: 'not a cursor' }), { message: 'Invalid cursor' });
+  const { next_cursor } = paginate(items, options);
+  assert.throws(() => paginate(items, { ...options, scope: 'test:desc', cursor: next_cursor }), {
+    message: 'Cursor was issued for a different session or sort order'
+  });
+});
+
+test('view_session and query_thoughts refuse a cursor issued for another session', async (t) => {
+  const { callTool } = await startServer(t);
+  for (const reasoning of ['First', 'Second', 'Third']) {
+    await callTool('think', { reasoning, sessionId: 'one' });
+    await callTool('think', { reasoning, sessionId: 'two' });
+  }
+
+  const view = await callTool('view_session', { sessionId: 'one', limit: 2 });
+  assert.deepEqual((await callTool('view_session', { sessionId: 'one', limit: 2, cursor: view.next_cursor })).thoughts.map(t => t.content), ['Third']);
+  assert.equal((await callTool('view_session', { sessionId: 'two', limit: 2, cursor: view.next_cursor })).error, 'Cursor was issued for a different session or sort order');
+
+  const query = await callTool('query_thoughts', { sessionId: 'one', limit: 2 });
+  assert.equal((await callTool('query_thoughts', { sessionId: 'one', limit: 2, cursor: query.next_cursor })).returned, 1);
+  assert.equal((await callTool('query_thoughts', { sessionId: 'two', limit: 2, cursor: query.next_cursor })).error, 'Cursor was issued for a different session or sort order');
+});
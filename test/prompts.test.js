@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildModePrompt, buildResumePrompt, buildContradictionsPrompt } from '../lib/prompts.js';
+import { thought, startServer } from './helpers.js';
+
+const link = (thoughtId, relationshipType) => ({ thought_id: thoughtId, relationship_type: relationshipType });
+
+const promptText = (prompt) => prompt.messages[0].content.text;
+
+const thoughts = [
+  thought('a', { content: 'Cache the parsed config', tags: ['perf'] }),
+  thought('b', { content: 'Invalidate the cache on change', mode: 'critical', relationships_out: [link('a', 'builds_on')] }),
+  thought('c', { content: 'Config never changes', relationships_out: [link('b', 'contradicts')] }),
+  thought('d', { content: 'Withdrawn cache idea', mode: 'critical', retracted: { retracted_at: '2024-01-02T00:00:00.000Z' } })
+];
+
+test('mode prompts show earlier thoughts of that mode separately from the rest', () => {
+  const text = promptText(buildModePrompt('critical', { sessionId: 's', thoughts }));
+  assert.match(text, /in critical mode/);
+  assert.match(text, /How to reason in this mode:/);
+  assert.match(text, /Earlier critical thoughts in session s:\n- \[b\] \(critical\)/);
+  assert.match(text, /Other recent thoughts in session s:\n- \[a\]/);
+  assert.match(text, /using mode "critical" and sessionId "s"/);
+  assert.doesNotMatch(text, /Withdrawn/);
+});
+
+test('mode prompts narrow context to a topic and leave it out without a session', () => {
+  const topical = promptText(buildModePrompt('linear', { sessionId: 's', topic: 'perf', thoughts }));
+  assert.match(topical, /Think about "perf"/);
+  assert.match(topical, /\[a\]/);
+  assert.doesNotMatch(topical, /\[c\]/);
+
+  const bare = promptText(buildModePrompt('linear', { thoughts }));
+  assert.doesNotMatch(bare, /session/);
+  assert.match(bare, /using mode "linear"\./);
+});
+
+test('resume prompts list recent thoughts, counts and session metadata', () => {
+  const text = promptText(buildResumePrompt({ sessionId: 's', thoughts, metadata: { title: 'Config', goal: 'Decide on caching', status: 'paused' }, limit: 1 }));
+  assert.match(text, /It has 3 active thoughts \(1 retracted\)/);
+  assert.match(text, /Title: Config\nGoal: Decide on caching\nStatus: paused/);
+  assert.match(text, /Most recent thoughts:\n- \[c\]/);
+  assert.match(text, /using sessionId "s"/);
+
+  assert.match(promptText(buildResumePrompt({ sessionId: 's', thoughts: [] })), /- \(none yet\)/);
+});
+
+test('contradiction prompts pair up conflicting thoughts', () => {
+  const text = promptText(buildContradictionsPrompt({ sessionId: 's', thoughts }));
+  assert.match(text, /Contradiction 1:\n- \[c\].*\n.*\n  contradicts\n- \[b\]/);
+  assert.doesNotMatch(text, /Contradiction 2/);
+
+  const none = promptText(buildContradictionsPrompt({ sessionId: 's', thoughts: thoughts.slice(0, 2) }));
+  assert.match(none, /There are no unresolved contradictions/);
+
+  const custom = promptText(buildContradictionsPrompt({ sessionId: 's', thoughts, isConflicting: type => type === 'builds_on' }));
+  assert.match(custom, /Contradiction 1:\n- \[b\]/);
+});
+
+test('prompts are served with the session as context', async (t) => {
+  const { client, callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Use polling', name: 's', setAsDefault: true });
+  await callTool('think', { reasoning: 'Polling wastes requests', sessionId: 's', mode: 'critical', relates_to: thoughtId, relationship_type: 'contradicts' });
+
+  const { prompts } = await client.listPrompts();
+  const names = prompts.map(p => p.name);
+  assert.ok(names.includes('think_critical'));
+  assert.ok(names.includes('resume_session'));
+  assert.ok(names.includes('review_contradictions'));
+
+  const critical = await client.getPrompt({ name: 'think_critical', arguments: { sessionId: 's' } });
+  assert.match(promptText(critical), /Earlier critical thoughts in session s:/);
+
+  // The default session is used when none is given
+  const resume = await client.getPrompt({ name: 'resume_session', arguments: {} });
+  assert.match(promptText(resume), /Resume the thinking session s\./);
+
+  const review = await client.getPrompt({ name: 'review_contradictions', arguments: { sessionId: 's' } });
+  assert.match(promptText(review), /Polling wastes requests\n  contradicts\n- \[.*\] \(linear\)/);
+
+  await assert.rejects(client.getPrompt({ name: 'resume_session', arguments: { sessionId: 'missing' } }), /Session missing does not exist/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+// A session where b builds on a, c contradicts a and d is retracted
+async function seed(callTool) {
+  const { thoughtId: a } = await callTool('think', { reasoning: 'Cache the config', name: 's', tags: ['perf', 'config'] });
+  const { thoughtId: b } = await callTool('think', { reasoning: 'Bound the cache', sessionId: 's', mode: 'critical', tags: ['perf'], relates_to: a, relationship_type: 'builds_on' });
+  const { thoughtId: c } = await callTool('think', { reasoning: 'Config changes at runtime', sessionId: 's', tags: ['config'], relates_to: a, relationship_type: 'contradicts' });
+  const { thoughtId: d } = await callTool('think', { reasoning: 'Drop the cache', sessionId: 's', tags: ['perf'] });
+  await callTool('retract_thought', { sessionId: 's', thoughtId: d });
+  return { a, b, c, d };
+}
+
+const ids = (result) => result.results.map(r => r.id);
+
+test('filters combine by mode, tags and relationships', async (t) => {
+  const { callTool } = await startServer(t);
+  const { a, b, c, d } = await seed(callTool);
+
+  assert.deepEqual(ids(await callTool('query_thoughts', { sessionId: 's' })), [a, b, c]);
+  assert.deepEqual(ids(await callTool('query_thoughts', { sessionId: 's', include_retracted: true })), [a, b, c, d]);
+  assert.deepEqual(ids(await callTool('query_thoughts', { sessionId: 's', modes: ['critical'] })), [b]);
+  assert.deepEqual(ids(await callTool('query_thoughts', { sessionId: 's', tags_all: ['perf', 'config'] })), [a]);
+  assert.deepEqual(ids(await callTool('query_thoughts', { sessionId: 's', tags_any: ['config'], modes: ['linear'] })), [a, c]);
+  assert.deepEqual(ids(await callTool('query_thoughts', { sessionId: 's', has_incoming_contradictions: true })), [a]);
+  assert.deepEqual(ids(await callTool('query_thoughts', { sessionId: 's', is_leaf: true })), [b, c]);
+});
+
+test('filters by time range', async (t) => {
+  const { callTool } = await startServer(t);
+  await seed(callTool);
+
+  assert.equal((await callTool('query_thoughts', { sessionId: 's', within_days: 1 })).total, 3);
+  assert.equal((await callTool('query_thoughts', { sessionId: 's', after: '2999-01-01' })).total, 0);
+  assert.equal((await callTool('query_thoughts', { sessionId: 's', before: '2000-01-01' })).total, 0);
+
+  const invalid = await callTool('query_thoughts', { sessionId: 's', after: 'yesterday' });
+  assert.equal(invalid.error, 'Invalid timestamp');
+  assert.equal(invalid.parameter, 'after');
+});
+
+test('sorts by relationship counts and pages with a cursor', async (t) => {
+  const { callTool } = await startServer(t);
+  const { a, b, c } = await seed(callTool);
+
+  const sorted = await callTool('query_thoughts', { sessionId: 's', sort_by: 'incoming_relationships', order: 'desc' });
+  assert.deepEqual(ids(sorted), [a, c, b]);
+  assert.equal(sorted.results[0].incoming_relationships, 2);
+
+  const first = await callTool('query_thoughts', { sessionId: 's', limit: 2 });
+  assert.deepEqual(ids(first), [a, b]);
+  assert.equal(first.total, 3);
+  const second = await callTool('query_thoughts', { sessionId: 's', limit: 2, cursor: first.next_cursor });
+  assert.deepEqual(ids(second), [c]);
+  assert.equal(second.next_cursor, null);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+// The thoughts of a session by ID
+async function thoughtsById(callTool, sessionId) {
+  const { thoughts } = await callTool('view_session', { sessionId, include_retracted: true });
+  return new Map(thoughts.map(t => [t.id, t]));
+}
+
+test('think records several relationships at once on both sides', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: base } = await callTool('think', { reasoning: 'Cache config on startup', name: 's' });
+  const { thoughtId: claim } = await callTool('think', { reasoning: 'Config never changes at runtime', sessionId: 's' });
+
+  const result = await callTool('think', {
+    reasoning: 'Reloading config is needed for feature flags',
+    sessionId: 's',
+    relationships: [
+      { thought_id: claim, relationship_type: 'contradicts' },
+      { thought_id: base, relationship_type: 'builds_on' }
+    ]
+  });
+  assert.equal(result.related_context.type, 'multi_link');
+  assert.deepEqual(result.related_context.links.map(link => link.relationship), ['contradicts', 'builds_on']);
+
+  const thoughts = await thoughtsById(callTool, 's');
+  const created = thoughts.get(result.thoughtId);
+  assert.deepEqual(created.relationships_out, [
+    { thought_id: claim, relationship_type: 'contradicts' },
+    { thought_id: base, relationship_type: 'builds_on' }
+  ]);
+  // The transitive link is the primary one
+  assert.equal(created.relates_to, base);
+  assert.equal(created.relationship_type, 'builds_on');
+  assert.deepEqual(thoughts.get(claim).relationships_in, [{ thought_id: result.thoughtId, relationship_type: 'contradicts' }]);
+  assert.deepEqual(thoughts.get(base).relationships_in, [{ thought_id: result.thoughtId, relationship_type: 'builds_on' }]);
+});
+
+test('relates_to and relationships combine without duplicates', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: first } = await callTool('think', { reasoning: 'First', name: 's' });
+
+  const { thoughtId } = await callTool('think', {
+    reasoning: 'Second',
+    sessionId: 's',
+    relates_to: first,
+    relationship_type: 'supports',
+    relationships: [{ thought_id: first, relationship_type: 'supports' }, { thought_id: first, relationship_type: 'refines' }]
+  });
+  const thoughts = await thoughtsById(callTool, 's');
+  assert.deepEqual(thoughts.get(thoughtId).relationships_out.map(rel => rel.relationship_type), ['supports', 'refines']);
+  assert.equal(thoughts.get(first).relationships_in.length, 2);
+});
+
+test('one invalid relationship rejects the whole thought', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: first } = await callTool('think', { reasoning: 'First', name: 's' });
+
+  const result = await callTool('think', {
+    reasoning: 'Second',
+    sessionId: 's',
+    relationships: [{ thought_id: first, relationship_type: 'supports' }, { thought_id: 'missing', relationship_type: 'builds_on' }]
+  });
+  assert.equal(result.error, 'Referenced thought not found');
+  assert.equal(result.thought_id, 'missing');
+
+  const thoughts = await thoughtsById(callTool, 's');
+  assert.equal(thoughts.size, 1);
+  assert.deepEqual(thoughts.get(first).relationships_in, []);
+});
+
+test('link_thoughts adds a relationship between existing thoughts and updates the primary link', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: first } = await callTool('think', { reasoning: 'First', name: 's' });
+  const { thoughtId: second } = await callTool('think', { reasoning: 'Second', sessionId: 's' });
+
+  await callTool('link_thoughts', { sessionId: 's', from_thought_id: second, to_thought_id: first, relationship_type: 'builds_on' });
+  const thoughts = await thoughtsById(callTool, 's');
+  assert.equal(thoughts.get(second).relates_to, first);
+  assert.equal(thoughts.get(second).relationship_type, 'builds_on');
+  assert.deepEqual(thoughts.get(first).relationships_in, [{ thought_id: second, relationship_type: 'builds_on' }]);
+
+  const again = await callTool('link_thoughts', { sessionId: 's', from_thought_id: second, to_thought_id: first, relationship_type: 'builds_on' });
+  assert.equal(again.error, 'Relationship already exists');
+  assert.equal((await callTool('link_thoughts', { sessionId: 's', from_thought_id: first, to_thought_id: first, relationship_type: 'supports' })).error, 'Cannot reference self');
+});
+
+test('link_thoughts refuses builds_on cycles and retracted thoughts', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: first } = await callTool('think', { reasoning: 'First', name: 's' });
+  const { thoughtId: second } = await callTool('think', { reasoning: 'Second', sessionId: 's', relates_to: first, relationship_type: 'builds_on' });
+  const { thoughtId: third } = await callTool('think', { reasoning: 'Third', sessionId: 's' });
+
+  const cycle = await callTool('link_thoughts', { sessionId: 's', from_thought_id: first, to_thought_id: second, relationship_type: 'builds_on' });
+  assert.equal(cycle.error, 'Relationship would create a builds_on cycle');
+  // Non-transitive relationships may point back
+  assert.equal((await callTool('link_thoughts', { sessionId: 's', from_thought_id: first, to_thought_id: second, relationship_type: 'supports' })).status, 'success');
+
+  await callTool('retract_thought', { sessionId: 's', thoughtId: third });
+  const retracted = await callTool('link_thoughts', { sessionId: 's', from_thought_id: third, to_thought_id: first, relationship_type: 'supports' });
+  assert.equal(retracted.error, 'Cannot link a retracted thought');
+});
+
+test('unlink_thoughts removes one or every relationship between two thoughts', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: first } = await callTool('think', { reasoning: 'First', name: 's' });
+  const { thoughtId: second } = await callTool('think', {
+    reasoning: 'Second',
+    sessionId: 's',
+    relationships: [{ thought_id: first, relationship_type: 'builds_on' }, { thought_id: first, relationship_type: 'supports' }]
+  });
+
+  const one = await callTool('unlink_thoughts', { sessionId: 's', from_thought_id: second, to_thought_id: first, relationship_type: 'builds_on' });
+  assert.deepEqual(one.removed_types, ['builds_on']);
+  let thoughts = await thoughtsById(callTool, 's');
+  assert.equal(thoughts.get(second).relationship_type, 'supports');
+  assert.deepEqual(thoughts.get(first).relationships_in, [{ thought_id: second, relationship_type: 'supports' }]);
+
+  const rest = await callTool('unlink_thoughts', { sessionId: 's', from_thought_id: second, to_thought_id: first });
+  assert.deepEqual(rest.removed_types, ['supports']);
+  thoughts = await thoughtsById(callTool, 's');
+  assert.equal(thoughts.get(second).relates_to, null);
+  assert.deepEqual(thoughts.get(first).relationships_in, []);
+
+  assert.equal((await callTool('unlink_thoughts', { sessionId: 's', from_thought_id: second, to_thought_id: first })).error, 'Relationship not found');
+});
+
+test('unlink_thoughts leaves supersedes edges to retract_thought', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: oldId } = await callTool('think', { reasoning: 'Old', name: 's' });
+  const { thoughtId: newId } = await callTool('think', { reasoning: 'New', sessionId: 's' });
+  await callTool('retract_thought', { sessionId: 's', thoughtId: oldId, superseded_by: newId });
+
+  assert.equal((await callTool('unlink_thoughts', { sessionId: 's', from_thought_id: newId, to_thought_id: oldId })).error, 'Relationship not found');
+});
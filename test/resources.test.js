@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResourceUpdatedNotificationSchema, ResourceListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startServer } from './helpers.js';
+
+async function readJson(client, uri) {
+  const { contents } = await client.readResource({ uri });
+  return JSON.parse(contents[0].text);
+}
+
+test('sessions and thoughts can be listed and read as resources', async (t) => {
+  const { client, callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'First', name: 'notes', setAsDefault: true, session_metadata: { title: 'Notes' } });
+
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map(r => r.uri), ['think://sessions', 'think://sessions/notes']);
+  assert.equal(resources[1].title, 'Notes');
+
+  const sessions = await readJson(client, 'think://sessions');
+  assert.equal(sessions.defaultSessionId, 'notes');
+  assert.equal(sessions.sessions[0].uri, 'think://sessions/notes');
+  assert.equal(sessions.sessions[0].isDefault, true);
+
+  const session = await readJson(client, 'think://sessions/notes');
+  assert.equal(session.count, 1);
+  assert.equal(session.metadata.title, 'Notes');
+
+  const thought = await readJson(client, `think://sessions/notes/thoughts/${thoughtId}`);
+  assert.equal(thought.content, 'First');
+
+  await assert.rejects(client.readResource({ uri: 'think://sessions/missing' }), /Session missing does not exist/);
+  await assert.rejects(client.readResource({ uri: 'think://sessions/notes/thoughts/missing' }), /Thought missing not found/);
+});
+
+test('subscribers are notified when a session changes, and of new sessions', async (t) => {
+  const { client, callTool } = await startServer(t);
+  const updated = [];
+  let listChanged = 0;
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => updated.push(notification.params.uri));
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, () => listChanged++);
+
+  const { thoughtId } = await callTool('think', { reasoning: 'First', name: 'notes' });
+  await client.subscribeResource({ uri: 'think://sessions/notes' });
+  await client.subscribeResource({ uri: `think://sessions/notes/thoughts/${thoughtId}` });
+  await callTool('think', { reasoning: 'Second', sessionId: 'notes', relates_to: thoughtId, relationship_type: 'builds_on' });
+  await callTool('think', { reasoning: 'Elsewhere', name: 'other' });
+
+  assert.deepEqual(updated, ['think://sessions/notes', `think://sessions/notes/thoughts/${thoughtId}`]);
+  assert.equal(listChanged, 2);
+
+  await client.unsubscribeResource({ uri: 'think://sessions/notes' });
+  await callTool('think', { reasoning: 'Third', sessionId: 'notes' });
+  assert.equal(updated.length, 2);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planRetention } from '../lib/retention.js';
+
+const NOW = Date.parse('2024-06-01T00:00:00.000Z');
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function session(sessionId, ageDays, overrides = {}) {
+  return {
+    sessionId,
+    lastModified: new Date(NOW - ageDays * DAY_MS).toISOString(),
+    size: 100,
+    tags: [],
+    metadata: {},
+    isDefault: false,
+    references: [],
+    ...overrides
+  };
+}
+
+const removed = (plan) => plan.remove.map(entry => entry.sessionId);
+
+test('removes sessions older than maxAgeDays', () => {
+  const plan = planRetention([session('new', 1), session('old', 40)], { maxAgeDays: 30 }, NOW);
+  assert.deepEqual(plan.remove, [{ sessionId: 'old', reasons: ['max_age'], lastModified: session('old', 40).lastModified, size: 100 }]);
+});
+
+test('keeps only the most recently modified maxSessions', () => {
+  const sessions = [session('a', 3), session('b', 1), session('c', 2), session('d', 4)];
+  assert.deepEqual(removed(planRetention(sessions, { maxSessions: 2 }, NOW)), ['d', 'a']);
+});
+
+test('removes the oldest sessions until the total size fits', () => {
+  const sessions = [session('a', 1, { size: 500 }), session('b', 2, { size: 300 }), session('c', 3, { size: 300 })];
+  assert.deepEqual(removed(planRetention(sessions, { maxTotalSizeBytes: 600 }, NOW)), ['c', 'b']);
+});
+
+test('never removes the default, pinned or exempt-tagged sessions', () => {
+  const sessions = [
+    session('default', 100, { isDefault: true }),
+    session('pinned', 100, { metadata: { pinned: true } }),
+    session('tagged', 100, { tags: ['keep'] }),
+    session('plain', 100)
+  ];
+  const plan = planRetention(sessions, { maxAgeDays: 30, exemptTags: ['keep'] }, NOW);
+  assert.deepEqual(removed(plan), ['plain']);
+  assert.deepEqual(plan.exempt, [
+    { sessionId: 'default', reason: 'default_session' },
+    { sessionId: 'pinned', reason: 'pinned' },
+    { sessionId: 'tagged', reason: 'tag:keep' }
+  ]);
+});
+
+test('exempt sessions still count towards maxSessions', () => {
+  const sessions = [session('default', 5, { isDefault: true }), session('a', 1), session('b', 2)];
+  assert.deepEqual(removed(planRetention(sessions, { maxSessions: 2 }, NOW)), ['b']);
+});
+
+test('keeps sessions that a kept session links to, transitively', () => {
+  const sessions = [
+    session('recent', 1, { references: ['middle'] }),
+    session('middle', 50, { references: ['oldest'] }),
+    session('oldest', 60),
+    session('unlinked', 60)
+  ];
+  const plan = planRetention(sessions, { maxAgeDays: 30 }, NOW);
+  assert.deepEqual(removed(plan), ['unlinked']);
+  assert.deepEqual(plan.exempt, [
+    { sessionId: 'middle', reason: 'referenced_by:recent' },
+    { sessionId: 'oldest', reason: 'referenced_by:middle' }
+  ]);
+});
+
+test('an empty policy removes nothing', () => {
+  assert.deepEqual(planRetention([session('a', 1000)], {}, NOW), { remove: [], exempt: [] });
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+test('revising a thought keeps the previous version in its history', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'The cache is unbounded', name: 's', tags: ['cache'] });
+
+  const result = await callTool('revise_thought', { sessionId: 's', thoughtId, content: 'The cache is bounded by size', reason: 'Misread the code', author: 'alex' });
+  assert.equal(result.revisionCount, 1);
+  assert.equal(result.thought.content, 'The cache is bounded by size');
+  assert.deepEqual(result.thought.tags, ['cache']);
+  assert.ok(result.thought.last_revised);
+  const [revision] = result.thought.revisions;
+  assert.equal(revision.content, 'The cache is unbounded');
+  assert.equal(revision.reason, 'Misread the code');
+  assert.equal(revision.revised_by, 'alex');
+
+  const second = await callTool('revise_thought', { sessionId: 's', thoughtId, mode: 'critical', tags: [] });
+  assert.equal(second.revisionCount, 2);
+  assert.equal(second.thought.content, 'The cache is bounded by size');
+  assert.equal(second.thought.mode, 'critical');
+});
+
+test('a revision has to change something and stay within the input limits', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'First', name: 's' });
+  assert.equal((await callTool('revise_thought', { sessionId: 's', thoughtId })).error, 'Nothing to revise');
+  assert.equal((await callTool('revise_thought', { sessionId: 's', thoughtId, tags: [''] })).error, 'Invalid input');
+  assert.equal((await callTool('revise_thought', { sessionId: 's', thoughtId: 'missing', content: 'x' })).error, 'Thought not found');
+});
+
+test('retracted thoughts are hidden by default and can no longer be revised', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId } = await callTool('think', { reasoning: 'Retries fix the flaky test', name: 's' });
+  await callTool('think', { reasoning: 'Something else', sessionId: 's' });
+
+  const result = await callTool('retract_thought', { sessionId: 's', thoughtId, reason: 'Wrong' });
+  assert.equal(result.retracted.reason, 'Wrong');
+  assert.equal(result.retracted.superseded_by, null);
+
+  const view = await callTool('view_session', { sessionId: 's' });
+  assert.equal(view.total, 1);
+  assert.equal(view.hiddenRetracted, 1);
+  assert.equal((await callTool('view_session', { sessionId: 's', include_retracted: true })).total, 2);
+  assert.equal((await callTool('find_thought_relationships', { sessionId: 's', query: 'retries' })).total, 0);
+  assert.equal((await callTool('find_thought_relationships', { sessionId: 's', query: 'retries', include_retracted: true })).total, 1);
+
+  assert.equal((await callTool('revise_thought', { sessionId: 's', thoughtId, content: 'x' })).error, 'Cannot revise a retracted thought');
+  assert.equal((await callTool('retract_thought', { sessionId: 's', thoughtId })).error, 'Thought already retracted');
+});
+
+test('a retracted thought can be superseded by another thought of the session', async (t) => {
+  const { callTool } = await startServer(t);
+  const { thoughtId: oldId } = await callTool('think', { reasoning: 'Use polling', name: 's' });
+  const { thoughtId: newId } = await callTool('think', { reasoning: 'Use webhooks', sessionId: 's' });
+
+  assert.equal((await callTool('retract_thought', { sessionId: 's', thoughtId: oldId, superseded_by: oldId })).error, 'A thought cannot supersede itself');
+  const result = await callTool('retract_thought', { sessionId: 's', thoughtId: oldId, superseded_by: newId });
+  assert.equal(result.retracted.superseded_by, newId);
+
+  const { thoughts } = await callTool('view_session', { sessionId: 's', include_retracted: true });
+  assert.deepEqual(thoughts[0].relationships_in, [{ thought_id: newId, relationship_type: 'supersedes' }]);
+  assert.deepEqual(thoughts[1].relationships_out, [{ thought_id: oldId, relationship_type: 'supersedes' }]);
+});
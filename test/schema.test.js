@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { SESSION_SCHEMA_VERSION, upgradeSession } from '../lib/storage/schema.js';
+import { createStorage, upgradeSessions } from '../lib/storage/index.js';
+import { makeTempDir, thought, hasSqlite } from './helpers.js';
+
+// Version 1 thoughts: no relationship arrays, links only in relates_to
+const v1Thoughts = [
+  { id: 't1', content: 'Foundation', timestamp: '2024-01-01T00:00:00.000Z' },
+  { id: 't2', content: 'Next step', timestamp: '2024-01-02T00:00:00.000Z', relates_to: 't1', relationship_type: 'builds_on' }
+];
+
+test('upgrades a version 1 session and derives both relationship arrays', () => {
+  const { thoughts, migratedFrom } = upgradeSession('s', { version: 1, thoughts: v1Thoughts });
+  assert.equal(migratedFrom, 1);
+  assert.deepEqual(thoughts[0].relationships_in, [{ thought_id: 't2', relationship_type: 'builds_on' }]);
+  assert.deepEqual(thoughts[1].relationships_out, [{ thought_id: 't1', relationship_type: 'builds_on' }]);
+  assert.equal(thoughts[0].mode, 'linear');
+  assert.deepEqual(thoughts[0].tags, []);
+});
+
+test('leaves a current session unmigrated', () => {
+  const { migratedFrom } = upgradeSession('s', { version: SESSION_SCHEMA_VERSION, thoughts: [thought('t1')] });
+  assert.equal(migratedFrom, null);
+});
+
+test('refuses a session written by a newer version', () => {
+  assert.throws(() => upgradeSession('s', { version: SESSION_SCHEMA_VERSION + 1, thoughts: [] }), {
+    message: 'Session was written by a newer version of minimal-think-mcp'
+  });
+});
+
+test('reports invalid session data with the offending fields', () => {
+  assert.throws(() => upgradeSession('s', { version: SESSION_SCHEMA_VERSION, thoughts: [{ id: 't1' }] }), (error) => {
+    assert.equal(error.message, 'Session data is invalid');
+    assert.ok(error.details.issues.some(issue => issue.path === 'thoughts.0.content'));
+    return true;
+  });
+});
+
+test('json store reads unversioned files and upgrades them in place, keeping their age', async (t) => {
+  const dir = await makeTempDir(t);
+  const store = createStorage({ backend: 'json', sessionDir: dir });
+  await store.init();
+  const file = path.join(dir, 'old.json');
+  await fs.writeFile(file, JSON.stringify(v1Thoughts));
+  const lastModified = new Date('2023-06-01T00:00:00.000Z');
+  await fs.utimes(file, lastModified, lastModified);
+
+  assert.equal(await store.getSchemaVersion('old'), 1);
+  assert.equal((await store.loadSession('old'))[1].relationships_out.length, 1);
+
+  const result = await upgradeSessions(store);
+  assert.deepEqual(result.upgraded, [{ sessionId: 'old', from: 1 }]);
+  assert.equal(await store.getSchemaVersion('old'), SESSION_SCHEMA_VERSION);
+  assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).schemaVersion, SESSION_SCHEMA_VERSION);
+  assert.equal((await store.listSessions())[0].lastModified, lastModified.toISOString());
+});
+
+test('json store lists a session from a newer version with an error and never overwrites it', async (t) => {
+  const dir = await makeTempDir(t);
+  const store = createStorage({ backend: 'json', sessionDir: dir });
+  await store.init();
+  const content = JSON.stringify({ schemaVersion: SESSION_SCHEMA_VERSION + 1, metadata: {}, thoughts: [] });
+  await fs.writeFile(path.join(dir, 'future.json'), content);
+
+  const [info] = await store.listSessions();
+  assert.equal(info.error, 'Session was written by a newer version of minimal-think-mcp');
+  await assert.rejects(store.saveSession('future', [thought('t1')]));
+  assert.deepEqual((await upgradeSessions(store)).failed.map(f => f.sessionId), ['future']);
+  assert.equal(await fs.readFile(path.join(dir, 'future.json'), 'utf8'), content);
+});
+
+test('sqlite store lists a session from a newer version with an error', { skip: !hasSqlite && 'better-sqlite3 is not available' }, async (t) => {
+  const dir = await makeTempDir(t);
+  const file = path.join(dir, 'sessions.db');
+  const store = createStorage({ backend: 'sqlite', sessionDir: dir, sqlitePath: file });
+  await store.init();
+  t.after(() => store.close());
+  await store.saveSession('current', [thought('t1')]);
+  await store.saveSession('future', [thought('t2')]);
+
+  const { default: Database } = await import('better-sqlite3');
+  const db = new Database(file);
+  db.prepare('UPDATE sessions SET schema_version = ? WHERE session_id = ?').run(SESSION_SCHEMA_VERSION + 1, 'future');
+  db.close();
+
+  const sessions = await store.listSessions();
+  assert.equal(sessions.find(s => s.sessionId === 'current').thoughtCount, 1);
+  assert.equal(sessions.find(s => s.sessionId === 'future').error, 'Session was written by a newer version of minimal-think-mcp');
+});
+
+test('sqlite store upgrades sessions without changing their age', { skip: !hasSqlite && 'better-sqlite3 is not available' }, async (t) => {
+  const dir = await makeTempDir(t);
+  const file = path.join(dir, 'sessions.db');
+  const store = createStorage({ backend: 'sqlite', sessionDir: dir, sqlitePath: file });
+  await store.init();
+  t.after(() => store.close());
+  await store.saveSession('old', v1Thoughts.map(t => thought(t.id, t)));
+
+  const { default: Database } = await import('better-sqlite3');
+  const db = new Database(file);
+  db.prepare('UPDATE sessions SET schema_version = NULL, updated_at = ?').run('2023-06-01T00:00:00.000Z');
+  db.close();
+
+  assert.deepEqual((await upgradeSessions(store)).upgraded, [{ sessionId: 'old', from: 1 }]);
+  assert.equal(await store.getSchemaVersion('old'), SESSION_SCHEMA_VERSION);
+  assert.equal((await store.listSessions())[0].lastModified, '2023-06-01T00:00:00.000Z');
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createSearchIndex, tokenize } from '../lib/search.js';
+import { createJsonStore } from '../lib/storage/json-store.js';
+import { makeTempDir, thought, startServer } from './helpers.js';
+
+const thoughts = [
+  thought('t1', { content: 'Caching the parsed config speeds up startup' }),
+  thought('t2', { content: 'The cache must be invalidated when the config file changes', tags: ['cache'] }),
+  thought('t3', { content: 'Logging goes to stderr so stdout stays clean' })
+];
+
+// Index the given sessions ({ sessionId: thoughts }) and search them
+async function searchSessions(sessions, query) {
+  const index = createSearchIndex();
+  const sessionIds = await index.refresh(Object.keys(sessions).map(sessionId => ({ sessionId, lastModified: 'v1' })), id => sessions[id]);
+  return index.search(sessionIds, query);
+}
+
+test('tokenize lowercases and splits on anything but letters and digits', () => {
+  assert.deepEqual(tokenize('Cache-Invalidation, v2!'), ['cache', 'invalidation', 'v2']);
+});
+
+test('matches other forms of a word and ranks tagged thoughts higher', async () => {
+  const hits = await searchSessions({ s: thoughts }, 'cached');
+  assert.deepEqual(hits.map(hit => hit.id), ['t2', 't1']);
+  assert.equal(hits[0].thought.content, thoughts[1].content);
+});
+
+test('quoted phrases must appear verbatim', async () => {
+  assert.deepEqual((await searchSessions({ s: thoughts }, '"config file"')).map(hit => hit.id), ['t2']);
+  assert.deepEqual(await searchSessions({ s: thoughts }, '"file config"'), []);
+});
+
+test('a trailing star matches words starting with the prefix', async () => {
+  assert.deepEqual((await searchSessions({ s: thoughts }, 'std*')).map(hit => hit.id), ['t3']);
+});
+
+test('searches several sessions at once', async () => {
+  const hits = await searchSessions({ a: thoughts.slice(0, 1), b: thoughts.slice(2) }, 'startup stderr');
+  assert.deepEqual(hits.map(hit => hit.sessionId).sort(), ['a', 'b']);
+});
+
+test('reloads a session only when its lastModified changed', async () => {
+  const index = createSearchIndex();
+  const loaded = [];
+  const load = (sessionId) => {
+    loaded.push(sessionId);
+    return thoughts;
+  };
+
+  await index.refresh([{ sessionId: 's', lastModified: 'v1' }], load);
+  await index.refresh([{ sessionId: 's', lastModified: 'v1' }], load);
+  assert.deepEqual(loaded, ['s']);
+
+  await index.refresh([{ sessionId: 's', lastModified: 'v2' }], () => [thought('t4', { content: 'Retries use exponential backoff' })]);
+  assert.deepEqual(index.search(['s'], 'backoff').map(hit => hit.id), ['t4']);
+  assert.deepEqual(index.search(['s'], 'cache'), []);
+  assert.equal(index.countThoughts(['s']), 1);
+});
+
+test('drops sessions that cannot be loaded or are no longer stored', async () => {
+  const index = createSearchIndex();
+  const indexed = await index.refresh([{ sessionId: 'a', lastModified: 'v1' }, { sessionId: 'b', lastModified: 'v1' }], id => id === 'a' ? thoughts : null);
+  assert.deepEqual(indexed, ['a']);
+
+  index.retainSessions([]);
+  assert.equal(index.countThoughts(['a']), 0);
+  assert.deepEqual(index.search(['a'], 'cache'), []);
+});
+
+test('json store lists when each session was last modified without reading it', async (t) => {
+  const dir = await makeTempDir(t);
+  const store = createJsonStore({ dir });
+  await store.init();
+  await store.saveSession('a', thoughts);
+  await store.setDefaultSession('a');
+
+  const lastModified = await store.listLastModified();
+  assert.deepEqual(Object.keys(lastModified), ['a']);
+  assert.equal(lastModified.a, (await store.listSessions())[0].lastModified);
+});
+
+test('find_thought_relationships follows sessions changed or removed outside the server', async (t) => {
+  const { dir, callTool } = await startServer(t);
+  await callTool('think', { reasoning: 'Caching the parsed config', name: 'notes' });
+  await callTool('think', { reasoning: 'The cache is invalidated on change', name: 'other' });
+
+  const search = () => callTool('find_thought_relationships', { query: 'cache', all_sessions: true });
+  assert.deepEqual((await search()).sessions.map(s => s.sessionId).sort(), ['notes', 'other']);
+
+  // Another process archives one session and rewrites the other
+  await fs.unlink(path.join(dir, 'other.json'));
+  const store = createJsonStore({ dir });
+  await store.updateSession('notes', stored => { stored[0].content = 'Logging to stderr'; });
+
+  const result = await search();
+  assert.equal(result.total, 0);
+  assert.equal(result.searched_sessions, 1);
+  assert.equal((await callTool('find_thought_relationships', { query: 'stderr', sessionId: 'notes' })).total, 1);
+});
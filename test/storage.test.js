@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createStorage, migrateSessions } from '../lib/storage/index.js';
+import { makeTempDir, thought, hasSqlite } from './helpers.js';
+
+// A fresh store of the given backend, closed when the test ends
+async function openStore(t, backend) {
+  const dir = await makeTempDir(t);
+  const store = createStorage({ backend, sessionDir: dir, sqlitePath: path.join(dir, 'sessions.db') });
+  await store.init();
+  t.after(() => store.close());
+  return store;
+}
+
+// Every backend has to behave the same way
+for (const backend of ['json', 'sqlite']) {
+  const options = { skip: backend === 'sqlite' && !hasSqlite && 'better-sqlite3 is not available' };
+
+  test(`${backend}: saves, loads and lists sessions`, options, async (t) => {
+    const store = await openStore(t, backend);
+    assert.equal(await store.hasSession('a'), false);
+    assert.deepEqual(await store.loadSession('a'), []);
+
+    await store.saveSession('a', [thought('t1'), thought('t2', { timestamp: '2024-01-02T00:00:00.000Z' })], { title: 'A' });
+    assert.equal(await store.hasSession('a'), true);
+    assert.deepEqual((await store.loadSession('a')).map(t => t.id), ['t1', 't2']);
+    assert.equal((await store.getThought('a', 't2')).timestamp, '2024-01-02T00:00:00.000Z');
+    assert.equal(await store.getThought('a', 'missing'), null);
+    assert.deepEqual(await store.getSessionMetadata('a'), { title: 'A' });
+
+    const [info] = await store.listSessions();
+    assert.equal(info.sessionId, 'a');
+    assert.equal(info.thoughtCount, 2);
+    assert.equal(info.firstThought, '2024-01-01T00:00:00.000Z');
+    assert.equal(info.lastThought, '2024-01-02T00:00:00.000Z');
+    assert.ok(info.lastModified);
+  });
+
+  test(`${backend}: updateSession applies the mutator and rolls back when it throws`, options, async (t) => {
+    const store = await openStore(t, backend);
+    await store.saveSession('a', [thought('t1')]);
+
+    const count = await store.updateSession('a', (thoughts, metadata) => {
+      thoughts.push(thought('t2'));
+      metadata.status = 'paused';
+      return thoughts.length;
+    });
+    assert.equal(count, 2);
+    assert.deepEqual(await store.getSessionMetadata('a'), { status: 'paused' });
+
+    await assert.rejects(store.updateSession('a', (thoughts) => {
+      thoughts.length = 0;
+      throw new Error('abort');
+    }), { message: 'abort' });
+    assert.equal((await store.loadSession('a')).length, 2);
+  });
+
+  test(`${backend}: concurrent updates are serialized`, options, async (t) => {
+    const store = await openStore(t, backend);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.updateSession('a', async (thoughts) => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      thoughts.push(thought(`t${i}`));
+    })));
+    assert.equal((await store.loadSession('a')).length, 10);
+  });
+
+  test(`${backend}: deleting and renaming take aliases and the default session along`, options, async (t) => {
+    const store = await openStore(t, backend);
+    await store.saveSession('a', [thought('t1')]);
+    await store.saveSession('b', [thought('t2')]);
+    await store.setDefaultSession('a');
+    await store.updateAliases(aliases => {
+      aliases.first = 'a';
+      aliases.second = 'b';
+    });
+
+    await store.renameSession('a', 'renamed');
+    assert.equal(await store.getDefaultSession(), 'renamed');
+    assert.deepEqual(await store.getAliases(), { first: 'renamed', second: 'b' });
+    await assert.rejects(store.renameSession('renamed', 'b'), { message: 'Session already exists' });
+
+    await store.deleteSession('b');
+    assert.deepEqual(await store.getAliases(), { first: 'renamed' });
+    await assert.rejects(store.deleteSession('b'), { message: 'Session not found' });
+
+    await store.clearDefaultSession();
+    assert.equal(await store.getDefaultSession(), null);
+  });
+}
+
+test('migrates sessions, aliases and the default session between backends', { skip: !hasSqlite && 'better-sqlite3 is not available' }, async (t) => {
+  const source = await openStore(t, 'json');
+  const target = await openStore(t, 'sqlite');
+  await source.saveSession('a', [thought('t1')], { title: 'A' });
+  await source.saveSession('b', [thought('t2')]);
+  await source.setDefaultSession('a');
+  await source.updateAliases(aliases => { aliases.first = 'a'; });
+  await target.saveSession('b', [thought('other')]);
+
+  const result = await migrateSessions(source, target);
+  assert.deepEqual(result, { migrated: ['a'], skipped: ['b'], failed: [] });
+  assert.deepEqual(await target.getSessionMetadata('a'), { title: 'A' });
+  assert.deepEqual((await target.loadSession('b')).map(t => t.id), ['other']);
+  assert.deepEqual(await target.getAliases(), { first: 'a' });
+  assert.equal(await target.getDefaultSession(), 'a');
+
+  assert.deepEqual((await migrateSessions(source, target, { overwrite: true })).migrated.sort(), ['a', 'b']);
+  assert.deepEqual((await target.loadSession('b')).map(t => t.id), ['t2']);
+});
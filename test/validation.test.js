@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSessionId, validateSessionName, validateThoughtInput, validateBundleFileName, isValidSessionId, slugify, INPUT_LIMITS } from '../lib/validation.js';
+import { SessionError } from '../lib/errors.js';
+import { startServer } from './helpers.js';
+
+test('session IDs cannot leave the session directory or take reserved names', () => {
+  assert.equal(validateSessionId('session_1720529347123_ab7c9'), 'session_1720529347123_ab7c9');
+  for (const id of ['../../etc/passwd', 'a/b', 'a.json', '', '_hidden', 'x'.repeat(129)]) {
+    assert.throws(() => validateSessionId(id), SessionError, id);
+  }
+  assert.throws(() => validateSessionId('defaultSession'), /Invalid input/);
+  assert.throws(() => validateSessionId('COM1'), /Invalid input/);
+  assert.equal(isValidSessionId('Aliases'), false);
+});
+
+test('rejected input names the parameter and the problem', () => {
+  try {
+    validateSessionId('../x', 'from_session');
+    assert.fail('expected an error');
+  } catch (error) {
+    assert.equal(error.details.from_session, '../x');
+    assert.equal(error.details.issues[0].path, 'from_session');
+  }
+});
+
+test('names are lowercase slugs, with a suggestion when they are not', () => {
+  assert.equal(validateSessionName('auth-migration'), 'auth-migration');
+  assert.throws(() => validateSessionName('auth-'), /Invalid input/);
+  try {
+    validateSessionName('Auth Migration!');
+    assert.fail('expected an error');
+  } catch (error) {
+    assert.equal(error.details.suggestion, 'auth-migration');
+  }
+  assert.equal(slugify('  Café Plans  '), 'cafe-plans');
+});
+
+test('thought text and tags are held to the input limits', () => {
+  assert.doesNotThrow(() => validateThoughtInput({ text: 'ok', tags: ['a'] }));
+  try {
+    validateThoughtInput({
+      text: 'x'.repeat(INPUT_LIMITS.reasoningLength + 1),
+      tags: ['', 'y'.repeat(INPUT_LIMITS.tagLength + 1), ...Array(INPUT_LIMITS.tagCount).fill('z')]
+    });
+    assert.fail('expected an error');
+  } catch (error) {
+    assert.deepEqual(error.details.issues.map(issue => issue.path), ['reasoning', 'tags', 'tags.0', 'tags.1']);
+  }
+});
+
+test('bundle file names cannot contain directories', () => {
+  assert.equal(validateBundleFileName('auth.json'), 'auth.json');
+  for (const file of ['../auth.json', 'dir/auth.json', '.hidden', 'a..json']) {
+    assert.throws(() => validateBundleFileName(file), /Invalid input/, file);
+  }
+});
+
+test('tools reject unsafe session IDs before touching the filesystem', async (t) => {
+  const { callTool } = await startServer(t);
+
+  for (const [name, args] of [
+    ['think', { reasoning: 'x', sessionId: '../outside' }],
+    ['view_session', { sessionId: '../outside' }],
+    ['delete_session', { sessionId: '../outside' }],
+    ['think', { reasoning: 'x', sessionId: 'defaultSession' }]
+  ]) {
+    const result = await callTool(name, args);
+    assert.equal(result.error, 'Invalid input', name);
+    assert.equal(result.issues[0].path, 'sessionId');
+  }
+
+  const tooLong = await callTool('think', { reasoning: 'x'.repeat(INPUT_LIMITS.reasoningLength + 1) });
+  assert.equal(tooLong.error, 'Invalid input');
+  assert.equal(tooLong.issues[0].path, 'reasoning');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createVocabulary, BUILT_IN_RELATIONSHIP_TYPES } from '../lib/vocabulary.js';
+import { loadConfig } from '../lib/config.js';
+import { ConfigError } from '../lib/errors.js';
+import { makeTempDir, startServer } from './helpers.js';
+
+const custom = {
+  modes: {
+    hypothesis: { summary: 'a claim to test', guidance: ['State how it could be shown wrong'] },
+    critical: { summary: 'poke holes' }
+  },
+  relationshipTypes: {
+    depends_on: { description: 'needs the target first', transitive: true },
+    refutes: { description: 'shows the target is wrong', conflicting: true },
+    refines: { supporting: true }
+  }
+};
+
+// Write the configuration to a temporary file and return its path
+async function writeConfig(t, data) {
+  const file = path.join(await makeTempDir(t), 'config.json');
+  await fs.writeFile(file, JSON.stringify(data));
+  return file;
+}
+
+test('the built-in vocabulary applies without configuration', () => {
+  const vocabulary = createVocabulary();
+  assert.deepEqual(vocabulary.relationshipTypes, Object.keys(BUILT_IN_RELATIONSHIP_TYPES));
+  assert.ok(vocabulary.modes.includes('linear'));
+  assert.equal(vocabulary.isTransitive('builds_on'), true);
+  assert.equal(vocabulary.isConflicting('contradicts'), true);
+  assert.equal(vocabulary.isSupporting('supports'), true);
+  assert.equal(vocabulary.isTransitive('no_longer_configured'), false);
+});
+
+test('configured modes and relationship types extend and adjust the built-in ones', () => {
+  const vocabulary = createVocabulary(custom);
+  assert.ok(vocabulary.modes.includes('hypothesis'));
+  assert.deepEqual(vocabulary.modeInfo('hypothesis').guidance, ['State how it could be shown wrong']);
+  // Adjusting a built-in mode keeps its guidance
+  assert.equal(vocabulary.modeInfo('critical').summary, 'poke holes');
+  assert.ok(vocabulary.modeInfo('critical').guidance.length > 0);
+
+  assert.equal(vocabulary.isTransitive('depends_on'), true);
+  assert.equal(vocabulary.isConflicting('refutes'), true);
+  assert.equal(vocabulary.isSupporting('refines'), true);
+  assert.equal(vocabulary.definitions().relationshipTypes.refines.description, BUILT_IN_RELATIONSHIP_TYPES.refines.description);
+  assert.match(vocabulary.describeRelationshipTypes(), /depends_on \(needs the target first\)/);
+});
+
+test('the configuration rejects invalid vocabulary', async (t) => {
+  const load = async (data) => loadConfig({ argv: ['--config', await writeConfig(t, data)], env: {}, cwd: '/', homeDir: '/' });
+  await assert.rejects(load({ modes: { hypothesis: {} } }), ConfigError);
+  await assert.rejects(load({ modes: { 'Bad-Name': { summary: 'x' } } }), ConfigError);
+  await assert.rejects(load({ relationshipTypes: { supersedes: {} } }), /"supersedes" is reserved/);
+  await assert.rejects(load({ relationshipTypes: { supports: { conflicting: true } } }), /cannot be both conflicting and supporting/);
+});
+
+test('the tools accept and act on the configured vocabulary', async (t) => {
+  const { callTool } = await startServer(t, ['--config', await writeConfig(t, custom)]);
+  const info = await callTool('server_info');
+  assert.ok(info.modes.hypothesis);
+  assert.equal(info.relationshipTypes.depends_on.transitive, true);
+
+  const { thoughtId: a } = await callTool('think', { reasoning: 'Schema first', name: 's', mode: 'hypothesis' });
+  const { thoughtId: b } = await callTool('think', { reasoning: 'Then the API', sessionId: 's', relates_to: a, relationship_type: 'depends_on' });
+  await callTool('think', { reasoning: 'The schema is fixed already', sessionId: 's', relates_to: a, relationship_type: 'refutes' });
+
+  // A transitive custom type gets the reasoning chain behind it
+  const next = await callTool('think', { reasoning: 'Then the client', sessionId: 's', relates_to: b, relationship_type: 'depends_on' });
+  assert.equal(next.related_context.type, 'builds_on_enhanced');
+  assert.deepEqual(next.related_context.chain_preview, ['Schema first', 'Then the API']);
+
+  // A conflicting custom type counts as a contradiction
+  const contradicted = await callTool('query_thoughts', { sessionId: 's', has_incoming_contradictions: true });
+  assert.deepEqual(contradicted.results.map(r => r.id), [a]);
+
+  // Chains of a transitive custom type cannot loop back on themselves
+  const cycle = await callTool('link_thoughts', { sessionId: 's', from_thought_id: a, to_thought_id: b, relationship_type: 'depends_on' });
+  assert.equal(cycle.error, 'Relationship would create a depends_on cycle');
+});
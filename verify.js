@@ -26,7 +26,25 @@ const requiredFiles = [
   'README.md',
   'LICENSE',
   '.gitignore',
-  'EXAMPLES.md'
+  'EXAMPLES.md',
+  'lib/archive.js',
+  'lib/bundle.js',
+  'lib/cli.js',
+  'lib/config.js',
+  'lib/errors.js',
+  'lib/export.js',
+  'lib/graph.js',
+  'lib/http.js',
+  'lib/pagination.js',
+  'lib/prompts.js',
+  'lib/retention.js',
+  'lib/search.js',
+  'lib/storage/index.js',
+  'lib/storage/json-store.js',
+  'lib/storage/schema.js',
+  'lib/storage/sqlite-store.js',
+  'lib/validation.js',
+  'lib/vocabulary.js'
 ];
 
 let allFilesExist = true;